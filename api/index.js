@@ -3,10 +3,21 @@ import express from 'express';
 import axios from 'axios';
 import multer from 'multer';
 import csv from "csvtojson";
+import ExcelJS from 'exceljs';
 import cors from "cors";
 import FormData from 'form-data';
-import { v2 as cloudinary } from 'cloudinary';
-import { neon } from '@neondatabase/serverless';
+import { once } from 'events';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { neon, neonConfig, Pool } from '@neondatabase/serverless';
+import { AI_ERROR_CODES, AiServiceError, isCircuitOpen, postToAiService } from '../lib/aiClient.js';
+import { downloadStoredFile, getStorageProvider, removeStoredFile } from '../lib/storage.js';
+import { profileTable, toAnalytics } from '../lib/profiling.js';
+import { objectSchema, validateRequest } from '../lib/validation.js';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+import { ERROR_CODES_BY_STATUS, errorEnvelope } from '../lib/errors.js';
+import { checkPublicUrl, publicAddressLookup } from '../lib/outboundUrl.js';
 
 const dashboardTestData = {
   "keyBusinessInsights": {
@@ -47,51 +58,989 @@ const dashboardTestData = {
   ]
 }
 
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 const app = express();
+// Requests reach us through Vercel's proxy; this makes req.ip the client address from X-Forwarded-For
+app.set('trust proxy', true);
+
+// Errors
+// Responses use the envelope of lib/errors.js. These are all the codes it can carry, for the
+// OpenAPI document.
+const ERROR_CODES = [
+  ...Object.values(ERROR_CODES_BY_STATUS),
+  'INVALID_JSON', 'FILE_TOO_LARGE', 'TOKEN_EXPIRED', 'INVALID_TOKEN', 'SESSION_EXPIRED',
+  ...AI_ERROR_CODES,
+];
+
+// Registered first, so every error response goes through it, including those of the middleware
+app.use(errorEnvelope);
+
+// Path params of routes addressing rows by numeric or UUID ID
+const integerParams = (...names) => objectSchema(Object.fromEntries(names.map(name => [name, { type: 'integer', minimum: 1 }])), { required: names });
+const uuidParams = (...names) => objectSchema(Object.fromEntries(names.map(name => [name, { type: 'string', format: 'uuid' }])), { required: names });
+const pageSchema = { type: 'integer', minimum: 1, description: 'Page number, starting at 1.' };
 
 app.use(cors({
   origin: process.env.FRONTEND_URL, 
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Workspace-Id"],
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"]
 }));
 app.use(express.json());
 
+// Pool (used for interactive transactions) talks to Neon over WebSockets, built into Node 22
+if (typeof WebSocket !== 'undefined') {
+  neonConfig.webSocketConstructor = WebSocket;
+}
+
 const getDbClient = () => neon(process.env.DATABASE_URL);
+
+// The sql helpers of getDbClient (tagged template and sql.query, both resolving to the rows) on a
+// Pool client, so the same queries can run inside a transaction
+const toTransactionSql = (client) => {
+  const query = async (text, params = []) => (await client.query(text, params)).rows;
+  const tx = (strings, ...values) => query(strings.reduce((text, part, index) => `${text}$${index}${part}`), values);
+  tx.query = query;
+  return tx;
+};
+
+// Runs fn(tx, client) in one transaction on its own connection and returns its result. tx works
+// like the sql of getDbClient; client is the raw Pool client for row counts. Everything is
+// rolled back if fn throws.
+async function withTransaction(fn) {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(toTransactionSql(client), client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError => console.error('Error rolling back transaction:', rollbackError));
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
 const storage = multer.memoryStorage(); // Use memoryStorage
-const upload = multer({ storage: storage });
+// Larger files are answered with 413 FILE_TOO_LARGE by the error handler
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 50 * 1024 * 1024;
+const upload = multer({ storage: storage, limits: { fileSize: UPLOAD_MAX_BYTES } });
 const port = process.env.PORT || 3000; 
 
-// getDbClient().query('CREATE TABLE IF NOT EXISTS "UploadedFile" ("id" SERIAL PRIMARY KEY,"publicId" VARCHAR(255) NOT NULL UNIQUE,"secureUrl" VARCHAR(255) NOT NULL,"originalFilename" VARCHAR(255) NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL);').then(()=>{
-//   console.log("UploadedFile table created."); 
-  
-// })
+// Metadata tables are created lazily on the first request of each cold start.
+// Columns added after the initial release use ADD COLUMN IF NOT EXISTS so
+// existing deployments get upgraded in place.
+const schemaStatements = [
+  'CREATE TABLE IF NOT EXISTS "UploadedFile" ("id" SERIAL PRIMARY KEY,"publicId" VARCHAR(255) NOT NULL UNIQUE,"secureUrl" VARCHAR(255) NOT NULL,"originalFilename" VARCHAR(255) NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL);',
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "datasetId" VARCHAR(64);',
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "name" VARCHAR(255);',
+  // Files uploaded before datasets existed belong to the default dataset
+  `UPDATE "UploadedFile" SET "datasetId" = 'data', "name" = COALESCE("name", "originalFilename") WHERE "datasetId" IS NULL AND "publicId" = 'data.csv';`,
+  // Dataset IDs are unique per workspace, see the "UploadedFile_workspaceId_datasetId_key" index below
+  'DROP INDEX IF EXISTS "UploadedFile_datasetId_key";',
+  'CREATE TABLE IF NOT EXISTS "ImportPreview" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"originalFilename" VARCHAR(255) NOT NULL,"mimetype" VARCHAR(255),"content" TEXT NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  `CREATE TABLE IF NOT EXISTS "User" ("id" SERIAL PRIMARY KEY,"email" VARCHAR(255) NOT NULL UNIQUE,"passwordHash" VARCHAR(255) NOT NULL,"role" VARCHAR(16) NOT NULL DEFAULT 'viewer',"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);`,
+  'CREATE TABLE IF NOT EXISTS "Session" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"userId" INTEGER NOT NULL REFERENCES "User" ("id") ON DELETE CASCADE,"refreshTokenHash" VARCHAR(64) NOT NULL UNIQUE,"expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,"revokedAt" TIMESTAMP WITH TIME ZONE,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"lastUsedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  'CREATE TABLE IF NOT EXISTS "Workspace" ("id" SERIAL PRIMARY KEY,"slug" VARCHAR(40) NOT NULL UNIQUE,"name" VARCHAR(255) NOT NULL,"schemaName" VARCHAR(63) NOT NULL UNIQUE,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  `INSERT INTO "Workspace" ("slug", "name", "schemaName") VALUES ('default', 'Default', 'public') ON CONFLICT ("slug") DO NOTHING;`,
+  'CREATE TABLE IF NOT EXISTS "WorkspaceMember" ("workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"userId" INTEGER NOT NULL REFERENCES "User" ("id") ON DELETE CASCADE,"role" VARCHAR(16) NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY ("workspaceId", "userId"));',
+  // Users from before workspaces existed keep their access through the default workspace
+  `INSERT INTO "WorkspaceMember" ("workspaceId", "userId", "role") SELECT w."id", u."id", u."role" FROM "User" u, "Workspace" w WHERE w."slug" = 'default' AND NOT EXISTS (SELECT 1 FROM "WorkspaceMember");`,
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "workspaceId" INTEGER REFERENCES "Workspace" ("id") ON DELETE CASCADE;',
+  `UPDATE "UploadedFile" SET "workspaceId" = (SELECT "id" FROM "Workspace" WHERE "slug" = 'default') WHERE "workspaceId" IS NULL;`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS "UploadedFile_workspaceId_datasetId_key" ON "UploadedFile" ("workspaceId", "datasetId");',
+  'ALTER TABLE "ImportPreview" ADD COLUMN IF NOT EXISTS "workspaceId" INTEGER REFERENCES "Workspace" ("id") ON DELETE CASCADE;',
+  // Bumped whenever the stored file changes, so cached AI results of older versions are never served
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "version" INTEGER NOT NULL DEFAULT 1;',
+  'CREATE TABLE IF NOT EXISTS "AiResultCache" ("uploadedFileId" INTEGER NOT NULL REFERENCES "UploadedFile" ("id") ON DELETE CASCADE,"endpoint" VARCHAR(64) NOT NULL,"paramsKey" VARCHAR(64) NOT NULL,"params" JSONB NOT NULL,"datasetVersion" INTEGER NOT NULL,"result" JSONB NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY ("uploadedFileId", "endpoint", "paramsKey"));',
+  // Files stored before storage providers existed are on Cloudinary, see lib/storage.js
+  `ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "storageProvider" VARCHAR(16) NOT NULL DEFAULT 'cloudinary';`,
+  // Who made the current version of a dataset and how (upload, edit or rollback), see "Dataset versions"
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "versionCreatedBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL;',
+  `ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "versionSource" VARCHAR(16) NOT NULL DEFAULT 'upload';`,
+  'CREATE TABLE IF NOT EXISTS "DatasetVersion" ("id" SERIAL PRIMARY KEY,"uploadedFileId" INTEGER NOT NULL REFERENCES "UploadedFile" ("id") ON DELETE CASCADE,"version" INTEGER NOT NULL,"source" VARCHAR(16) NOT NULL,"schema" JSONB NOT NULL,"rowCount" INTEGER NOT NULL,"originalFilename" VARCHAR(255) NOT NULL,"publicId" VARCHAR(255) NOT NULL,"secureUrl" VARCHAR(255) NOT NULL,"storageProvider" VARCHAR(16) NOT NULL,"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,UNIQUE ("uploadedFileId", "version"));',
+  'CREATE TABLE IF NOT EXISTS "QaThread" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"uploadedFileId" INTEGER NOT NULL REFERENCES "UploadedFile" ("id") ON DELETE CASCADE,"title" VARCHAR(255) NOT NULL,"shared" BOOLEAN NOT NULL DEFAULT FALSE,"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  `CREATE TABLE IF NOT EXISTS "QaTurn" ("id" SERIAL PRIMARY KEY,"threadId" UUID NOT NULL REFERENCES "QaThread" ("id") ON DELETE CASCADE,"question" TEXT NOT NULL,"answer" JSONB,"status" VARCHAR(16) NOT NULL DEFAULT 'pending',"error" TEXT,"datasetVersion" INTEGER,"rerunOf" INTEGER REFERENCES "QaTurn" ("id") ON DELETE SET NULL,"jobId" UUID,"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"answeredAt" TIMESTAMP WITH TIME ZONE);`,
+  'CREATE TABLE IF NOT EXISTS "QaBookmark" ("turnId" INTEGER NOT NULL REFERENCES "QaTurn" ("id") ON DELETE CASCADE,"userId" INTEGER NOT NULL REFERENCES "User" ("id") ON DELETE CASCADE,"note" TEXT,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY ("turnId", "userId"));',
+  'CREATE TABLE IF NOT EXISTS "DatasetProfile" ("uploadedFileId" INTEGER PRIMARY KEY REFERENCES "UploadedFile" ("id") ON DELETE CASCADE,"datasetVersion" INTEGER NOT NULL,"profile" JSONB NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  `CREATE TABLE IF NOT EXISTS "ImportSource" ("id" SERIAL PRIMARY KEY,"workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"name" VARCHAR(255) NOT NULL,"datasetId" VARCHAR(64) NOT NULL,"url" VARCHAR(2048) NOT NULL,"headers" JSONB NOT NULL DEFAULT '{}',"mode" VARCHAR(16) NOT NULL DEFAULT 'replace',"keyColumn" VARCHAR(63),"batchSize" INTEGER NOT NULL,"parseOptions" JSONB NOT NULL DEFAULT '{}',"intervalMinutes" INTEGER NOT NULL,"active" BOOLEAN NOT NULL DEFAULT TRUE,"nextRunAt" TIMESTAMP WITH TIME ZONE NOT NULL,"lastRunAt" TIMESTAMP WITH TIME ZONE,"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);`,
+  'CREATE TABLE IF NOT EXISTS "ImportSourceRun" ("id" SERIAL PRIMARY KEY,"sourceId" INTEGER NOT NULL REFERENCES "ImportSource" ("id") ON DELETE CASCADE,"trigger" VARCHAR(16) NOT NULL,"status" VARCHAR(16) NOT NULL,"httpStatus" INTEGER,"bytes" INTEGER,"contentHash" VARCHAR(64),"jobId" UUID,"error" TEXT,"startedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"finishedAt" TIMESTAMP WITH TIME ZONE);',
+  // Validation rules and cleaning options per dataset, see "Data quality". Keyed by dataset ID so
+  // they can be set up before the first upload.
+  `CREATE TABLE IF NOT EXISTS "DatasetQuality" ("workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"datasetId" VARCHAR(64) NOT NULL,"rules" JSONB NOT NULL DEFAULT '[]',"cleaning" JSONB NOT NULL DEFAULT '{}',"onInvalid" VARCHAR(16) NOT NULL DEFAULT 'reject',"updatedBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY ("workspaceId", "datasetId"));`,
+  'CREATE TABLE IF NOT EXISTS "RejectedRowsReport" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"datasetId" VARCHAR(64) NOT NULL,"jobId" UUID NOT NULL UNIQUE,"headers" JSONB NOT NULL,"rowCount" INTEGER NOT NULL,"rows" JSONB NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  // Saved widget sets per dataset, see "Custom dashboards"
+  `CREATE TABLE IF NOT EXISTS "Dashboard" ("id" SERIAL PRIMARY KEY,"workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"datasetId" VARCHAR(64) NOT NULL,"name" VARCHAR(255) NOT NULL,"widgets" JSONB NOT NULL DEFAULT '[]',"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);`,
+  `CREATE TABLE IF NOT EXISTS "Job" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"userId" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"type" VARCHAR(32) NOT NULL,"status" VARCHAR(16) NOT NULL DEFAULT 'queued',"steps" JSONB NOT NULL,"stepIndex" INTEGER NOT NULL DEFAULT 0,"progress" INTEGER NOT NULL DEFAULT 0,"state" JSONB NOT NULL DEFAULT '{}',"input" TEXT,"result" JSONB,"error" TEXT,"errorDetails" JSONB,"attempts" INTEGER NOT NULL DEFAULT 0,"runAfter" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"lockedUntil" TIMESTAMP WITH TIME ZONE,"startedAt" TIMESTAMP WITH TIME ZONE,"finishedAt" TIMESTAMP WITH TIME ZONE,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);`,
+  'CREATE INDEX IF NOT EXISTS "Job_workspaceId_createdAt_idx" ON "Job" ("workspaceId", "createdAt" DESC);',
+  `CREATE TABLE IF NOT EXISTS "AuditLog" ("id" BIGSERIAL PRIMARY KEY,"workspaceId" INTEGER NOT NULL,"workspaceSlug" VARCHAR(40) NOT NULL,"actorId" INTEGER,"actorEmail" VARCHAR(255),"action" VARCHAR(32) NOT NULL,"datasetId" VARCHAR(64),"jobId" UUID,"request" JSONB NOT NULL DEFAULT '{}',"rowsBefore" INTEGER,"rowsAfter" INTEGER,"schemaChanges" JSONB,"details" JSONB,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);`,
+  'CREATE INDEX IF NOT EXISTS "AuditLog_workspaceId_createdAt_idx" ON "AuditLog" ("workspaceId", "createdAt" DESC);',
+  'CREATE TABLE IF NOT EXISTS "Webhook" ("id" SERIAL PRIMARY KEY,"workspaceId" INTEGER NOT NULL REFERENCES "Workspace" ("id") ON DELETE CASCADE,"url" VARCHAR(2048) NOT NULL,"events" JSONB NOT NULL,"description" VARCHAR(255),"active" BOOLEAN NOT NULL DEFAULT TRUE,"secret" VARCHAR(64) NOT NULL,"createdBy" INTEGER REFERENCES "User" ("id") ON DELETE SET NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP);',
+  `CREATE TABLE IF NOT EXISTS "WebhookDelivery" ("id" UUID PRIMARY KEY DEFAULT gen_random_uuid(),"webhookId" INTEGER NOT NULL REFERENCES "Webhook" ("id") ON DELETE CASCADE,"event" VARCHAR(32) NOT NULL,"payload" JSONB NOT NULL,"status" VARCHAR(16) NOT NULL DEFAULT 'pending',"attempts" INTEGER NOT NULL DEFAULT 0,"responseStatus" INTEGER,"responseBody" TEXT,"error" TEXT,"attemptLog" JSONB NOT NULL DEFAULT '[]',"replayOf" UUID,"jobId" UUID,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,"lastAttemptAt" TIMESTAMP WITH TIME ZONE,"deliveredAt" TIMESTAMP WITH TIME ZONE);`,
+  'CREATE INDEX IF NOT EXISTS "WebhookDelivery_webhookId_createdAt_idx" ON "WebhookDelivery" ("webhookId", "createdAt" DESC);',
+  `CREATE OR REPLACE FUNCTION "rejectAuditLogChange"() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'AuditLog is append-only'; END; $$ LANGUAGE plpgsql;`,
+  `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'AuditLog_append_only') THEN CREATE TRIGGER "AuditLog_append_only" BEFORE UPDATE OR DELETE OR TRUNCATE ON "AuditLog" FOR EACH STATEMENT EXECUTE FUNCTION "rejectAuditLogChange"(); END IF; END $$;`,
+  // The refresh token a session's current one replaced, so presenting it again can be detected
+  'ALTER TABLE "Session" ADD COLUMN IF NOT EXISTS "previousRefreshTokenHash" VARCHAR(64);',
+  'CREATE INDEX IF NOT EXISTS "Session_previousRefreshTokenHash_idx" ON "Session" ("previousRefreshTokenHash");',
+  // Results of job steps that commit their own transaction, see saveStepResult
+  'CREATE TABLE IF NOT EXISTS "JobStepResult" ("jobId" UUID NOT NULL REFERENCES "Job" ("id") ON DELETE CASCADE,"step" VARCHAR(32) NOT NULL,"result" JSONB NOT NULL,"createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY ("jobId", "step"));',
+  // The job that stored the current version, so a retried store step doesn't count it twice
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "versionJobId" UUID;',
+  // Set when a job stopped before its last step and its input was dropped, see advanceJob
+  'ALTER TABLE "Job" ADD COLUMN IF NOT EXISTS "inputDiscarded" BOOLEAN NOT NULL DEFAULT FALSE;',
+  // Row edits since the stored file was written, see ensureDatasetFile
+  'ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "fileStale" BOOLEAN NOT NULL DEFAULT FALSE;',
+];
 
-function generateDynamicCreateTableSql(tableName, userData, inferSqlTypeFunction) {
-  if (!tableName) {
-      throw new Error("Table name must be provided.");
+let schemaReady = null;
+
+function ensureSchema(sql) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      for (const statement of schemaStatements) {
+        await sql.query(statement);
+      }
+      await seedAdminUser(sql);
+    })().catch(error => {
+      schemaReady = null; // Retry on the next request
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+app.use('/api', async (req, res, next) => {
+  try {
+    await ensureSchema(getDbClient());
+    next();
+  } catch (error) {
+    console.error('Error preparing database schema:', error);
+    res.status(500).json({ error: error.message || 'Failed to prepare database schema.' });
+  }
+});
+
+// Authentication
+// Access tokens are short-lived JWTs carrying the session ID. Each login opens a "Session" row
+// holding the hash of a rotating refresh token; logging out revokes the session, which also
+// invalidates its access tokens because every request checks the session is still active.
+const ROLES = ['viewer', 'analyst', 'admin']; // Ordered from least to most privileged
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+// Hash of a random password, compared against when the email is unknown so response times don't
+// reveal which emails are registered. It has to be a real hash: bcrypt answers malformed ones at once.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomUUID(), BCRYPT_ROUNDS);
+
+// Routes anyone can call, relative to /api
+const PUBLIC_PATHS = ['/test', '/auth/login', '/auth/refresh', '/cron/run', '/openapi.json'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Checks a password against a user's hash, or against DUMMY_PASSWORD_HASH when there is no user,
+// so both cases take a full bcrypt round
+export const verifyPassword = async (password, user) => {
+  const matches = await bcrypt.compare(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+  return Boolean(user) && matches;
+};
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured.');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet
+async function seedAdminUser(sql) {
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) return;
+
+  const users = await sql`SELECT COUNT(*) FROM "User"`;
+  if (Number(users[0].count) > 0) return;
+
+  const passwordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, BCRYPT_ROUNDS);
+  await sql`INSERT INTO "User" ("email", "passwordHash", "role")
+    VALUES (${process.env.ADMIN_EMAIL.trim().toLowerCase()}, ${passwordHash}, 'admin')
+    ON CONFLICT ("email") DO NOTHING`;
+  console.log('Seeded admin user', process.env.ADMIN_EMAIL);
+}
+
+// Issues an access token and a new refresh token for a session
+function issueTokens(user, sessionId) {
+  const accessToken = jwt.sign({ sid: sessionId, role: user.role }, getJwtSecret(), {
+    subject: String(user.id),
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  return { accessToken, refreshToken };
+}
+
+// Verifies the bearer token of every /api request except PUBLIC_PATHS and sets req.user.
+// The user is loaded from the database so role changes and logouts apply immediately.
+async function authenticate(req, res, next) {
+  if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    if (error.message === 'JWT_SECRET is not configured.') {
+      console.error('Error in authenticate:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    return res.status(401).json(error.name === 'TokenExpiredError'
+      ? { error: 'Access token expired.', code: 'TOKEN_EXPIRED' }
+      : { error: 'Invalid access token.', code: 'INVALID_TOKEN' });
+  }
+
+  try {
+    const sql = getDbClient();
+    const users = await sql`SELECT u.*, s."id" AS "sessionId"
+      FROM "Session" s
+      JOIN "User" u ON u."id" = s."userId"
+      WHERE s."id"::text = ${claims.sid}
+        AND u."id" = ${Number(claims.sub)}
+        AND s."revokedAt" IS NULL
+        AND s."expiresAt" > CURRENT_TIMESTAMP`;
+
+    if (users.length === 0) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' });
+    }
+
+    req.user = users[0];
+    next();
+  } catch (error) {
+    console.error('Error in authenticate:', error);
+    res.status(500).json({ error: error.message || 'Failed to authenticate request.' });
+  }
+}
+
+// Allows the request when the caller's account has at least the given role. Used for
+// deployment-wide actions such as managing users and creating workspaces.
+const requireUserRole = (role) => {
+  const middleware = (req, res, next) => {
+    if (!req.user || ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    next();
+  };
+  // Read by the OpenAPI document
+  middleware.requiredUserRole = role;
+  return middleware;
+};
+
+// Workspaces
+// Each workspace keeps its dataset tables in its own Postgres schema and its files in its own
+// storage folder. The default workspace uses the public schema and the root folder, so data
+// from before workspaces existed stays where it was.
+const DEFAULT_WORKSPACE_ID = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+const workspaceParams = objectSchema({ workspaceId: { type: 'string', pattern: WORKSPACE_ID_PATTERN.source } }, { required: ['workspaceId'] });
+const memberParams = objectSchema({ ...workspaceParams.properties, ...integerParams('userId').properties }, { required: ['workspaceId', 'userId'] });
+
+const getWorkspaceSchemaName = (workspaceId) => workspaceId === DEFAULT_WORKSPACE_ID ? 'public' : `ws_${workspaceId}`;
+
+// Finds the workspace a request targets: the :workspaceId route param, the X-Workspace-Id header
+// or the workspaceId query param, in that order. Without any of them the caller's first
+// workspace is used. Returns the workspace with the caller's role in it, or null.
+async function findRequestWorkspace(sql, req) {
+  const requested = req.params?.workspaceId ?? req.get('X-Workspace-Id') ?? req.query.workspaceId;
+  // Admins of the deployment act as admins of every workspace
+  const isUserAdmin = req.user.role === 'admin';
+
+  const workspaces = await sql`SELECT w.*, m."role" AS "memberRole"
+    FROM "Workspace" w
+    LEFT JOIN "WorkspaceMember" m ON m."workspaceId" = w."id" AND m."userId" = ${req.user.id}
+    WHERE (${requested ?? null}::text IS NULL OR w."slug" = ${requested ?? null})
+      AND (m."userId" IS NOT NULL OR ${isUserAdmin})
+    ORDER BY (w."slug" = ${DEFAULT_WORKSPACE_ID}) DESC, w."id" ASC
+    LIMIT 1`;
+
+  const workspace = workspaces[0];
+  if (!workspace) return null;
+  return { ...workspace, role: isUserAdmin ? 'admin' : workspace.memberRole };
+}
+
+// Allows the request when the caller has at least the given role in the targeted workspace,
+// which is made available as req.workspace
+const requireRole = (role) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const workspace = await findRequestWorkspace(getDbClient(), req);
+      if (!workspace) {
+        return res.status(404).json({ error: 'Workspace not found or you are not a member of it.' });
+      }
+      if (ROLES.indexOf(workspace.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role in workspace "${workspace.slug}".` });
+      }
+
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      console.error('Error resolving workspace:', error);
+      res.status(500).json({ error: error.message || 'Failed to resolve workspace.' });
+    }
+  };
+  // Read by the OpenAPI document
+  middleware.requiredRole = role;
+  return middleware;
+};
+
+app.use('/api', authenticate);
+
+// Datasets
+// Every uploaded file belongs to a dataset of a workspace. The dataset ID is a lowercase slug
+// used for the storage key of its file and the name of the table holding its rows.
+// The default dataset keeps the original "data.csv" / "data" names.
+const DEFAULT_DATASET_ID = 'data';
+const DATASET_ID_PATTERN = /^[a-z0-9_]{1,48}$/;
+
+const isValidDatasetId = (datasetId) => typeof datasetId === 'string' && DATASET_ID_PATTERN.test(datasetId);
+
+const getDatasetTableName = (datasetId) => datasetId === DEFAULT_DATASET_ID ? 'data' : `data_${datasetId}`;
+
+// Dataset tables are addressed as { schema, name } so every query stays inside the workspace schema
+const getDatasetTable = (workspace, datasetId) => ({ schema: workspace.schemaName, name: getDatasetTableName(datasetId) });
+
+// Quoted, schema-qualified identifier for use in SQL text
+const qualifyTable = (table) => `"${table.schema}"."${table.name}"`;
+
+const getDatasetPublicId = (workspace, datasetId) => workspace.slug === DEFAULT_WORKSPACE_ID ? `${datasetId}.csv` : `${workspace.slug}/${datasetId}.csv`;
+
+// Reads the dataset ID from the query string or JSON body, falling back to the default dataset
+const getRequestedDatasetId = (req) => req.query.datasetId ?? req.body?.datasetId ?? DEFAULT_DATASET_ID;
+
+// Request schemas of the dataset routes, see validateRequest
+const datasetIdSchema = { type: 'string', pattern: DATASET_ID_PATTERN.source, description: `Lowercase letters, digits and underscores; "${DEFAULT_DATASET_ID}" when left out.` };
+const datasetParams = objectSchema({ datasetId: datasetIdSchema }, { required: ['datasetId'] });
+const datasetQuery = objectSchema({ datasetId: datasetIdSchema });
+const refreshSchema = { type: 'boolean', description: 'Recompute instead of answering from the cache.' };
+
+async function getUploadedFile(sql, workspace, datasetId) {
+  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "workspaceId" = ${workspace.id} AND "datasetId" = ${datasetId};`;
+  return uploadedFile[0] || null;
+}
+
+async function tableExists(sql, table) {
+  const result = await sql`SELECT EXISTS (
+    SELECT 1
+    FROM information_schema.tables
+    WHERE table_schema = ${table.schema}
+      AND table_name = ${table.name}
+  )`;
+  return result[0].exists;
+}
+
+// Downloads the stored CSV of a dataset and wraps it in a FormData for the AI service
+async function getDatasetFormData(sql, uploadedFile) {
+  const fileBuffer = await downloadStoredFile(await ensureDatasetFile(sql, uploadedFile));
+  const formData = new FormData();
+  formData.append('data', fileBuffer, { filename: uploadedFile.originalFilename, contentType: 'text/csv' });
+  return formData;
+}
+
+// Resolves the dataset a request targets within req.workspace. Sends a 400/404 response and returns null when it can't.
+async function resolveDataset(sql, req, res) {
+  const datasetId = getRequestedDatasetId(req);
+  if (!isValidDatasetId(datasetId)) {
+    res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    return null;
+  }
+
+  const uploadedFile = await getUploadedFile(sql, req.workspace, datasetId);
+  if (!uploadedFile) {
+    res.status(404).json({ error: `Dataset "${datasetId}" not found. Please upload a CSV first.` });
+    return null;
+  }
+
+  return uploadedFile;
+}
+
+// Drops the table and metadata of a dataset in one transaction with the audit entry of the
+// deletion (made by actorId through request), then removes its files
+async function deleteDataset(workspace, uploadedFile, { actorId, request }) {
+  const versions = await withTransaction(async (tx) => {
+    const before = await describeDatasetIfExists(tx, workspace, uploadedFile.datasetId);
+    await tx.query(`DROP TABLE IF EXISTS ${qualifyTable(getDatasetTable(workspace, uploadedFile.datasetId))};`);
+    // Version snapshots go with the dataset
+    const versions = await tx`SELECT * FROM "DatasetVersion" WHERE "uploadedFileId" = ${uploadedFile.id}`;
+    await tx`DELETE FROM "UploadedFile" WHERE "id" = ${uploadedFile.id};`;
+    // Rejected-rows reports hold rows of the dataset too; its quality settings stay for the next upload
+    await tx`DELETE FROM "RejectedRowsReport" WHERE "workspaceId" = ${workspace.id} AND "datasetId" = ${uploadedFile.datasetId}`;
+    await recordAudit(tx, {
+      workspace,
+      actorId,
+      action: 'dataset.delete',
+      datasetId: uploadedFile.datasetId,
+      request,
+      before,
+      details: { originalFilename: uploadedFile.originalFilename, version: uploadedFile.version },
+    });
+    return versions;
+  });
+
+  await removeStoredFile(uploadedFile);
+  await removeVersionFiles(versions);
+}
+
+// AI result cache
+// Results of the AI service are stored per dataset, endpoint and parameters together with the
+// dataset version they were computed from. Uploads and row edits bump the version (see
+// storeDatasetFile and editRowsWithAudit), so only results of the current version are served as
+// cache hits. Older ones stay until they are recomputed, as fallback for AI service outages.
+// Deleting a dataset removes its entries.
+const isRefreshRequested = (req) => req.query.refresh === 'true' || req.body?.refresh === true;
+
+const getCacheParamsKey = (params) => crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+
+async function storeAiResult(sql, uploadedFile, endpoint, params, result) {
+  const stored = await sql`INSERT INTO "AiResultCache" ("uploadedFileId", "endpoint", "paramsKey", "params", "datasetVersion", "result")
+    VALUES (${uploadedFile.id}, ${endpoint}, ${getCacheParamsKey(params)}, ${JSON.stringify(params)}, ${uploadedFile.version}, ${JSON.stringify(result)})
+    ON CONFLICT ("uploadedFileId", "endpoint", "paramsKey") DO UPDATE SET
+      "params" = EXCLUDED."params",
+      "datasetVersion" = EXCLUDED."datasetVersion",
+      "result" = EXCLUDED."result",
+      "createdAt" = CURRENT_TIMESTAMP
+    RETURNING "createdAt"`;
+  return stored[0];
+}
+
+async function getCachedAiResult(sql, uploadedFile, endpoint, params = {}) {
+  const cached = await sql`SELECT "result", "createdAt"
+    FROM "AiResultCache"
+    WHERE "uploadedFileId" = ${uploadedFile.id}
+      AND "endpoint" = ${endpoint}
+      AND "paramsKey" = ${getCacheParamsKey(params)}
+      AND "datasetVersion" = ${uploadedFile.version}`;
+  if (cached.length === 0) return null;
+  return { result: cached[0].result, hit: true, cachedAt: cached[0].createdAt, datasetVersion: uploadedFile.version };
+}
+
+// Posts the dataset file to an AI service endpoint and caches the result for the current dataset
+// version. Extra form fields come from params, which are also part of the cache key.
+async function requestAiResult(sql, uploadedFile, endpoint, params = {}) {
+  const formData = await getDatasetFormData(sql, uploadedFile);
+  for (const [key, value] of Object.entries(params)) {
+    formData.append(key, value);
+  }
+  const data = await postToAiService(endpoint, formData);
+
+  const stored = await storeAiResult(sql, uploadedFile, endpoint, params, data);
+  return { result: data, hit: false, cachedAt: stored.createdAt, datasetVersion: uploadedFile.version };
+}
+
+// What is served when the AI service fails (AI_FALLBACK_MODE):
+//   off     - nothing, the normalized error is returned
+//   cache   - the last cached result for the same dataset and parameters, even from an older
+//             dataset version (default)
+//   fixture - like cache, and dashboard-data falls back to the dashboardTestData fixture when
+//             nothing is cached. Meant for development without a running AI service.
+const AI_FALLBACK_MODE = process.env.AI_FALLBACK_MODE || 'cache';
+
+async function getFallbackAiResult(sql, uploadedFile, endpoint, params = {}) {
+  if (AI_FALLBACK_MODE === 'off') return null;
+
+  const cached = await sql`SELECT "result", "createdAt", "datasetVersion"
+    FROM "AiResultCache"
+    WHERE "uploadedFileId" = ${uploadedFile.id}
+      AND "endpoint" = ${endpoint}
+      AND "paramsKey" = ${getCacheParamsKey(params)}`;
+  if (cached.length > 0) {
+    const { result, createdAt, datasetVersion } = cached[0];
+    return { result, hit: true, cachedAt: createdAt, datasetVersion, stale: datasetVersion !== uploadedFile.version, fallback: 'cache' };
+  }
+
+  if (AI_FALLBACK_MODE === 'fixture' && endpoint === 'dashboard-data') {
+    return { result: dashboardTestData, hit: false, cachedAt: new Date(), datasetVersion: null, stale: true, fallback: 'fixture' };
+  }
+  return null;
+}
+
+const getCacheAgeSeconds = (cachedAt) => Math.max(0, Math.floor((Date.now() - new Date(cachedAt).getTime()) / 1000));
+
+// Adds a "cache" object to results that are JSON objects. fallback tells whether the result was
+// served in place of a failed AI service call ("cache" or "fixture"), stale that it doesn't
+// reflect the current dataset version.
+function withCacheMetadata({ result, hit, cachedAt, datasetVersion, stale = false, fallback = null }) {
+  const isObject = result !== null && typeof result === 'object' && !Array.isArray(result);
+  const cache = { hit, cachedAt, ageSeconds: getCacheAgeSeconds(cachedAt), datasetVersion, stale, fallback };
+  return isObject ? { ...result, cache } : result;
+}
+
+// Sends an AI result with its cache metadata, plus X-Cache / Age headers for results that aren't objects
+function sendAiResult(res, aiResult) {
+  res.set('X-Cache', aiResult.hit ? 'HIT' : 'MISS');
+  res.set('Age', String(getCacheAgeSeconds(aiResult.cachedAt)));
+  return res.status(200).json(withCacheMetadata(aiResult));
+}
+
+// Jobs
+// Uploads and AI analyses run as background jobs stored in "Job". Every job type registers its
+// steps in JOB_HANDLERS; each step saves its output before the next one starts, so a job that
+// fails or is cut off (e.g. by a serverless timeout) is retried from the step it stopped at.
+// Jobs start right after they are queued, and polling a job or the cron trigger (/api/cron/run)
+// runs its next step when it's due, so no separate worker process is needed.
+//
+// A step is called as step(sql, job, { workspace, input, reportProgress }) and returns
+// { state, input, result } to save, or { error, details } to fail the job without retrying.
+// Thrown errors are retried up to JOB_MAX_ATTEMPTS times, JOB_RETRY_DELAY_SECONDS times the attempt
+// apart. A handler can set its own maxAttempts and retryDelaySeconds(attempts).
+const JOB_HANDLERS = {};
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+// How long a running step holds its job. After that it counts as interrupted and runs again.
+const JOB_LEASE_SECONDS = 300;
+const JOB_RETRY_DELAY_SECONDS = 30;
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+// Every column but "input", which holds a whole upload (base64). Only the step runner reads it,
+// and it's dropped once the job ends: after the last step, or when the job fails or is cancelled.
+const JOB_COLUMNS = '"id", "workspaceId", "userId", "type", "status", "steps", "stepIndex", "progress", "state", "result", "error", "errorDetails", "attempts", "inputDiscarded", "runAfter", "lockedUntil", "startedAt", "finishedAt", "createdAt", "updatedAt"';
+// Drops the input of a job that stops for good before its last step. A retry can't run without it.
+const DISCARD_JOB_INPUT = '"inputDiscarded" = "input" IS NOT NULL, "input" = NULL';
+
+const toPublicJob = (job, { includeResult = true } = {}) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  step: job.steps[job.stepIndex] ?? null,
+  steps: job.steps,
+  progress: job.progress,
+  attempts: job.attempts,
+  error: job.error,
+  errorDetails: job.errorDetails,
+  ...(includeResult ? { result: job.result } : {}),
+  createdBy: job.userId,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  updatedAt: job.updatedAt,
+});
+
+const sendJobAccepted = (res, job) => res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+
+const jobAcceptedResponses = {
+  202: { description: 'Queued; poll statusUrl for progress and the result.', schema: { $ref: '#/components/schemas/JobAccepted' } },
+};
+
+// input is an optional Buffer (e.g. the uploaded file) handed to the first step
+async function enqueueJob(sql, { workspace, user, type, state = {}, input = null, steps = JOB_HANDLERS[type].steps }) {
+  const jobs = await sql`INSERT INTO "Job" ("workspaceId", "userId", "type", "steps", "state", "input")
+    VALUES (${workspace.id}, ${user.id}, ${type}, ${JSON.stringify(steps)}, ${JSON.stringify(state)}, ${input ? input.toString('base64') : null})
+    RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+  const job = jobs[0];
+
+  // Not awaited: the request answers right away, anything that doesn't finish here is picked up by polling
+  runJob(job.id).catch(error => console.error(`Error running job ${job.id}:`, error));
+  return job;
+}
+
+// Runs the current step of a job when it is due and no other request holds it.
+// Returns the job as saved after the step, or null when nothing ran.
+async function advanceJob(sql, jobId) {
+  const claimed = await sql`UPDATE "Job"
+    SET "status" = 'running',
+      "attempts" = "attempts" + 1,
+      "lockedUntil" = CURRENT_TIMESTAMP + make_interval(secs => ${JOB_LEASE_SECONDS}),
+      "startedAt" = COALESCE("startedAt", CURRENT_TIMESTAMP),
+      "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${jobId}
+      AND "status" IN ('queued', 'running')
+      AND "runAfter" <= CURRENT_TIMESTAMP
+      AND ("lockedUntil" IS NULL OR "lockedUntil" < CURRENT_TIMESTAMP)
+    RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+  const job = claimed[0];
+  if (!job) return null;
+
+  const stepName = job.steps[job.stepIndex];
+  const step = JOB_HANDLERS[job.type]?.run[stepName];
+  const getProgress = (fraction) => Math.round(((job.stepIndex + fraction) / job.steps.length) * 100);
+  console.log(`Job ${job.id}: running step "${stepName}" (attempt ${job.attempts})`);
+
+  let outcome;
+  try {
+    if (!step) {
+      outcome = { error: `Unknown step "${stepName}" for job type "${job.type}".` };
+    } else {
+      const workspaces = await sql`SELECT * FROM "Workspace" WHERE "id" = ${job.workspaceId}`;
+      const inputs = await sql`SELECT "input" FROM "Job" WHERE "id" = ${job.id}`;
+      outcome = await step(sql, job, {
+        workspace: workspaces[0],
+        input: inputs[0].input === null ? null : Buffer.from(inputs[0].input, 'base64'),
+        // Saves the progress of the step (0 to 1). Throws once the job is cancelled, which aborts the step.
+        reportProgress: async (fraction) => {
+          const updated = await sql`UPDATE "Job" SET "progress" = ${getProgress(fraction)}, "updatedAt" = CURRENT_TIMESTAMP
+            WHERE "id" = ${job.id} AND "status" = 'running'
+            RETURNING "id"`;
+          if (updated.length === 0) {
+            throw new Error('The job was cancelled.');
+          }
+        },
+      }) || {};
+    }
+  } catch (error) {
+    console.error(`Error in job ${job.id} step "${stepName}":`, error);
+    const handler = JOB_HANDLERS[job.type];
+    const status = job.attempts < (handler?.maxAttempts ?? JOB_MAX_ATTEMPTS) ? 'queued' : 'failed';
+    const retryDelay = handler?.retryDelaySeconds ? handler.retryDelaySeconds(job.attempts) : JOB_RETRY_DELAY_SECONDS * job.attempts;
+    // Updates only running jobs, so a cancellation made meanwhile stays in place
+    const updated = await sql`UPDATE "Job"
+      SET "status" = ${status},
+        "error" = ${error.message || 'The job step failed.'},
+        "errorDetails" = ${error.code ? JSON.stringify({ code: error.code }) : null}::jsonb,
+        "runAfter" = CURRENT_TIMESTAMP + make_interval(secs => ${retryDelay}),
+        "inputDiscarded" = CASE WHEN ${status}::text = 'failed' THEN "input" IS NOT NULL ELSE "inputDiscarded" END,
+        "input" = CASE WHEN ${status}::text = 'failed' THEN NULL ELSE "input" END,
+        "lockedUntil" = NULL,
+        "finishedAt" = CASE WHEN ${status}::text = 'failed' THEN CURRENT_TIMESTAMP END,
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${job.id} AND "status" = 'running'
+      RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+    return updated[0] || null;
+  }
+
+  if (outcome.error) {
+    const updated = await sql`UPDATE "Job"
+      SET "status" = 'failed',
+        "error" = ${outcome.error},
+        "errorDetails" = ${outcome.details ? JSON.stringify(outcome.details) : null}::jsonb,
+        ${sql.unsafe(DISCARD_JOB_INPUT)},
+        "lockedUntil" = NULL,
+        "finishedAt" = CURRENT_TIMESTAMP,
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${job.id} AND "status" = 'running'
+      RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+    return updated[0] || null;
+  }
+
+  const isLastStep = job.stepIndex + 1 >= job.steps.length;
+  // Only a new input is sent; the input is only needed while steps are left
+  const keepsInput = !isLastStep && outcome.input === undefined;
+  const input = isLastStep ? null : outcome.input?.toString('base64') ?? null;
+
+  const updated = await sql`UPDATE "Job"
+    SET "status" = ${isLastStep ? 'succeeded' : 'queued'},
+      "stepIndex" = "stepIndex" + 1,
+      "attempts" = 0,
+      "progress" = ${getProgress(1)},
+      "state" = "state" || ${JSON.stringify(outcome.state || {})}::jsonb,
+      "input" = CASE WHEN ${keepsInput}::boolean THEN "input" ELSE ${input} END,
+      "result" = COALESCE(${outcome.result !== undefined ? JSON.stringify(outcome.result) : null}::jsonb, "result"),
+      "error" = NULL,
+      "errorDetails" = NULL,
+      "runAfter" = CURRENT_TIMESTAMP,
+      "lockedUntil" = NULL,
+      "finishedAt" = ${isLastStep ? new Date() : null},
+      "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${job.id} AND "status" = 'running'
+    RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+  return updated[0] || null;
+}
+
+// Runs the steps of a job one after another until it finishes, fails or has to wait for a retry
+async function runJob(jobId) {
+  const sql = getDbClient();
+  let job;
+  do {
+    job = await advanceJob(sql, jobId);
+  } while (job?.status === 'queued');
+  return job;
+}
+
+// A step that writes in its own transaction and is cut off after the commit, before the job moves
+// on, runs again once its lease expires. Such steps save their result with saveStepResult in that
+// transaction and check getStepResult first, so the rerun skips the writes.
+async function getStepResult(sql, job) {
+  const results = await sql`SELECT "result" FROM "JobStepResult" WHERE "jobId" = ${job.id} AND "step" = ${job.steps[job.stepIndex]}`;
+  return results[0]?.result ?? null;
+}
+
+// Fails on a second save for the same step, which rolls back the transaction of an attempt that
+// overlapped with another one
+const saveStepResult = (tx, job, result) => tx`INSERT INTO "JobStepResult" ("jobId", "step", "result")
+  VALUES (${job.id}, ${job.steps[job.stepIndex]}, ${JSON.stringify(result)})`;
+
+// AI service failures are retried by the job while attempts are left and the failure is transient
+const isFinalAiFailure = (job, error) => error instanceof AiServiceError && (!error.retryable || job.attempts >= JOB_MAX_ATTEMPTS);
+
+// Calls one of the AI service analysis endpoints for a dataset, serving the fallback result
+// (see getFallbackAiResult) once the call has finally failed
+JOB_HANDLERS.analysis = {
+  steps: ['analyze'],
+  run: {
+    analyze: async (sql, job, { workspace }) => {
+      const { datasetId, endpoint, params } = job.state;
+      const uploadedFile = await getUploadedFile(sql, workspace, datasetId);
+      if (!uploadedFile) {
+        return { error: `Dataset "${datasetId}" not found. Please upload a CSV first.` };
+      }
+
+      try {
+        const aiResult = await requestAiResult(sql, uploadedFile, endpoint, params);
+        await emitAnalysisCompleted(sql, workspace, job, uploadedFile, endpoint);
+        return { result: withCacheMetadata(aiResult) };
+      } catch (error) {
+        if (!isFinalAiFailure(job, error)) throw error;
+
+        const fallback = await getFallbackAiResult(sql, uploadedFile, endpoint, params);
+        if (fallback) {
+          console.warn(`Serving ${fallback.fallback} fallback for ${endpoint}:`, error.message);
+          return { result: withCacheMetadata(fallback) };
+        }
+        return { error: error.message, details: { code: error.code } };
+      }
+    },
+  },
+};
+
+// The result itself isn't sent along, it's on the job
+const emitAnalysisCompleted = (sql, workspace, job, uploadedFile, endpoint) => emitWebhookEvent(sql, workspace, 'analysis.completed', {
+  datasetId: uploadedFile.datasetId,
+  datasetVersion: uploadedFile.version,
+  endpoint,
+  jobId: job.id,
+  resultUrl: `/api/jobs/${job.id}`,
+}, { userId: job.userId, job });
+
+// Answers with the cached AI result when there is one. Otherwise queues an analysis job and answers
+// 202 with its ID; the result is on the job (and in the cache) once it succeeds. A matching job that
+// is still queued or running is reused instead of starting another one.
+async function respondWithAiAnalysis(sql, req, res, uploadedFile, endpoint, params = {}) {
+  if (!isRefreshRequested(req)) {
+    const cached = await getCachedAiResult(sql, uploadedFile, endpoint, params);
+    if (cached) return sendAiResult(res, cached);
+  }
+
+  // While the AI service is known to be down, answer with the fallback right away
+  if (isCircuitOpen()) {
+    const fallback = await getFallbackAiResult(sql, uploadedFile, endpoint, params);
+    if (fallback) return sendAiResult(res, fallback);
+  }
+
+  const state = { datasetId: uploadedFile.datasetId, endpoint, params };
+  const pending = await sql`SELECT ${sql.unsafe(JOB_COLUMNS)} FROM "Job"
+    WHERE "workspaceId" = ${req.workspace.id}
+      AND "type" = 'analysis'
+      AND "status" IN ('queued', 'running')
+      AND "state" = ${JSON.stringify(state)}::jsonb
+    LIMIT 1`;
+  const job = pending[0] || await enqueueJob(sql, { workspace: req.workspace, user: req.user, type: 'analysis', state });
+  return sendJobAccepted(res, job);
+}
+
+const aiResultResponses = {
+  200: { description: 'The cached result with its cache metadata, also sent as X-Cache / Age headers.' },
+  ...jobAcceptedResponses,
+};
+
+const QUESTION_MAX_LENGTH = 2000;
+
+// Column types that can be picked when overriding the inferred schema, keyed by the name clients send.
+// infoSchemaType/maxLength match what information_schema reports once the table exists.
+const COLUMN_TYPES = {
+  'VARCHAR(255)': { infoSchemaType: 'character varying', maxLength: 255 },
+  'TEXT': { infoSchemaType: 'text' },
+  'NUMERIC': { infoSchemaType: 'numeric' },
+  'INTEGER': { infoSchemaType: 'integer' },
+  'BIGINT': { infoSchemaType: 'bigint' },
+  'BOOLEAN': { infoSchemaType: 'boolean' },
+  'DATE': { infoSchemaType: 'date' },
+  'TIMESTAMP WITH TIME ZONE': { infoSchemaType: 'timestamp with time zone' },
+};
+
+const MAX_VARCHAR_LENGTH = 255;
+
+// Sanitize a header to be a valid SQL identifier
+const sanitizeColumnName = (name) => String(name).replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 63) || 'column';
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+// Leading zeros ("00123") and a leading "+" ("+15550100") mean an identifier, not a quantity
+const IDENTIFIER_LIKE_NUMBER_PATTERN = /^(0\d+|\+\d+)$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const TEXT_DATE_PATTERN = /^([a-z]{3,9}\.? \d{1,2}(st|nd|rd|th)?,? \d{4}|\d{1,2} [a-z]{3,9}\.?,? \d{4})( \d{1,2}:\d{2}(:\d{2})?)?$/i;
+
+const getDateFormat = (text) => {
+  if (ISO_DATE_PATTERN.test(text)) return 'iso';
+  if (NUMERIC_DATE_PATTERN.test(text)) return 'numeric';
+  if (TEXT_DATE_PATTERN.test(text)) return 'text';
+  return null;
+};
+
+// Parses the date formats CRM exports commonly mix: ISO 8601, 03/14/2024 or 14.03.2024 and
+// "Mar 14, 2024". Numeric dates are read month-first unless dayFirst is set.
+function parseDateValue(value, { dayFirst = false } = {}) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const format = getDateFormat(text);
+  if (format === 'numeric') {
+    const [, first, second, year, hours = '0', minutes = '0', seconds = '0'] = text.match(NUMERIC_DATE_PATTERN);
+    const [day, month] = dayFirst ? [first, second] : [second, first];
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)));
+    // Reject overflowing dates such as 02/31/2024
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day) ? date : null;
+  }
+  if (format) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// Inspects every value of a column and picks the narrowest SQL type that fits all of them,
+// together with warnings worth showing before the import runs.
+function analyzeColumn(columnName, data) {
+  let stringCount = 0;
+  let numberCount = 0;
+  let booleanCount = 0;
+  let dateCount = 0;
+  let emptyCount = 0;
+  let identifierLikeCount = 0;
+  let maxLength = 0;
+  let dayFirst = false;
+  let ambiguousDateCount = 0;
+  const dateFormats = new Set();
+
+  for (const row of data) {
+    const value = row[columnName];
+    if (value === null || value === undefined || value === '') { // Ignore empty values for type inference
+      emptyCount++;
+      continue;
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value).trim();
+    maxLength = Math.max(maxLength, text.length);
+
+    if (typeof value === 'number') {
+      numberCount++;
+    } else if (typeof value === 'boolean') {
+      booleanCount++;
+    } else if (value instanceof Date) {
+      dateCount++;
+    } else if (IDENTIFIER_LIKE_NUMBER_PATTERN.test(text)) {
+      identifierLikeCount++;
+      stringCount++;
+    } else if (NUMBER_PATTERN.test(text)) {
+      numberCount++;
+    } else if (text.toLowerCase() === 'true' || text.toLowerCase() === 'false') {
+      booleanCount++;
+    } else if (getDateFormat(text)) {
+      dateFormats.add(getDateFormat(text));
+      dateCount++;
+      const numericDate = text.match(NUMERIC_DATE_PATTERN);
+      if (numericDate) {
+        if (Number(numericDate[1]) > 12) dayFirst = true;
+        else if (Number(numericDate[2]) <= 12 && numericDate[1] !== numericDate[2]) ambiguousDateCount++;
+      }
+    } else {
+      stringCount++;
+    }
+  }
+
+  const valueCount = data.length - emptyCount;
+  const warnings = [];
+  let type;
+
+  // Prioritize specific types if purely that type, otherwise broaden
+  if (numberCount === valueCount && valueCount > 0) type = 'NUMERIC';
+  else if (dateCount === valueCount && valueCount > 0) type = 'TIMESTAMP WITH TIME ZONE';
+  else if (booleanCount === valueCount && valueCount > 0) type = 'BOOLEAN';
+  else type = maxLength > MAX_VARCHAR_LENGTH ? 'TEXT' : 'VARCHAR(255)';
+
+  if (identifierLikeCount > 0) {
+    warnings.push(`${identifierLikeCount} value(s) have leading zeros or a leading "+", so the column is kept as text to preserve them.`);
+  }
+  if (type === 'TEXT') {
+    warnings.push(`Longest value is ${maxLength} characters, so the column is stored as TEXT instead of VARCHAR(255).`);
+  }
+  const typedCount = numberCount + booleanCount + dateCount;
+  if (typedCount > 0 && stringCount > identifierLikeCount && (type === 'TEXT' || type === 'VARCHAR(255)')) {
+    warnings.push(`Mixed values: ${numberCount} numeric, ${dateCount} date, ${booleanCount} boolean and ${stringCount} text value(s). The column is stored as text.`);
+  }
+  if (type === 'TIMESTAMP WITH TIME ZONE') {
+    if (dateFormats.size > 1) {
+      warnings.push(`Dates use ${dateFormats.size} different formats; they are normalized to ISO timestamps on import.`);
+    }
+    if (dayFirst) {
+      warnings.push('Numeric dates are read as day/month/year because some values have a day above 12.');
+    } else if (ambiguousDateCount > 0) {
+      warnings.push(`${ambiguousDateCount} date(s) like 03/04/2024 are ambiguous and are read as month/day/year.`);
+    }
+  }
+  if (emptyCount > 0) {
+    warnings.push(`${emptyCount} of ${data.length} value(s) are empty and will be stored as NULL.`);
   }
+  if (valueCount === 0) {
+    warnings.push('The column has no values, so its type defaults to VARCHAR(255).');
+  }
+
+  return { type, dayFirst, warnings, emptyCount };
+}
+
+const inferSqlType = (columnName, data) => analyzeColumn(columnName, data).type;
+
+// Infers the table schema of parsed rows: one entry per source header with its sanitized,
+// de-duplicated column name and inferred type.
+function inferSchema(userData) {
   if (!userData || userData.length === 0) {
-      // If userData is empty, we can't infer schema. Return a basic table or throw an error.
-      // For now, let's assume we need at least one row to infer.
-      throw new Error("User data is empty, cannot infer schema for dynamic table creation.");
+    // If userData is empty, we can't infer schema
+    throw new Error("User data is empty, cannot infer schema for dynamic table creation.");
+  }
+
+  // System columns are reserved so a CSV "id" column doesn't clash with the primary key
+  const usedNames = new Set(SYSTEM_COLUMNS.map(name => name.toLowerCase()));
+
+  return Object.keys(userData[0]).map(source => {
+    const { type, dayFirst, warnings, emptyCount } = analyzeColumn(source, userData);
+    const baseName = sanitizeColumnName(source);
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${baseName.slice(0, 58)}_${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    if (name !== source) {
+      warnings.unshift(`Header "${source}" becomes column "${name}".`);
+    }
+
+    return { source, name, type, dayFirst, warnings, emptyCount };
+  });
+}
+
+function generateDynamicCreateTableSql(table, schema) {
+  if (!table) {
+      throw new Error("Table name must be provided.");
+  }
+  if (!schema || schema.length === 0) {
+      throw new Error("At least one column is needed for dynamic table creation.");
   }
 
   const columns = ['"id" SERIAL PRIMARY KEY'];
 
-  const firstRow = userData[0];
-  Object.keys(firstRow).forEach(feature => {
-      // Sanitize feature name to be a valid SQL identifier
-      const sanitizedFeature = feature.replace(/[^a-zA-Z0-9_]/g, '_');
-      const sqlType = inferSqlTypeFunction(feature, userData); // Use the provided inference function
-      columns.push(`"${sanitizedFeature}" ${sqlType} `); // Add inferred type
+  schema.forEach(column => {
+      if (!COLUMN_TYPES[column.type]) {
+          throw new Error(`Unsupported column type "${column.type}" for "${column.name}".`);
+      }
+      columns.push(`"${sanitizeColumnName(column.name)}" ${column.type}`);
   });
 
   // Add standard timestamp columns
@@ -99,484 +1048,5773 @@ function generateDynamicCreateTableSql(tableName, userData, inferSqlTypeFunction
   columns.push('"updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP');
 
 
-  return `CREATE TABLE IF NOT EXISTS "${tableName}" (\n    ${columns.join(',\n    ')}\n);`;
+  return `CREATE TABLE IF NOT EXISTS ${qualifyTable(table)} (\n    ${columns.join(',\n    ')}\n);`;
+}
+
+// Converts parsed rows to the schema: keys become the column names, values are checked and
+// normalized for the column type. Returns the converted rows, the indexes of rows with values
+// that don't fit, up to maxErrors messages describing them and all messages per invalid row index.
+function convertRowsForSchema(userData, schema, { maxErrors = 50 } = {}) {
+  const errors = [];
+  const invalidRows = new Set();
+  const rowErrors = new Map();
+  let errorCount = 0;
+  const columns = schema.map(column => ({
+    ...column,
+    ...COLUMN_TYPES[column.type],
+    type: COLUMN_TYPES[column.type].infoSchemaType,
+  }));
+
+  const rows = userData.map((record, rowIndex) => {
+    const row = {};
+    columns.forEach(column => {
+      const result = coerceColumnValue(column, record[column.source], { dayFirst: column.dayFirst });
+      if (result.error) {
+        errorCount++;
+        invalidRows.add(rowIndex);
+        rowErrors.set(rowIndex, [...(rowErrors.get(rowIndex) || []), result.error]);
+        // Header is row 1, so data rows start at 2
+        if (errors.length < maxErrors) errors.push(`Row ${rowIndex + 2}: ${result.error}`);
+        row[column.name] = null;
+      } else {
+        row[column.name] = result.value;
+      }
+    });
+    return row;
+  });
+
+  return { rows, errors, errorCount, invalidRows, rowErrors };
+}
+
+// Applies client overrides ({ source, name, type, exclude }) to the inferred schema.
+// Returns the final schema of included columns and any validation errors.
+function applySchemaOverrides(inferredSchema, overrides = []) {
+  const errors = [];
+
+  if (!Array.isArray(overrides)) {
+    return { schema: inferredSchema, errors: ['"columns" must be an array.'] };
+  }
+
+  overrides.forEach(override => {
+    if (!inferredSchema.some(column => column.source === override?.source)) {
+      errors.push(`Unknown source column "${override?.source}".`);
+    }
+  });
+
+  const schema = [];
+  inferredSchema.forEach(column => {
+    const override = overrides.find(item => item?.source === column.source) || {};
+    if (override.exclude === true) return;
+
+    const type = override.type ? String(override.type).toUpperCase() : column.type;
+    if (!COLUMN_TYPES[type]) {
+      errors.push(`"${column.source}": type must be one of ${Object.keys(COLUMN_TYPES).join(', ')}.`);
+    }
+
+    const name = override.name !== undefined ? String(override.name) : column.name;
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]{0,62}$/.test(name)) {
+      errors.push(`"${column.source}": column name "${name}" may only contain letters, digits and underscores.`);
+    }
+
+    schema.push({ ...column, name, type, dayFirst: override.dayFirst ?? column.dayFirst });
+  });
+
+  const seen = new Set(SYSTEM_COLUMNS.map(name => name.toLowerCase()));
+  schema.forEach(column => {
+    if (seen.has(column.name.toLowerCase())) {
+      errors.push(`Column name "${column.name}" is used twice or is reserved.`);
+    }
+    seen.add(column.name.toLowerCase());
+  });
+
+  if (schema.length === 0) {
+    errors.push('At least one column must be imported.');
+  }
+
+  return { schema, errors };
 }
 
-const inferSqlType = (columnName, data) => {
-  let hasString = false;
-  let hasNumber = false;
-  let hasBoolean = false;
-  let hasDate = false;
+// Postgres accepts at most 65535 bind parameters per statement
+const MAX_QUERY_PARAMS = 65535;
+const DEFAULT_INSERT_BATCH_SIZE = parseInt(process.env.INSERT_BATCH_SIZE) || 500;
+
+const toSqlParam = (value) => {
+  if (value === null || value === undefined || value === '') return null; // Also handle empty strings as NULL
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Splits the rows (keyed by column name, see convertRowsForSchema) into parameterized multi-row
+// INSERT statements of at most batchSize rows. createdAt / updatedAt are left to their column defaults.
+function generateBatchInsertQueries(table, userData, batchSize = DEFAULT_INSERT_BATCH_SIZE) {
+  if (!table) {
+      throw new Error("Table name must be provided.");
+  }
+  if (!userData || userData.length === 0) {
+      return [];
+  }
+
+  // Dynamically get column names from the first record's keys
+  const columnNames = Object.keys(userData[0]);
+  const sanitizedColumnNames = columnNames.map(name => `"${sanitizeColumnName(name)}"`);
+  const rowsPerBatch = Math.max(1, Math.min(batchSize, Math.floor(MAX_QUERY_PARAMS / columnNames.length)));
+
+  const queries = [];
+  for (let start = 0; start < userData.length; start += rowsPerBatch) {
+    const batch = userData.slice(start, start + rowsPerBatch);
+    const params = [];
+    const valuesClauses = batch.map(record => {
+      const placeholders = columnNames.map(column => {
+        params.push(toSqlParam(record[column]));
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    queries.push({
+      text: `INSERT INTO ${qualifyTable(table)} (${sanitizedColumnNames.join(', ')})\nVALUES\n${valuesClauses.join(',\n')}`,
+      params,
+      rowCount: batch.length,
+    });
+  }
+
+  return queries;
+}
+
+// Replaces a dataset table with freshly imported rows inside one transaction: the old table is
+// dropped, the new one created and filled batch by batch. If any statement fails everything is
+// rolled back, so a broken import never leaves a half-filled table behind or loses the old one.
+// rows must already be converted for the schema with convertRowsForSchema.
+// onProgress is awaited after every batch with { rowsInserted, totalRows, batch, totalBatches };
+// throwing from it rolls the import back. beforeCommit(tx, outcome) runs last in the transaction,
+// for writes that must happen together with the rows (like the audit entry).
+async function importRowsIntoTable(table, userData, schema, { batchSize = DEFAULT_INSERT_BATCH_SIZE, onProgress = () => {}, beforeCommit = () => {} } = {}) {
+  const createTableSql = generateDynamicCreateTableSql(table, schema);
+  const insertQueries = generateBatchInsertQueries(table, userData, batchSize);
+
+  return withTransaction(async (tx, client) => {
+    let rowsInserted = 0;
+    await client.query(`CREATE SCHEMA IF NOT EXISTS "${table.schema}"`);
+    await client.query(`DROP TABLE IF EXISTS ${qualifyTable(table)}`);
+    await client.query(createTableSql);
+
+    for (const [index, query] of insertQueries.entries()) {
+      await client.query(query.text, query.params);
+      rowsInserted += query.rowCount;
+      const progress = { rowsInserted, totalRows: userData.length, batch: index + 1, totalBatches: insertQueries.length };
+      await onProgress(progress);
+    }
+
+    const outcome = { rowsInserted, batches: insertQueries.length };
+    await beforeCommit(tx, outcome);
+    return outcome;
+  });
+}
+
+const IMPORT_MODES = ['replace', 'append', 'upsert'];
+
+// Maps an existing table column back to the COLUMN_TYPES key used for conversion and casts
+const getColumnTypeKey = (column) => Object.keys(COLUMN_TYPES).find(key => {
+  const type = COLUMN_TYPES[key];
+  return type.infoSchemaType === column.type && (type.maxLength ?? null) === (column.maxLength ?? null);
+}) || 'TEXT';
+
+// Lines an incoming schema up with the columns of an existing dataset table. Columns already in
+// the table keep the table's type, new ones are added with their inferred type, and table
+// columns the file doesn't have are reported as missing (left NULL on insert, untouched on update).
+function reconcileSchema(schema, existingColumns) {
+  const tableColumns = existingColumns.filter(column => !SYSTEM_COLUMNS.includes(column.name));
+  const addedColumns = [];
+
+  const mergedSchema = schema.map(column => {
+    const existing = tableColumns.find(tableColumn => tableColumn.name === column.name);
+    if (!existing) {
+      addedColumns.push(column);
+      return column;
+    }
+    return { ...column, type: getColumnTypeKey(existing) };
+  });
+
+  const missingColumns = tableColumns
+    .filter(tableColumn => !schema.some(column => column.name === tableColumn.name))
+    .map(tableColumn => tableColumn.name);
+
+  return { schema: mergedSchema, addedColumns, missingColumns };
+}
+
+// Works out how a parsed file gets written to a dataset table for the chosen import mode.
+// Returns { errors } when it can't be imported. Replace mode (or a dataset without a table yet)
+// rejects the whole file on bad values unless rejectInvalidRows is set; append and upsert skip the
+// offending rows instead. Skipped rows are listed in "rejected" as { index, reasons }.
+async function planDatasetImport(sql, { workspace, datasetId, userData, schema, mode = 'replace', keyColumn, rejectInvalidRows = false }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    return { errors: [`mode must be one of ${IMPORT_MODES.join(', ')}.`] };
+  }
+  if (mode === 'upsert' && !keyColumn) {
+    return { errors: ['keyColumn is required for upsert imports.'] };
+  }
+
+  const table = getDatasetTable(workspace, datasetId);
+  const existingColumns = mode === 'replace' ? [] : await getTableColumns(sql, table);
+
+  if (existingColumns.length === 0) {
+    const { rows, errors, errorCount, invalidRows, rowErrors } = convertRowsForSchema(userData, schema);
+    if (errorCount > 0 && !rejectInvalidRows) {
+      return { errors: [`${errorCount} value(s) don't match the column types.`, ...errors] };
+    }
+    return {
+      mode: 'replace',
+      requestedMode: mode,
+      table,
+      schema,
+      rows: rows.filter((_, index) => !invalidRows.has(index)),
+      rejected: [...rowErrors].map(([index, reasons]) => ({ index, reasons })),
+    };
+  }
+
+  const reconciled = reconcileSchema(schema, existingColumns);
+
+  let key = null;
+  if (mode === 'upsert') {
+    // The key can be given as the table column name or the original header
+    key = reconciled.schema.find(column => column.name === keyColumn || column.source === keyColumn)?.name;
+    if (!key || reconciled.addedColumns.some(column => column.name === key)) {
+      return { errors: [`Key column "${keyColumn}" must exist in both the file and the dataset.`] };
+    }
+  }
+
+  const { rows, errors, invalidRows, rowErrors } = convertRowsForSchema(userData, reconciled.schema);
+  const skippedReasons = [...errors];
+  let validRows = rows.filter((_, index) => !invalidRows.has(index));
+  let skipped = invalidRows.size;
+
+  if (mode === 'upsert') {
+    // Rows without a key can't be matched, and for repeated keys the last row in the file wins
+    const rowsByKey = new Map();
+    validRows.forEach(row => {
+      if (row[key] === null) {
+        skipped++;
+        return;
+      }
+      if (rowsByKey.has(String(row[key]))) skipped++;
+      rowsByKey.set(String(row[key]), row);
+    });
+    if (rowsByKey.size < validRows.length) {
+      skippedReasons.push(`${validRows.length - rowsByKey.size} row(s) had an empty or repeated "${key}".`);
+    }
+    validRows = [...rowsByKey.values()];
+  }
+
+  return {
+    mode,
+    requestedMode: mode,
+    table,
+    schema: reconciled.schema,
+    rows: validRows,
+    keyColumn: key,
+    addedColumns: reconciled.addedColumns,
+    missingColumns: reconciled.missingColumns,
+    skipped,
+    skippedReasons,
+    rejected: [...rowErrors].map(([index, reasons]) => ({ index, reasons })),
+  };
+}
+
+// Builds one UPDATE ... FROM (VALUES) and one INSERT ... WHERE NOT EXISTS per batch. Matching on
+// the key this way works without a unique constraint on it; a table that already holds several
+// rows with the same key gets all of them updated.
+function generateBatchUpsertQueries(table, rows, schema, keyColumn, batchSize = DEFAULT_INSERT_BATCH_SIZE) {
+  const columnNames = schema.map(column => sanitizeColumnName(column.name));
+  const identifiers = columnNames.map(name => `"${name}"`).join(', ');
+  const assignments = columnNames
+    .filter(name => name !== keyColumn)
+    .map(name => `"${name}" = incoming."${name}"`);
+  assignments.push('"updatedAt" = CURRENT_TIMESTAMP');
+  const rowsPerBatch = Math.max(1, Math.min(batchSize, Math.floor(MAX_QUERY_PARAMS / columnNames.length)));
+
+  const queries = [];
+  for (let start = 0; start < rows.length; start += rowsPerBatch) {
+    const batch = rows.slice(start, start + rowsPerBatch);
+    const params = [];
+    const valuesClauses = batch.map(record => {
+      const placeholders = schema.map(column => {
+        params.push(toSqlParam(record[column.name]));
+        return `$${params.length}::${column.type}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    const incoming = `(VALUES\n${valuesClauses.join(',\n')}) AS incoming (${identifiers})`;
+
+    queries.push({
+      updateText: `UPDATE ${qualifyTable(table)} AS target
+        SET ${assignments.join(', ')}
+        FROM ${incoming}
+        WHERE target."${keyColumn}" = incoming."${keyColumn}"
+        RETURNING incoming."${keyColumn}" AS "key"`,
+      insertText: `INSERT INTO ${qualifyTable(table)} (${identifiers})
+        SELECT ${columnNames.map(name => `incoming."${name}"`).join(', ')}
+        FROM ${incoming}
+        WHERE NOT EXISTS (SELECT 1 FROM ${qualifyTable(table)} AS target WHERE target."${keyColumn}" = incoming."${keyColumn}")`,
+      params,
+      rowCount: batch.length,
+    });
+  }
+
+  return queries;
+}
+
+// Appends or upserts planned rows into an existing dataset table in one transaction, adding the
+// plan's new columns first. Everything is rolled back if any batch fails. beforeCommit works as
+// for importRowsIntoTable.
+async function mergeRowsIntoTable(plan, { batchSize = DEFAULT_INSERT_BATCH_SIZE, onProgress = () => {}, beforeCommit = () => {} } = {}) {
+  const { table, rows, schema, mode, keyColumn } = plan;
+  const queries = mode === 'upsert'
+    ? generateBatchUpsertQueries(table, rows, schema, keyColumn, batchSize)
+    : generateBatchInsertQueries(table, rows, batchSize);
+
+  return withTransaction(async (tx, client) => {
+    let inserted = 0;
+    let updated = 0;
+
+    for (const column of plan.addedColumns) {
+      await client.query(`ALTER TABLE ${qualifyTable(table)} ADD COLUMN "${sanitizeColumnName(column.name)}" ${column.type}`);
+    }
+
+    for (const [index, query] of queries.entries()) {
+      if (mode === 'upsert') {
+        const updateResult = await client.query(query.updateText, query.params);
+        updated += new Set(updateResult.rows.map(row => String(row.key))).size;
+        const insertResult = await client.query(query.insertText, query.params);
+        inserted += insertResult.rowCount;
+      } else {
+        const insertResult = await client.query(query.text, query.params);
+        inserted += insertResult.rowCount;
+      }
+      const progress = { rowsProcessed: inserted + updated, totalRows: rows.length, batch: index + 1, totalBatches: queries.length };
+      await onProgress(progress);
+    }
+
+    const outcome = { inserted, updated, batches: queries.length };
+    await beforeCommit(tx, outcome);
+    return outcome;
+  });
+}
+
+// `clauses` comes from buildDataQueryClauses; without it all rows are returned ordered by "id"
+// `table` is a { schema, name } pair from getDatasetTable.
+async function generatePaginatedDataQuery(sql, table, offset, limit, clauses = { where: '', orderBy: '"id" ASC', params: [] }) {
+  if (!table) {
+    console.log('Error: Table name missing');
+    throw new Error("Table name must be provided.");
+  }
+
+  console.log('Starting generatePaginatedDataQuery', { table, offset, limit, clauses });
+
+  // Query 1: Fetch column names
+  console.log('Query 1: Fetching column names from information_schema.columns');
+  const columnsData = await sql`SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema = ${table.schema}
+      AND table_name = ${table.name}
+    ORDER BY ordinal_position`;
+  console.log('Query 1 result:', columnsData);
+
+  // Ensure columnsData is an array
+  if (!Array.isArray(columnsData)) {
+    console.log('Error: columnsData is not an array:', columnsData);
+    throw new Error("Expected sql() to return an array of objects for column names.");
+  }
+
+  // Extract column names and filter out excluded ones
+  const columnsToExclude = ['createdAt', 'updatedAt'];
+  const desiredColumns = columnsData
+    .map(row => row.column_name)
+    .filter(col => !columnsToExclude.includes(col));
+  console.log('Desired columns:', desiredColumns);
+
+  if (desiredColumns.length === 0) {
+    console.log('Error: No selectable columns found for table', table);
+    throw new Error(`No selectable columns found for table "${table.name}" after exclusion.`);
+  }
+
+  // Sanitize column names
+  const selectClause = desiredColumns.map(col => `"${col.replace(/[^a-zA-Z0-9_]/g, '_')}"`).join(', ');
+  console.log('Generated SELECT clause:', selectClause);
+
+  // Query 2: Count matching records
+  console.log('Query 2: Counting records in', table);
+  const countQuery = `SELECT COUNT(*) FROM ${qualifyTable(table)} ${clauses.where}`;
+  console.log('Generated COUNT query:', countQuery);
+  const countResult = await sql.query(countQuery, clauses.params); // Use sql() for raw query
+  console.log('Query 2 result:', countResult);
+  const count = countResult[0].count; // Adjust based on actual result structure
+
+  // Query 3: Fetch paginated records
+  console.log('Query 3: Fetching paginated records');
+  const rowsQuery = `
+    SELECT ${selectClause}
+    FROM ${qualifyTable(table)}
+    ${clauses.where}
+    ORDER BY ${clauses.orderBy}
+    OFFSET $${clauses.params.length + 1}
+    LIMIT $${clauses.params.length + 2}`;
+  console.log('Generated ROWS query:', rowsQuery);
+  const rows = await sql.query(rowsQuery, [...clauses.params, offset, limit]); // Use sql() for raw query
+  console.log('Query 3 result:', rows);
+
+  return {
+    count,
+    rows
+  };
+}
+
+// Columns every dataset table gets that aren't part of the uploaded data
+const SYSTEM_COLUMNS = ['id', 'createdAt', 'updatedAt'];
+
+async function getTableColumns(sql, table) {
+  const columnsData = await sql`SELECT column_name, data_type, character_maximum_length
+    FROM information_schema.columns
+    WHERE table_schema = ${table.schema}
+      AND table_name = ${table.name}
+    ORDER BY ordinal_position`;
+
+  return columnsData.map(row => ({
+    name: row.column_name,
+    type: row.data_type,
+    maxLength: row.character_maximum_length,
+  }));
+}
+
+// Checks a single value against the Postgres type inferSqlType picked for its column.
+// Returns { value } with the value to bind, or { error } describing why it was rejected.
+function coerceColumnValue(column, value, { dayFirst = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null };
+  }
+
+  switch (column.type) {
+    case 'numeric':
+    case 'integer':
+    case 'bigint':
+    case 'double precision': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        return { error: `"${column.name}" must be a number.` };
+      }
+      if ((column.type === 'integer' || column.type === 'bigint') && !Number.isInteger(number)) {
+        return { error: `"${column.name}" must be an integer.` };
+      }
+      // Strings are bound as-is so NUMERIC keeps digits beyond double precision
+      return { value: typeof value === 'string' ? value.trim() : number };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+        return { value: value.trim().toLowerCase() === 'true' };
+      }
+      return { error: `"${column.name}" must be true or false.` };
+    }
+    case 'timestamp with time zone':
+    case 'timestamp without time zone':
+    case 'date': {
+      const date = parseDateValue(value, { dayFirst });
+      if (!date) {
+        return { error: `"${column.name}" must be a valid date.` };
+      }
+      return { value: column.type === 'date' ? date.toISOString().slice(0, 10) : date.toISOString() };
+    }
+    default: {
+      if (typeof value === 'object') {
+        return { error: `"${column.name}" must be a string.` };
+      }
+      const text = String(value);
+      if (column.maxLength && text.length > column.maxLength) {
+        return { error: `"${column.name}" must be at most ${column.maxLength} characters.` };
+      }
+      return { value: text };
+    }
+  }
+}
+
+// Validates a row payload against the table columns. With partial set (PATCH) only the
+// given columns are checked; otherwise missing columns are stored as NULL.
+function validateRowValues(columns, payload, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { errors: ['Row values must be a JSON object.'], values };
+  }
+
+  const editableColumns = columns.filter(column => !SYSTEM_COLUMNS.includes(column.name));
+
+  Object.keys(payload).forEach(key => {
+    if (SYSTEM_COLUMNS.includes(key)) {
+      errors.push(`"${key}" is managed by the server and can't be set.`);
+    } else if (!editableColumns.some(column => column.name === key)) {
+      errors.push(`Unknown column "${key}".`);
+    }
+  });
+
+  editableColumns.forEach(column => {
+    if (!(column.name in payload)) {
+      if (!partial) values[column.name] = null;
+      return;
+    }
+    const result = coerceColumnValue(column, payload[column.name]);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values[column.name] = result.value;
+    }
+  });
+
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push('At least one column must be provided.');
+  }
+
+  return { errors, values };
+}
+
+const STRING_COLUMN_TYPES = ['character varying', 'text', 'character'];
+const ORDERED_COLUMN_TYPES = ['numeric', 'integer', 'bigint', 'double precision', 'timestamp with time zone', 'timestamp without time zone', 'date'];
+const FILTER_OPERATORS = ['eq', 'neq', 'contains', 'gt', 'gte', 'lt', 'lte', 'between', 'isNull', 'notNull'];
+const COMPARISON_OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Escapes LIKE wildcards so user input is matched literally
+const toLikePattern = (text) => `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+
+// Turns the /api/data query string into parameterized WHERE / ORDER BY clauses.
+// Column names are only ever taken from information_schema, values always go through params.
+//   sortBy=<column>&sortOrder=asc|desc
+//   search=<text>  (case-insensitive match across string columns)
+//   filters=[{"column":"amount","op":"between","value":[100,500]}, {"column":"email","op":"isNull"}]
+export function buildDataQueryClauses(columns, query = {}) {
+  const errors = [];
+  const conditions = [];
+  const params = [];
+  const findColumn = (name) => columns.find(column => column.name === name);
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  let filters = query.filters ?? [];
+  if (typeof filters === 'string') {
+    try {
+      filters = JSON.parse(filters);
+    } catch {
+      errors.push('"filters" must be a JSON array.');
+      filters = [];
+    }
+  }
+  if (!Array.isArray(filters)) {
+    errors.push('"filters" must be a JSON array.');
+    filters = [];
+  }
+
+  filters.forEach((filter, index) => {
+    const column = findColumn(filter?.column);
+    if (!column) {
+      errors.push(`Filter ${index + 1}: unknown column "${filter?.column}".`);
+      return;
+    }
+    if (!FILTER_OPERATORS.includes(filter.op)) {
+      errors.push(`Filter ${index + 1}: operator must be one of ${FILTER_OPERATORS.join(', ')}.`);
+      return;
+    }
+
+    const identifier = `"${column.name}"`;
+    const coerce = (value) => {
+      const result = coerceColumnValue(column, value);
+      if (result.error) errors.push(`Filter ${index + 1}: ${result.error}`);
+      return result.value;
+    };
+
+    switch (filter.op) {
+      case 'isNull':
+        conditions.push(`${identifier} IS NULL`);
+        break;
+      case 'notNull':
+        conditions.push(`${identifier} IS NOT NULL`);
+        break;
+      case 'contains':
+        if (!STRING_COLUMN_TYPES.includes(column.type)) {
+          errors.push(`Filter ${index + 1}: "contains" only works on text columns.`);
+          break;
+        }
+        conditions.push(`${identifier} ILIKE ${addParam(toLikePattern(filter.value ?? ''))}`);
+        break;
+      case 'between': {
+        if (!ORDERED_COLUMN_TYPES.includes(column.type)) {
+          errors.push(`Filter ${index + 1}: "between" only works on numeric and date columns.`);
+          break;
+        }
+        if (!Array.isArray(filter.value) || filter.value.length !== 2) {
+          errors.push(`Filter ${index + 1}: "between" needs a [from, to] value.`);
+          break;
+        }
+        // Either bound may be null for an open-ended range
+        const [from, to] = filter.value.map(coerce);
+        if (from !== null) conditions.push(`${identifier} >= ${addParam(from)}`);
+        if (to !== null) conditions.push(`${identifier} <= ${addParam(to)}`);
+        break;
+      }
+      default: {
+        if (filter.op !== 'eq' && filter.op !== 'neq' && !ORDERED_COLUMN_TYPES.includes(column.type)) {
+          errors.push(`Filter ${index + 1}: "${filter.op}" only works on numeric and date columns.`);
+          break;
+        }
+        const value = coerce(filter.value);
+        if (value === null) {
+          errors.push(`Filter ${index + 1}: a value is required, use isNull to match empty cells.`);
+          break;
+        }
+        conditions.push(`${identifier} ${COMPARISON_OPERATORS[filter.op]} ${addParam(value)}`);
+      }
+    }
+  });
+
+  if (typeof query.search === 'string' && query.search.trim() !== '') {
+    const searchColumns = columns.filter(column => STRING_COLUMN_TYPES.includes(column.type));
+    if (searchColumns.length > 0) {
+      const placeholder = addParam(toLikePattern(query.search.trim()));
+      conditions.push(`(${searchColumns.map(column => `"${column.name}" ILIKE ${placeholder}`).join(' OR ')})`);
+    } else {
+      conditions.push('FALSE');
+    }
+  }
+
+  let orderBy = '"id" ASC';
+  if (query.sortBy) {
+    const sortColumn = findColumn(query.sortBy);
+    const sortOrder = String(query.sortOrder || 'asc').toLowerCase();
+    if (!sortColumn) {
+      errors.push(`Unknown sort column "${query.sortBy}".`);
+    } else if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+      errors.push('"sortOrder" must be asc or desc.');
+    } else if (sortColumn.name !== 'id') {
+      // "id" breaks ties so pages stay stable
+      orderBy = `"${sortColumn.name}" ${sortOrder.toUpperCase()} NULLS LAST, "id" ASC`;
+    } else {
+      orderBy = `"id" ${sortOrder.toUpperCase()}`;
+    }
+  }
+
+  return {
+    errors,
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    orderBy,
+    params,
+  };
+}
+
+// Query parameters read by buildDataQueryClauses
+const dataQueryProperties = {
+  sortBy: { type: 'string', description: 'Column to sort by.' },
+  sortOrder: { type: 'string', enum: ['asc', 'desc', 'ASC', 'DESC'] },
+  search: { type: 'string', description: 'Case-insensitive match across text columns.' },
+  filters: { type: 'string', description: `JSON array of { column, op, value } with op one of ${FILTER_OPERATORS.join(', ')}.` },
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function rowsToCsv(columnNames, rows) {
+  const lines = [columnNames.map(escapeCsvValue).join(',')];
+  rows.forEach(row => {
+    lines.push(columnNames.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const csvResponses = (description) => ({ 200: { description, content: { 'text/csv': { schema: { type: 'string' } } } } });
+
+// Serializes the current contents of a dataset table (without system columns) as CSV
+async function buildTableCsv(sql, table) {
+  const columnNames = (await getTableColumns(sql, table))
+    .map(column => column.name)
+    .filter(name => !SYSTEM_COLUMNS.includes(name));
+
+  const rows = await sql.query(`SELECT ${columnNames.map(name => `"${name}"`).join(', ')} FROM ${qualifyTable(table)} ORDER BY "id" ASC`);
+  return rowsToCsv(columnNames, rows);
+}
+
+// Row edits only mark the stored file stale (see editRowsWithAudit). It is rebuilt from the table
+// and overwritten (on the provider it is stored with) when it's read next, for an export or the AI
+// service, so a burst of edits uploads the file once. Returns the dataset with the current file.
+async function ensureDatasetFile(sql, uploadedFile) {
+  if (!uploadedFile.fileStale) return uploadedFile;
+
+  const workspaces = await sql`SELECT * FROM "Workspace" WHERE "id" = ${uploadedFile.workspaceId}`;
+  const csvContent = await buildTableCsv(sql, getDatasetTable(workspaces[0], uploadedFile.datasetId));
+  const stored = await getStorageProvider(uploadedFile.storageProvider).upload(uploadedFile.publicId, Buffer.from(csvContent));
+
+  // An edit made meanwhile bumped the version and keeps the file stale
+  await sql`UPDATE "UploadedFile"
+    SET "secureUrl" = ${stored.url}, "fileStale" = FALSE
+    WHERE "id" = ${uploadedFile.id} AND "version" = ${uploadedFile.version}`;
+  return { ...uploadedFile, secureUrl: stored.url, fileStale: false };
+}
+
+app.get("/api/test", validateRequest({
+  summary: 'Check that the API is up',
+}), async (req,res)=>{
+  console.log("test");
+  return res.status(200).json({ message: "okay" })
+})
+
+app.post("/api/auth/login", validateRequest({
+  summary: 'Log in and open a session',
+  body: objectSchema({
+    email: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+  }, { required: ['email', 'password'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { email, password } = req.body;
+
+    const user = (await sql`SELECT * FROM "User" WHERE "email" = ${email.trim().toLowerCase()}`)[0];
+    if (!(await verifyPassword(password, user))) {
+      return res.status(401).json({ error: 'Invalid email or password.' });
+    }
+
+    const sessionId = crypto.randomUUID();
+    const tokens = issueTokens(user, sessionId);
+    await sql`INSERT INTO "Session" ("id", "userId", "refreshTokenHash", "expiresAt")
+      VALUES (${sessionId}, ${user.id}, ${hashToken(tokens.refreshToken)}, CURRENT_TIMESTAMP + ${`${REFRESH_TOKEN_TTL_DAYS} days`}::interval)`;
+
+    return res.status(200).json({ ...tokens, user: toPublicUser(user) });
+  } catch (error) {
+    console.error("Error in /api/auth/login:", error);
+    res.status(500).json({ error: error.message || 'Failed to log in.' });
+  }
+})
+
+// Exchanges a refresh token for a new access token. The refresh token is rotated on every call;
+// presenting the token the current one replaced revokes the whole session, since one of the two
+// may have been stolen.
+app.post("/api/auth/refresh", validateRequest({
+  summary: 'Exchange a refresh token for new tokens',
+  body: objectSchema({ refreshToken: { type: 'string', minLength: 1 } }, { required: ['refreshToken'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { refreshToken } = req.body;
+
+    const session = (await sql`SELECT s.*, u."email", u."role", u."createdAt" AS "userCreatedAt", u."updatedAt" AS "userUpdatedAt"
+      FROM "Session" s
+      JOIN "User" u ON u."id" = s."userId"
+      WHERE s."refreshTokenHash" = ${hashToken(refreshToken)}`)[0];
+
+    if (!session) {
+      const reused = await sql`UPDATE "Session" SET "revokedAt" = CURRENT_TIMESTAMP
+        WHERE "previousRefreshTokenHash" = ${hashToken(refreshToken)} AND "revokedAt" IS NULL
+        RETURNING "id"`;
+      if (reused.length > 0) {
+        console.warn(`Revoked session ${reused[0].id}: a rotated refresh token was presented again`);
+      }
+      return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+    }
+    if (session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+    }
+
+    const user = { id: session.userId, email: session.email, role: session.role, createdAt: session.userCreatedAt, updatedAt: session.userUpdatedAt };
+    const tokens = issueTokens(user, session.id);
+    const rotated = await sql`UPDATE "Session"
+      SET "refreshTokenHash" = ${hashToken(tokens.refreshToken)}, "previousRefreshTokenHash" = "refreshTokenHash", "lastUsedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${session.id} AND "refreshTokenHash" = ${hashToken(refreshToken)}
+      RETURNING "id"`;
+
+    if (rotated.length === 0) {
+      // Lost a race with another refresh of the same token
+      await sql`UPDATE "Session" SET "revokedAt" = CURRENT_TIMESTAMP WHERE "id" = ${session.id}`;
+      return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+    }
+
+    return res.status(200).json({ ...tokens, user: toPublicUser(user) });
+  } catch (error) {
+    console.error("Error in /api/auth/refresh:", error);
+    res.status(500).json({ error: error.message || 'Failed to refresh session.' });
+  }
+})
+
+app.post("/api/auth/logout", validateRequest({
+  summary: 'Revoke the current session',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    await sql`UPDATE "Session" SET "revokedAt" = CURRENT_TIMESTAMP WHERE "id" = ${req.user.sessionId} AND "revokedAt" IS NULL`;
+    return res.status(200).json({ message: 'Logged out successfully.' });
+  } catch (error) {
+    console.error("Error in /api/auth/logout:", error);
+    res.status(500).json({ error: error.message || 'Failed to log out.' });
+  }
+})
+
+app.get("/api/auth/me", validateRequest({
+  summary: 'The logged-in user',
+}), async (req,res)=>{
+  return res.status(200).json({ user: toPublicUser(req.user) });
+})
+
+app.get("/api/users", requireUserRole('admin'), validateRequest({
+  summary: 'List users',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const users = await sql`SELECT * FROM "User" ORDER BY "id" ASC`;
+    return res.status(200).json({ users: users.map(toPublicUser) });
+  } catch (error) {
+    console.error("Error in /api/users:", error);
+    res.status(500).json({ error: error.message || 'Failed to list users.' });
+  }
+})
+
+app.post("/api/users", requireUserRole('admin'), validateRequest({
+  summary: 'Create a user',
+  body: objectSchema({
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: PASSWORD_MIN_LENGTH },
+    role: { type: 'string', enum: ROLES },
+  }, { required: ['email', 'password'] }),
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { email, password, role = 'viewer' } = req.body;
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const created = await sql`INSERT INTO "User" ("email", "passwordHash", "role")
+      VALUES (${email.trim().toLowerCase()}, ${passwordHash}, ${role})
+      ON CONFLICT ("email") DO NOTHING
+      RETURNING *`;
+
+    if (created.length === 0) {
+      return res.status(409).json({ error: 'A user with this email already exists.' });
+    }
+
+    return res.status(201).json({ user: toPublicUser(created[0]) });
+  } catch (error) {
+    console.error("Error in POST /api/users:", error);
+    res.status(500).json({ error: error.message || 'Failed to create user.' });
+  }
+})
+
+// Anyone changing their own password gives the current one, admins included, so a stolen access
+// token alone can't take an account over. Admins set the passwords of other users without it.
+// Returns the error to answer with as { status, error }, or null.
+export async function checkPasswordChange(actor, userId, currentPassword) {
+  if (userId !== actor.id) return null;
+  if (!currentPassword) {
+    return { status: 400, error: 'currentPassword is required to change your password.' };
+  }
+  if (!(await verifyPassword(currentPassword, actor))) {
+    return { status: 403, error: 'The current password is incorrect.' };
+  }
+  return null;
+}
+
+// Admins can change any user's role or password; everyone can change their own password, see
+// checkPasswordChange
+app.patch("/api/users/:id", validateRequest({
+  summary: 'Change a password or account role',
+  description: 'Users can change their own password, giving the current one as currentPassword; admins change the passwords and roles of other users without it.',
+  params: integerParams('id'),
+  body: objectSchema({
+    password: { type: 'string', minLength: PASSWORD_MIN_LENGTH },
+    currentPassword: { type: 'string', description: 'Required when changing your own password.' },
+    role: { type: 'string', enum: ROLES },
+  }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const userId = Number(req.params.id);
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && userId !== req.user.id) {
+      return res.status(403).json({ error: 'This action requires the admin role.' });
+    }
+
+    const { password, currentPassword, role } = req.body || {};
+    if (role !== undefined && !isAdmin) {
+      return res.status(403).json({ error: 'Only admins can change roles.' });
+    }
+    if (password !== undefined) {
+      const passwordError = await checkPasswordChange(req.user, userId, currentPassword);
+      if (passwordError) {
+        return res.status(passwordError.status).json({ error: passwordError.error });
+      }
+    }
+    if (role !== undefined && userId === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins can\'t remove their own admin role.' });
+    }
+    if (password === undefined && role === undefined) {
+      return res.status(400).json({ error: 'Invalid user.', details: ['password or role is required.'] });
+    }
+
+    const passwordHash = password !== undefined ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+    const updated = await sql`UPDATE "User"
+      SET "passwordHash" = COALESCE(${passwordHash}, "passwordHash"),
+        "role" = COALESCE(${role ?? null}, "role"),
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${userId}
+      RETURNING *`;
+
+    if (updated.length === 0) {
+      return res.status(404).json({ error: `User ${req.params.id} not found.` });
+    }
+
+    // A new password signs the user out everywhere else
+    if (passwordHash) {
+      await sql`UPDATE "Session" SET "revokedAt" = CURRENT_TIMESTAMP
+        WHERE "userId" = ${userId} AND "revokedAt" IS NULL AND "id" <> ${req.user.sessionId}`;
+    }
+
+    return res.status(200).json({ user: toPublicUser(updated[0]) });
+  } catch (error) {
+    console.error("Error in PATCH /api/users/:id:", error);
+    res.status(500).json({ error: error.message || 'Failed to update user.' });
+  }
+})
+
+app.delete("/api/users/:id", requireUserRole('admin'), validateRequest({
+  summary: 'Delete a user',
+  params: integerParams('id'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const userId = Number(req.params.id);
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Admins can\'t delete themselves.' });
+    }
+
+    const deleted = await sql`DELETE FROM "User" WHERE "id" = ${userId} RETURNING "id"`;
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `User ${req.params.id} not found.` });
+    }
+
+    return res.status(200).json({ message: `User ${userId} deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/users/:id:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete user.' });
+  }
+})
+
+const toPublicWorkspace = (workspace) => ({
+  id: workspace.slug,
+  name: workspace.name,
+  role: workspace.role,
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt,
+});
+
+app.get("/api/workspaces", validateRequest({
+  summary: 'List the caller\'s workspaces',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const isUserAdmin = req.user.role === 'admin';
+    const workspaces = await sql`SELECT w.*, m."role" AS "memberRole"
+      FROM "Workspace" w
+      LEFT JOIN "WorkspaceMember" m ON m."workspaceId" = w."id" AND m."userId" = ${req.user.id}
+      WHERE m."userId" IS NOT NULL OR ${isUserAdmin}
+      ORDER BY (w."slug" = ${DEFAULT_WORKSPACE_ID}) DESC, w."name" ASC`;
+
+    return res.status(200).json({
+      workspaces: workspaces.map(workspace => toPublicWorkspace({ ...workspace, role: isUserAdmin ? 'admin' : workspace.memberRole })),
+    });
+  } catch (error) {
+    console.error("Error in /api/workspaces:", error);
+    res.status(500).json({ error: error.message || 'Failed to list workspaces.' });
+  }
+})
+
+// Blank names are refused too, names are stored trimmed
+const workspaceNameSchema = { type: 'string', minLength: 1, maxLength: 255, pattern: '\\S' };
+
+// Creates the workspace schema and makes the creator its first admin
+app.post("/api/workspaces", requireUserRole('admin'), validateRequest({
+  summary: 'Create a workspace',
+  body: objectSchema({
+    id: { type: 'string', pattern: WORKSPACE_ID_PATTERN.source },
+    name: workspaceNameSchema,
+  }, { required: ['id', 'name'] }),
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { id, name } = req.body;
+
+    const schemaName = getWorkspaceSchemaName(id);
+    const created = await sql`INSERT INTO "Workspace" ("slug", "name", "schemaName")
+      VALUES (${id}, ${name.trim()}, ${schemaName})
+      ON CONFLICT DO NOTHING
+      RETURNING *`;
+    if (created.length === 0) {
+      return res.status(409).json({ error: `Workspace "${id}" already exists.` });
+    }
+
+    await sql.query(`CREATE SCHEMA IF NOT EXISTS "${schemaName}"`);
+    await sql`INSERT INTO "WorkspaceMember" ("workspaceId", "userId", "role")
+      VALUES (${created[0].id}, ${req.user.id}, 'admin')`;
+
+    return res.status(201).json(toPublicWorkspace({ ...created[0], role: 'admin' }));
+  } catch (error) {
+    console.error("Error in POST /api/workspaces:", error);
+    res.status(500).json({ error: error.message || 'Failed to create workspace.' });
+  }
+})
+
+app.patch("/api/workspaces/:workspaceId", requireRole('admin'), validateRequest({
+  summary: 'Rename a workspace',
+  params: workspaceParams,
+  body: objectSchema({ name: workspaceNameSchema }, { required: ['name'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const name = req.body.name.trim();
+
+    const updated = await sql`UPDATE "Workspace"
+      SET "name" = ${name}, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${req.workspace.id}
+      RETURNING *`;
+
+    return res.status(200).json(toPublicWorkspace({ ...updated[0], role: req.workspace.role }));
+  } catch (error) {
+    console.error("Error in PATCH /api/workspaces/:workspaceId:", error);
+    res.status(500).json({ error: error.message || 'Failed to rename workspace.' });
+  }
+})
+
+// Drops the workspace schema with all of its tables and removes its files
+app.delete("/api/workspaces/:workspaceId", requireUserRole('admin'), requireRole('admin'), validateRequest({
+  summary: 'Delete a workspace with all of its data',
+  params: workspaceParams,
+}), async (req,res)=>{
+  try {
+    if (req.workspace.slug === DEFAULT_WORKSPACE_ID) {
+      return res.status(400).json({ error: 'The default workspace can\'t be deleted.' });
+    }
+
+    // The files are removed once the deletion is committed, a failed one leaves them in place
+    const { uploadedFiles, versions } = await withTransaction(async (tx) => {
+      const uploadedFiles = await tx`SELECT * FROM "UploadedFile" WHERE "workspaceId" = ${req.workspace.id}`;
+      const versions = await tx`SELECT v.* FROM "DatasetVersion" v
+        JOIN "UploadedFile" f ON f."id" = v."uploadedFileId"
+        WHERE f."workspaceId" = ${req.workspace.id}`;
+      await tx.query(`DROP SCHEMA IF EXISTS "${req.workspace.schemaName}" CASCADE`);
+      await tx`DELETE FROM "Workspace" WHERE "id" = ${req.workspace.id}`;
+      // Entries don't reference the workspace row, so they outlive it
+      await recordAudit(tx, {
+        workspace: req.workspace,
+        actorId: req.user.id,
+        action: 'workspace.delete',
+        request: getAuditRequest(req),
+        details: { name: req.workspace.name, datasets: uploadedFiles.map(uploadedFile => uploadedFile.datasetId) },
+      });
+      return { uploadedFiles, versions };
+    });
+
+    for (const uploadedFile of uploadedFiles) {
+      try {
+        await removeStoredFile(uploadedFile);
+      } catch (error) {
+        console.error(`Failed to delete file ${uploadedFile.publicId}:`, error);
+      }
+    }
+    await removeVersionFiles(versions);
+
+    return res.status(200).json({ message: `Workspace "${req.workspace.slug}" deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/workspaces/:workspaceId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete workspace.' });
+  }
+})
+
+const toPublicMember = (member) => ({
+  userId: member.userId,
+  email: member.email,
+  role: member.role,
+  createdAt: member.createdAt,
+});
+
+app.get("/api/workspaces/:workspaceId/members", requireRole('viewer'), validateRequest({
+  summary: 'List workspace members',
+  params: workspaceParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const members = await sql`SELECT m.*, u."email"
+      FROM "WorkspaceMember" m
+      JOIN "User" u ON u."id" = m."userId"
+      WHERE m."workspaceId" = ${req.workspace.id}
+      ORDER BY u."email" ASC`;
+
+    return res.status(200).json({ members: members.map(toPublicMember) });
+  } catch (error) {
+    console.error("Error in /api/workspaces/:workspaceId/members:", error);
+    res.status(500).json({ error: error.message || 'Failed to list members.' });
+  }
+})
+
+// Adds an existing user by email, or changes their role when they are already a member
+app.post("/api/workspaces/:workspaceId/members", requireRole('admin'), validateRequest({
+  summary: 'Add a member or change their role',
+  params: workspaceParams,
+  body: objectSchema({
+    email: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: ROLES },
+  }, { required: ['email'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    const users = await sql`SELECT * FROM "User" WHERE "email" = ${email.trim().toLowerCase()}`;
+    if (users.length === 0) {
+      return res.status(404).json({ error: `User "${email}" not found.` });
+    }
+
+    const members = await sql`INSERT INTO "WorkspaceMember" ("workspaceId", "userId", "role")
+      VALUES (${req.workspace.id}, ${users[0].id}, ${role})
+      ON CONFLICT ("workspaceId", "userId") DO UPDATE SET "role" = EXCLUDED."role"
+      RETURNING *`;
+
+    return res.status(200).json(toPublicMember({ ...members[0], email: users[0].email }));
+  } catch (error) {
+    console.error("Error in POST /api/workspaces/:workspaceId/members:", error);
+    res.status(500).json({ error: error.message || 'Failed to add member.' });
+  }
+})
+
+app.patch("/api/workspaces/:workspaceId/members/:userId", requireRole('admin'), validateRequest({
+  summary: 'Change a member\'s role',
+  params: memberParams,
+  body: objectSchema({ role: { type: 'string', enum: ROLES } }, { required: ['role'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const userId = Number(req.params.userId);
+    const { role } = req.body;
+    if (userId === req.user.id && role !== 'admin' && req.user.role !== 'admin') {
+      return res.status(400).json({ error: 'Admins can\'t remove their own admin role.' });
+    }
+
+    const updated = await sql`UPDATE "WorkspaceMember" m
+      SET "role" = ${role}
+      FROM "User" u
+      WHERE u."id" = m."userId" AND m."workspaceId" = ${req.workspace.id} AND m."userId" = ${userId}
+      RETURNING m.*, u."email"`;
+    if (updated.length === 0) {
+      return res.status(404).json({ error: `User ${req.params.userId} is not a member of this workspace.` });
+    }
+
+    return res.status(200).json(toPublicMember(updated[0]));
+  } catch (error) {
+    console.error("Error in PATCH /api/workspaces/:workspaceId/members/:userId:", error);
+    res.status(500).json({ error: error.message || 'Failed to update member.' });
+  }
+})
+
+app.delete("/api/workspaces/:workspaceId/members/:userId", requireRole('admin'), validateRequest({
+  summary: 'Remove a member',
+  params: memberParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const userId = Number(req.params.userId);
+    if (userId === req.user.id && req.user.role !== 'admin') {
+      return res.status(400).json({ error: 'Admins can\'t remove themselves from a workspace.' });
+    }
+
+    const deleted = await sql`DELETE FROM "WorkspaceMember"
+      WHERE "workspaceId" = ${req.workspace.id} AND "userId" = ${userId}
+      RETURNING "userId"`;
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `User ${req.params.userId} is not a member of this workspace.` });
+    }
+
+    return res.status(200).json({ message: `User ${userId} removed from workspace "${req.workspace.slug}".` });
+  } catch (error) {
+    console.error("Error in DELETE /api/workspaces/:workspaceId/members/:userId:", error);
+    res.status(500).json({ error: error.message || 'Failed to remove member.' });
+  }
+})
+
+app.get("/api/jobs", requireRole('viewer'), validateRequest({
+  summary: 'List the latest jobs',
+  query: objectSchema({
+    status: { type: 'string', enum: JOB_STATUSES },
+    type: { type: 'string' },
+  }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { status = null, type = null } = req.query;
+    if (status !== null && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}.` });
+    }
+
+    const jobs = await sql`SELECT ${sql.unsafe(JOB_COLUMNS)} FROM "Job"
+      WHERE "workspaceId" = ${req.workspace.id}
+        AND (${status}::text IS NULL OR "status" = ${status})
+        AND (${type}::text IS NULL OR "type" = ${type})
+      ORDER BY "createdAt" DESC
+      LIMIT 50`;
+
+    return res.status(200).json({ jobs: jobs.map(job => toPublicJob(job, { includeResult: false })) });
+  } catch (error) {
+    console.error("Error in /api/jobs:", error);
+    res.status(500).json({ error: error.message || 'Failed to list jobs.' });
+  }
+})
+
+async function getWorkspaceJob(sql, workspace, jobId) {
+  const jobs = await sql`SELECT ${sql.unsafe(JOB_COLUMNS)} FROM "Job" WHERE "id"::text = ${jobId} AND "workspaceId" = ${workspace.id}`;
+  return jobs[0] || null;
+}
+
+// Polling also runs the next step of the job when it's due (see advanceJob)
+app.get("/api/jobs/:jobId", requireRole('viewer'), validateRequest({
+  summary: 'Job status, progress and result',
+  params: uuidParams('jobId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    let job = await getWorkspaceJob(sql, req.workspace, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.jobId} not found.` });
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      job = await advanceJob(sql, job.id) || await getWorkspaceJob(sql, req.workspace, req.params.jobId);
+    }
+
+    return res.status(200).json(toPublicJob(job));
+  } catch (error) {
+    console.error("Error in /api/jobs/:jobId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch job.' });
+  }
+})
+
+// Jobs can be cancelled and retried by whoever started them and by workspace admins
+const canManageJob = (req, job) => job.userId === req.user.id || req.workspace.role === 'admin';
+
+// A running step stops at its next progress report; an import already written stays in place
+app.post("/api/jobs/:jobId/cancel", requireRole('analyst'), validateRequest({
+  summary: 'Cancel a job',
+  params: uuidParams('jobId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const job = await getWorkspaceJob(sql, req.workspace, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.jobId} not found.` });
+    }
+    if (!canManageJob(req, job)) {
+      return res.status(403).json({ error: 'Only the user who started the job or a workspace admin can cancel it.' });
+    }
+
+    const cancelled = await sql`UPDATE "Job"
+      SET "status" = 'cancelled', ${sql.unsafe(DISCARD_JOB_INPUT)}, "lockedUntil" = NULL, "finishedAt" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${job.id} AND "status" IN ('queued', 'running')
+      RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+    if (cancelled.length === 0) {
+      return res.status(409).json({ error: `Job ${job.id} has already ${job.status}.` });
+    }
+
+    return res.status(200).json(toPublicJob(cancelled[0]));
+  } catch (error) {
+    console.error("Error in /api/jobs/:jobId/cancel:", error);
+    res.status(500).json({ error: error.message || 'Failed to cancel job.' });
+  }
+})
+
+// Runs a failed or cancelled job again from the step it stopped at. Jobs that stopped holding an
+// upload can't, the upload is dropped when they stop (see JOB_COLUMNS).
+app.post("/api/jobs/:jobId/retry", requireRole('analyst'), validateRequest({
+  summary: 'Retry a failed or cancelled job',
+  params: uuidParams('jobId'),
+  responses: jobAcceptedResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const job = await getWorkspaceJob(sql, req.workspace, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.jobId} not found.` });
+    }
+    if (!canManageJob(req, job)) {
+      return res.status(403).json({ error: 'Only the user who started the job or a workspace admin can retry it.' });
+    }
+    if (job.inputDiscarded) {
+      return res.status(409).json({ error: `The file of job ${job.id} was dropped when it stopped. Upload it again instead.` });
+    }
+
+    const retried = await sql`UPDATE "Job"
+      SET "status" = 'queued', "attempts" = 0, "error" = NULL, "errorDetails" = NULL,
+        "runAfter" = CURRENT_TIMESTAMP, "finishedAt" = NULL, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${job.id} AND "status" IN ('failed', 'cancelled') AND NOT "inputDiscarded"
+      RETURNING ${sql.unsafe(JOB_COLUMNS)}`;
+    if (retried.length === 0) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried, job ${job.id} is ${job.status}.` });
+    }
+
+    runJob(job.id).catch(error => console.error(`Error running job ${job.id}:`, error));
+    return sendJobAccepted(res, retried[0]);
+  } catch (error) {
+    console.error("Error in /api/jobs/:jobId/retry:", error);
+    res.status(500).json({ error: error.message || 'Failed to retry job.' });
+  }
+})
+
+// Cached AI results are returned with cache metadata. Otherwise (or with refresh=true) the analysis
+// runs as a job and these routes answer 202 with the job ID, see respondWithAiAnalysis.
+app.get("/api/dashboard-data", requireRole('viewer'), validateRequest({
+  summary: 'AI dashboard data of a dataset',
+  query: objectSchema({ datasetId: datasetIdSchema, refresh: refreshSchema }),
+  responses: aiResultResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+
+    return await respondWithAiAnalysis(sql, req, res, uploadedFile, 'dashboard-data');
+  } catch (error) {
+    console.error("Error in /api/dashboard-data:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch dashboard data.' });
+  }
+})
+
+app.get("/api/pattern-analysis-initial", requireRole('viewer'), validateRequest({
+  summary: 'AI pattern overview of a dataset',
+  query: objectSchema({ datasetId: datasetIdSchema, refresh: refreshSchema }),
+  responses: aiResultResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+
+    return await respondWithAiAnalysis(sql, req, res, uploadedFile, 'pattern-analysis-initial');
+  } catch (error) {
+    console.error("Error in /api/pattern-analysis-initial:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch pattern analysis.' });
+  }
+})
+
+app.post("/api/pattern-analysis-analyze", requireRole('analyst'), validateRequest({
+  summary: 'Mine association patterns in a dataset',
+  query: datasetQuery,
+  body: objectSchema({
+    minSupport: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Minimum support of a pattern, as a fraction of rows.' },
+    datasetId: datasetIdSchema,
+    refresh: refreshSchema,
+  }, { required: ['minSupport'] }),
+  responses: aiResultResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+
+    return await respondWithAiAnalysis(sql, req, res, uploadedFile, 'pattern-analysis-analyze', { min_support: String(req.body.minSupport) });
+  } catch (error) {
+    console.error("Error in /api/pattern-analysis-analyze:", error);
+    res.status(500).json({ error: error.message || 'Failed to analyze patterns.' });
+  }
+})
+
+app.post("/api/smart-question-examples", requireRole('analyst'), validateRequest({
+  summary: 'Example questions for a dataset',
+  query: datasetQuery,
+  body: objectSchema({ datasetId: datasetIdSchema, refresh: refreshSchema }),
+  responses: aiResultResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+
+    return await respondWithAiAnalysis(sql, req, res, uploadedFile, 'smart-question-examples');
+  } catch (error) {
+    console.error("Error in /api/smart-question-examples:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch question examples.' });
+  }
+});
+
+app.post("/api/question-answer", requireRole('analyst'), validateRequest({
+  summary: 'Ask a question about a dataset',
+  query: datasetQuery,
+  body: objectSchema({
+    question: { type: 'string', minLength: 1, maxLength: QUESTION_MAX_LENGTH },
+    datasetId: datasetIdSchema,
+    refresh: refreshSchema,
+  }, { required: ['question'] }),
+  responses: aiResultResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+    if (typeof req.body?.question !== 'string' || !req.body.question.trim()) {
+      return res.status(400).json({ error: 'question is required.' });
+    }
+
+    return await respondWithAiAnalysis(sql, req, res, uploadedFile, 'question-answer', { question: String(req.body.question) });
+  } catch (error) {
+    console.error("Error in /api/question-answer:", error);
+    res.status(500).json({ error: error.message || 'Failed to answer question.' });
+  }
+})
+
+app.get("/api/datasets", requireRole('viewer'), validateRequest({
+  summary: 'List datasets',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const datasets = await sql`SELECT "datasetId", "name", "originalFilename", "createdAt", "updatedAt"
+      FROM "UploadedFile"
+      WHERE "workspaceId" = ${req.workspace.id}
+        AND "datasetId" IS NOT NULL
+      ORDER BY "createdAt" ASC;`;
+
+    return res.status(200).json({ datasets });
+  } catch (error) {
+    console.error("Error in /api/datasets:", error);
+    res.status(500).json({ error: error.message || 'Failed to list datasets.' });
+  }
+})
+
+app.get("/api/datasets/:datasetId", requireRole('viewer'), validateRequest({
+  summary: 'Dataset details and columns',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    if (!isValidDatasetId(req.params.datasetId)) {
+      return res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    }
+
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+    const columns = await sql`SELECT column_name AS "name", data_type AS "type"
+      FROM information_schema.columns
+      WHERE table_schema = ${table.schema}
+        AND table_name = ${table.name}
+      ORDER BY ordinal_position`;
+
+    let rowCount = 0;
+    if (columns.length > 0) {
+      const countResult = await sql.query(`SELECT COUNT(*) FROM ${qualifyTable(table)}`);
+      rowCount = Number(countResult[0].count);
+    }
+
+    return res.status(200).json({
+      datasetId: uploadedFile.datasetId,
+      name: uploadedFile.name,
+      originalFilename: uploadedFile.originalFilename,
+      secureUrl: uploadedFile.secureUrl,
+      storageProvider: uploadedFile.storageProvider,
+      createdAt: uploadedFile.createdAt,
+      updatedAt: uploadedFile.updatedAt,
+      rowCount,
+      columns,
+    });
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch dataset.' });
+  }
+})
+
+// Serves the stored file from whichever provider holds it; secureUrl isn't reachable for local files
+app.get("/api/datasets/:datasetId/file", requireRole('viewer'), validateRequest({
+  summary: 'Download the stored file of a dataset',
+  params: datasetParams,
+  responses: csvResponses('The dataset file as CSV.'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const fileBuffer = await downloadStoredFile(await ensureDatasetFile(sql, uploadedFile));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${uploadedFile.datasetId}.csv"`);
+    return res.status(200).send(fileBuffer);
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/file:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch dataset file.' });
+  }
+})
+
+app.patch("/api/datasets/:datasetId", requireRole('admin'), validateRequest({
+  summary: 'Rename a dataset',
+  params: datasetParams,
+  body: objectSchema({ name: { type: 'string', minLength: 1, maxLength: 255 } }, { required: ['name'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 255) {
+      return res.status(400).json({ error: 'A dataset name of 1 to 255 characters is required.' });
+    }
+
+    const previous = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    const updated = await withTransaction(async (tx) => {
+      const renamed = await tx`UPDATE "UploadedFile"
+        SET "name" = ${name}, "updatedAt" = CURRENT_TIMESTAMP
+        WHERE "workspaceId" = ${req.workspace.id} AND "datasetId" = ${req.params.datasetId}
+        RETURNING "datasetId", "name", "originalFilename", "createdAt", "updatedAt";`;
+      if (renamed.length === 0) return renamed;
+
+      await recordAudit(tx, {
+        workspace: req.workspace,
+        actorId: req.user.id,
+        action: 'dataset.rename',
+        datasetId: renamed[0].datasetId,
+        request: getAuditRequest(req),
+        details: { from: previous?.name ?? null, to: name },
+      });
+      return renamed;
+    });
+
+    if (updated.length === 0) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    return res.status(200).json(updated[0]);
+  } catch (error) {
+    console.error("Error in PATCH /api/datasets/:datasetId:", error);
+    res.status(500).json({ error: error.message || 'Failed to rename dataset.' });
+  }
+})
+
+app.delete("/api/datasets/:datasetId", requireRole('admin'), validateRequest({
+  summary: 'Delete a dataset',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    await deleteDataset(req.workspace, uploadedFile, { actorId: req.user.id, request: getAuditRequest(req) });
+    await emitWebhookEvent(sql, req.workspace, 'dataset.deleted', { datasetId: uploadedFile.datasetId }, { userId: req.user.id });
+
+    return res.status(200).json({ message: `Dataset "${uploadedFile.datasetId}" deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/datasets/:datasetId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete dataset.' });
+  }
+})
+
+// Column values of a row, checked against the table by coerceColumnValue
+const rowValuesSchema = { type: 'object', additionalProperties: true, description: 'Values keyed by column name.' };
+const rowParams = objectSchema({ datasetId: datasetIdSchema, id: { type: 'integer', minimum: 1 } }, { required: ['datasetId', 'id'] });
+
+app.post("/api/datasets/:datasetId/rows", requireRole('analyst'), validateRequest({
+  summary: 'Add a row',
+  params: datasetParams,
+  body: rowValuesSchema,
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+    const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+
+    const columns = await getTableColumns(sql, table);
+    const { errors, values } = validateRowValues(columns, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid row values.', details: errors });
+    }
+
+    const columnNames = Object.keys(values);
+    const placeholders = columnNames.map((_, index) => `$${index + 1}`);
+    const inserted = await editRowsWithAudit(req, uploadedFile, 'row.create', tx => tx.query(
+      `INSERT INTO ${qualifyTable(table)} (${columnNames.map(name => `"${name}"`).join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING *`,
+      columnNames.map(name => values[name])
+    ), rows => ({ rowId: rows[0].id, columns: columnNames }));
+
+    await emitWebhookEvent(sql, req.workspace, 'row.created', { datasetId: uploadedFile.datasetId, row: inserted[0] }, { userId: req.user.id });
+
+    return res.status(201).json({ row: inserted[0] });
+  } catch (error) {
+    console.error("Error in POST /api/datasets/:datasetId/rows:", error);
+    res.status(500).json({ error: error.message || 'Failed to create row.' });
+  }
+})
+
+app.patch("/api/datasets/:datasetId/rows/:id", requireRole('analyst'), validateRequest({
+  summary: 'Change values of a row',
+  params: rowParams,
+  body: rowValuesSchema,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const rowId = Number(req.params.id);
+    if (!Number.isInteger(rowId) || rowId < 1) {
+      return res.status(400).json({ error: 'Row ID must be a positive integer.' });
+    }
+
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+    const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+
+    const columns = await getTableColumns(sql, table);
+    const { errors, values } = validateRowValues(columns, req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid row values.', details: errors });
+    }
+
+    const columnNames = Object.keys(values);
+    const assignments = columnNames.map((name, index) => `"${name}" = $${index + 1}`);
+    assignments.push('"updatedAt" = CURRENT_TIMESTAMP');
+    const updated = await editRowsWithAudit(req, uploadedFile, 'row.update', tx => tx.query(
+      `UPDATE ${qualifyTable(table)}
+      SET ${assignments.join(', ')}
+      WHERE "id" = $${columnNames.length + 1}
+      RETURNING *`,
+      [...columnNames.map(name => values[name]), rowId]
+    ), () => ({ rowId, columns: columnNames }));
+
+    if (updated.length === 0) {
+      return res.status(404).json({ error: `Row ${rowId} not found.` });
+    }
+
+    await emitWebhookEvent(sql, req.workspace, 'row.updated', { datasetId: uploadedFile.datasetId, row: updated[0] }, { userId: req.user.id });
+
+    return res.status(200).json({ row: updated[0] });
+  } catch (error) {
+    console.error("Error in PATCH /api/datasets/:datasetId/rows/:id:", error);
+    res.status(500).json({ error: error.message || 'Failed to update row.' });
+  }
+})
+
+app.delete("/api/datasets/:datasetId/rows/:id", requireRole('admin'), validateRequest({
+  summary: 'Delete a row',
+  params: rowParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const rowId = Number(req.params.id);
+    if (!Number.isInteger(rowId) || rowId < 1) {
+      return res.status(400).json({ error: 'Row ID must be a positive integer.' });
+    }
+
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+    const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+
+    const deleted = await editRowsWithAudit(req, uploadedFile, 'row.delete',
+      tx => tx.query(`DELETE FROM ${qualifyTable(table)} WHERE "id" = $1 RETURNING "id"`, [rowId]),
+      () => ({ rowId }));
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `Row ${rowId} not found.` });
+    }
+
+    await emitWebhookEvent(sql, req.workspace, 'row.deleted', { datasetId: uploadedFile.datasetId, rowId }, { userId: req.user.id });
+
+    return res.status(200).json({ message: `Row ${rowId} deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/datasets/:datasetId/rows/:id:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete row.' });
+  }
+})
+
+app.delete("/api/table", requireRole('admin'), validateRequest({
+  summary: 'Delete a dataset, including an orphaned table',
+  query: datasetQuery,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const datasetId = getRequestedDatasetId(req);
+    if (!isValidDatasetId(datasetId)) {
+      return res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    }
+    const table = getDatasetTable(req.workspace, datasetId);
+
+    // 1. Delete the dataset table and the uploaded file metadata from PostgreSQL and the file storage
+    const uploadedFile = await getUploadedFile(sql, req.workspace, datasetId);
+    let deleted = Boolean(uploadedFile);
+    if (uploadedFile) {
+      await deleteDataset(req.workspace, uploadedFile, { actorId: req.user.id, request: getAuditRequest(req) });
+    } else {
+      // 2. No metadata left, make sure no orphaned table stays behind
+      deleted = await withTransaction(async (tx) => {
+        const before = await describeDatasetIfExists(tx, req.workspace, datasetId);
+        if (!before) return false;
+
+        await tx.query(`DROP TABLE IF EXISTS ${qualifyTable(table)};`);
+        await recordAudit(tx, {
+          workspace: req.workspace,
+          actorId: req.user.id,
+          action: 'dataset.delete',
+          datasetId,
+          request: getAuditRequest(req),
+          before,
+          details: { orphanedTable: true },
+        });
+        return true;
+      });
+    }
+
+    if (deleted) {
+      await emitWebhookEvent(sql, req.workspace, 'dataset.deleted', { datasetId }, { userId: req.user.id });
+    }
+
+    return res.status(200).json({ message: `Table "${table.name}" and uploaded file data deleted successfully.` });
+  } catch (error) {
+    console.error("Error deleting table or file:", error);
+    return res.status(500).json({ error: error.message || 'Failed to delete table or file.' });
+  }
+})
+
+app.get("/api/display-cards", requireRole('viewer'), validateRequest({
+  summary: 'Summary cards of a dataset',
+  query: datasetQuery,
+}), async (req,res)=>{
+  const sql = getDbClient();
+  
+  try {
+    const datasetId = getRequestedDatasetId(req);
+    const uploadedFile = isValidDatasetId(datasetId) ? await getUploadedFile(sql, req.workspace, datasetId) : null;
+
+    if (!uploadedFile) {
+      return res.status(200).json({
+        "domain": "No data uploaded",
+        "missing_data_ratio": 0,
+        "num_numeric_columns": 0,
+        "total_columns": 0,
+        "total_rows": 0
+      });
+    }
+
+    // The counts come from the dataset profile, so the cards don't depend on the AI service.
+    // Only the domain is the AI service's, from its latest analysis of the dataset.
+    const stored = await getDatasetProfile(sql, req.workspace, uploadedFile);
+    const analyses = await sql`SELECT "result" FROM "AiResultCache"
+      WHERE "uploadedFileId" = ${uploadedFile.id} AND "endpoint" = 'upload'
+      ORDER BY "createdAt" DESC
+      LIMIT 1`;
+
+    return res.status(200).json({
+      "domain": analyses[0]?.result?.domain ?? null,
+      ...stored.profile.summary,
+      "datasetVersion": stored.datasetVersion,
+      "profiledAt": stored.createdAt,
+    });
+  } catch (error) {
+    console.error("Error in /api/display-cards:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch card data.' });
+  }
+})
+
+app.get("/api/check-table", requireRole('viewer'), validateRequest({
+  summary: 'Whether a dataset exists',
+  query: datasetQuery,
+}), async (req,res)=>{
+  const sql = getDbClient();
+  
+  try {
+    const datasetId = getRequestedDatasetId(req);
+    const uploadedFile = isValidDatasetId(datasetId) ? await getUploadedFile(sql, req.workspace, datasetId) : null;
+    if (uploadedFile) {
+      return res.status(200).json({status: true});
+    } else {
+      return res.status(200).json({status: false});
+    }
+  } catch (error) {
+    console.error("Error in /api/check-table:", error);
+    res.status(500).json({ error: error.message || 'Failed to check table status.' });
+  }
+})
+
+app.get("/api/data", requireRole('viewer'), validateRequest({
+  summary: 'Page through the rows of a dataset',
+  query: objectSchema({
+    datasetId: datasetIdSchema,
+    page: pageSchema,
+    limit: { type: 'integer', minimum: 1 },
+    ...dataQueryProperties,
+  }),
+}), async (req, res) => {
+  const sql = getDbClient();
+
+  try {
+    console.log('Starting /api/data', { query: req.query });
+
+    const datasetId = getRequestedDatasetId(req);
+    if (!isValidDatasetId(datasetId)) {
+      return res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    }
+    const table = getDatasetTable(req.workspace, datasetId);
+
+    // Check if dataset table exists
+    console.log('Query 0: Checking if dataset table exists', table);
+    const exists = await tableExists(sql, table);
+    console.log('Query 0 result:', exists);
+
+    if (!exists) {
+      console.log('No dataset table found');
+      return res.status(404).json({ error: `Dataset "${datasetId}" not found. Please upload a CSV first.` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 10, 1);
+    const offset = (page - 1) * limit;
+    console.log('Pagination params:', { page, limit, offset });
+
+    // Validate sorting, filters and search against the table columns
+    const columns = await getTableColumns(sql, table);
+    const clauses = buildDataQueryClauses(columns, req.query);
+    if (clauses.errors.length > 0) {
+      console.log('Invalid query params:', clauses.errors);
+      return res.status(400).json({ error: 'Invalid query parameters.', details: clauses.errors });
+    }
+
+    // Fetch paginated data
+    console.log('Calling generatePaginatedDataQuery');
+    const { count, rows } = await generatePaginatedDataQuery(sql, table, offset, limit, clauses);
+    console.log('generatePaginatedDataQuery result:', { count, rows });
+
+    const lastPage = Math.ceil(count / limit);
+    console.log('Response data:', { lastPage, totalCount: count, rowsLength: rows.length });
+
+    res.status(200).json({ data: rows, lastPage, totalCount: count });
+  } catch (error) {
+    console.error('Error in /api/data:', error.message, error.stack);
+    res.status(500).json({ error: error.message || 'Failed to fetch data.' });
+  }
+});
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+const EXPORT_FETCH_SIZE = 1000;
+
+// Reads a query through a server-side cursor, yielding EXPORT_FETCH_SIZE rows at a time. The
+// READ ONLY transaction gives a consistent snapshot while only one page is held in memory.
+async function* streamQueryRows(text, params) {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+    while (true) {
+      const page = await client.query(`FETCH ${EXPORT_FETCH_SIZE} FROM export_cursor`);
+      if (page.rows.length === 0) break;
+      yield page.rows;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Writes a chunk and waits for the socket to drain when its buffer is full
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
+
+const toJsonValue = (value) => value instanceof Date ? value.toISOString() : value;
+
+// Streams the current table contents. Accepts the same sortBy / sortOrder / search / filters
+// parameters as /api/data, plus format (csv, xlsx or json) and columns (comma-separated names).
+app.get("/api/datasets/:datasetId/export", requireRole('analyst'), validateRequest({
+  summary: 'Export the rows of a dataset',
+  params: datasetParams,
+  query: objectSchema({
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+    columns: { type: 'string', description: 'Comma-separated column names.' },
+    ...dataQueryProperties,
+  }),
+  responses: {
+    200: {
+      description: 'The rows as a download.',
+      content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType.split(';')[0], { schema: { type: 'string' } }])),
+    },
+  },
+}), async (req, res) => {
+  const sql = getDbClient();
+
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+    const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+
+    const columns = await getTableColumns(sql, table);
+    const clauses = buildDataQueryClauses(columns, req.query);
+
+    // Same default selection as /api/data
+    let columnNames = columns.map(column => column.name).filter(name => name !== 'createdAt' && name !== 'updatedAt');
+    if (req.query.columns !== undefined) {
+      columnNames = String(req.query.columns).split(',').map(name => name.trim()).filter(Boolean);
+      if (columnNames.length === 0) {
+        clauses.errors.push('columns must name at least one column.');
+      }
+      columnNames
+        .filter(name => !columns.some(column => column.name === name))
+        .forEach(name => clauses.errors.push(`Unknown column "${name}".`));
+      new Set(columnNames.filter((name, index) => columnNames.indexOf(name) !== index))
+        .forEach(name => clauses.errors.push(`Column "${name}" is listed more than once.`));
+    }
+    if (clauses.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters.', details: clauses.errors });
+    }
+
+    const rowsQuery = `SELECT ${columnNames.map(name => `"${name}"`).join(', ')}
+      FROM ${qualifyTable(table)}
+      ${clauses.where}
+      ORDER BY ${clauses.orderBy}`;
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${uploadedFile.datasetId}.${extension}"`);
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const worksheet = workbook.addWorksheet(uploadedFile.datasetId);
+        worksheet.addRow(columnNames).commit();
+        for await (const rows of streamQueryRows(rowsQuery, clauses.params)) {
+          rows.forEach(row => {
+            // NUMERIC comes back as a string; write numbers as numbers so Excel can sum them
+            worksheet.addRow(columnNames.map(name => {
+              const value = row[name];
+              return typeof value === 'string' && columns.find(column => column.name === name)?.type === 'numeric' ? Number(value) : value;
+            })).commit();
+          });
+        }
+        worksheet.commit();
+        await workbook.commit();
+        return;
+      }
+
+      let firstRow = true;
+      if (format === 'csv') {
+        await writeChunk(res, columnNames.map(escapeCsvValue).join(',') + '\n');
+      } else {
+        await writeChunk(res, '[');
+      }
+
+      for await (const rows of streamQueryRows(rowsQuery, clauses.params)) {
+        const chunk = rows.map(row => {
+          if (format === 'csv') {
+            return columnNames.map(name => escapeCsvValue(row[name])).join(',') + '\n';
+          }
+          const json = JSON.stringify(Object.fromEntries(columnNames.map(name => [name, toJsonValue(row[name])])));
+          const separator = firstRow ? '\n' : ',\n';
+          firstRow = false;
+          return separator + json;
+        }).join('');
+        await writeChunk(res, chunk);
+      }
+
+      res.end(format === 'json' ? '\n]\n' : undefined);
+    } catch (error) {
+      // Headers are already sent, so the only way to signal the failure is to cut the download short
+      console.error('Error while streaming export:', error);
+      res.destroy(error);
+    }
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/export:", error);
+    res.status(500).json({ error: error.message || 'Failed to export dataset.' });
+  }
+});
+
+const parseBatchSize = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_INSERT_BATCH_SIZE;
+  const batchSize = Number(value);
+  return Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= 10000 ? batchSize : null;
+};
+
+// Supported upload formats. Everything is parsed into rows of strings and goes through the same
+// schema inference; the AI service and the file storage always get a normalized comma-separated UTF-8 CSV.
+const UPLOAD_FORMATS = ['csv', 'tsv', 'xlsx', 'json'];
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+const getUploadFormat = (file, requestedFormat) => {
+  if (requestedFormat) return String(requestedFormat).toLowerCase();
+
+  const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+  if (['xlsx', 'xlsm'].includes(extension)) return 'xlsx';
+  if (extension === 'xls') return 'xls';
+  if (['json', 'ndjson', 'jsonl'].includes(extension)) return 'json';
+  if (extension === 'tsv' || extension === 'tab') return 'tsv';
+  if (extension === 'csv' || extension === 'txt') return 'csv';
+
+  // Fall back to sniffing the content: XLSX files are zip archives
+  if (file.buffer.subarray(0, 4).toString('binary') === 'PK\x03\x04') return 'xlsx';
+  const start = file.buffer.subarray(0, 64).toString().trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) return 'json';
+  return 'csv';
+};
+
+// Node 20 and later decode windows-1252 as Latin-1, which turns the € sign, curly quotes and
+// dashes of bytes 0x80-0x9F into control characters, so those bytes are mapped here
+const WINDOWS_1252_HIGH_BYTES = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8DŽ\x8F\x90‘’“”•–—˜™š›œ\x9DžŸ';
+const decodeWindows1252 = (buffer) => buffer.toString('latin1').replace(/[\x80-\x9F]/g, char => WINDOWS_1252_HIGH_BYTES[char.charCodeAt(0) - 0x80]);
+
+// Decodes text files. Byte order marks win; otherwise strict UTF-8 is tried first and
+// Windows-1252 (what Excel writes on most Windows machines) is the fallback.
+export function decodeText(buffer, requestedEncoding) {
+  if (requestedEncoding) {
+    const decoder = new TextDecoder(requestedEncoding);
+    // Latin-1 and ASCII labels mean windows-1252 too
+    const text = decoder.encoding === 'windows-1252' ? decodeWindows1252(buffer) : decoder.decode(buffer);
+    return { text, encoding: requestedEncoding };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    return { text: decodeWindows1252(buffer), encoding: 'windows-1252' };
+  }
+}
+
+// Picks the delimiter that splits the first lines into the same number (> 1) of fields,
+// ignoring delimiters inside quoted values.
+export function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+  const countOutsideQuotes = (line, delimiter) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) count++;
+    }
+    return count;
+  };
+
+  let best = { delimiter: ',', score: 0 };
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const consistent = counts.length > 0 && counts.every(count => count === counts[0]);
+    const score = consistent ? counts[0] : 0;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+// Gives every row the same keys in first-seen order; JSON records don't have to share fields
+function normalizeRecords(records) {
+  const headers = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  return records.map(record => Object.fromEntries(headers.map(header => {
+    const value = record[header];
+    if (value === null || value === undefined) return [header, ''];
+    if (typeof value === 'object') return [header, JSON.stringify(value)];
+    return [header, String(value)];
+  })));
+}
+
+export function parseJsonRecords(text) {
+  const trimmed = text.trim();
+  let records;
+  if (trimmed.startsWith('[')) {
+    records = JSON.parse(trimmed);
+  } else {
+    // NDJSON: one object per line
+    records = trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+  if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw new Error('JSON uploads must be an array of objects or one object per line.');
+  }
+  return normalizeRecords(records);
+}
+
+const excelCellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return excelCellToString(value.result); // Formula
+  if ('text' in value) return String(value.text); // Hyperlink
+  if ('error' in value) return '';
+  return String(value);
+};
+
+async function parseWorkbook(buffer, requestedSheet) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheets = workbook.worksheets.map(worksheet => worksheet.name);
+
+  // The sheet can be picked by name or by 1-based position
+  let worksheet = workbook.worksheets[0];
+  if (requestedSheet !== undefined && requestedSheet !== '') {
+    const position = Number(requestedSheet);
+    worksheet = workbook.worksheets.find(item => item.name === requestedSheet)
+      || (Number.isInteger(position) ? workbook.worksheets[position - 1] : undefined);
+    if (!worksheet) {
+      throw new Error(`Sheet "${requestedSheet}" not found. Available sheets: ${sheets.join(', ')}.`);
+    }
+  }
+  if (!worksheet) {
+    throw new Error('The workbook has no sheets.');
+  }
+
+  const headerRow = worksheet.getRow(1);
+  const headers = [];
+  headerRow.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    headers[columnNumber - 1] = excelCellToString(cell.value).trim() || `Column ${columnNumber}`;
+  });
+
+  const records = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = excelCellToString(row.getCell(index + 1).value);
+    });
+    if (Object.values(record).some(value => value !== '')) records.push(record);
+  });
+
+  return { records, sheet: worksheet.name, sheets };
+}
+
+// Parses an uploaded file into rows of strings (no checkType, so leading zeros survive; types come
+// from the schema). Options come from the form fields: format, sheet, delimiter and encoding.
+// Returns { error } for files that can't be read, otherwise the rows, the normalized CSV and
+// what was detected.
+async function parseUploadedFile(file, { format: requestedFormat, sheet, delimiter: requestedDelimiter, encoding: requestedEncoding } = {}) {
+  const format = getUploadFormat(file, requestedFormat);
+  if (format === 'xls') {
+    return { error: 'Legacy .xls files are not supported. Please save the sheet as .xlsx or CSV.' };
+  }
+  if (!UPLOAD_FORMATS.includes(format)) {
+    return { error: `format must be one of ${UPLOAD_FORMATS.join(', ')}.` };
+  }
+
+  try {
+    let rows;
+    const details = { format };
+
+    if (format === 'xlsx') {
+      const workbook = await parseWorkbook(file.buffer, sheet);
+      rows = normalizeRecords(workbook.records);
+      details.sheet = workbook.sheet;
+      details.sheets = workbook.sheets;
+    } else {
+      const { text, encoding } = decodeText(file.buffer, requestedEncoding);
+      details.encoding = encoding;
+
+      if (format === 'json') {
+        rows = parseJsonRecords(text);
+      } else {
+        const delimiter = requestedDelimiter || (format === 'tsv' ? '\t' : detectDelimiter(text));
+        details.delimiter = delimiter;
+        // flatKeys keeps headers like "contact.email" from turning into nested objects
+        rows = await csv({ delimiter, flatKeys: true }).fromString(text);
+      }
+    }
+
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    return { ...details, rows, csv: rowsToCsv(headers, rows) };
+  } catch (error) {
+    return { error: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+  }
+}
+
+// Reads the parser options sent as multipart form fields
+const getParseOptions = (body = {}) => ({
+  format: body.format,
+  sheet: body.sheet,
+  delimiter: body.delimiter,
+  encoding: body.encoding,
+});
+
+// Form fields of the upload routes, see getParseOptions and getImportOptions
+const parseOptionsProperties = {
+  format: { type: 'string', enum: UPLOAD_FORMATS, description: 'Detected from the file name when left out.' },
+  sheet: { type: 'string', description: 'Worksheet of an .xlsx file; the first one by default.' },
+  delimiter: { type: 'string', maxLength: 1, description: 'Detected when left out.' },
+  encoding: { type: 'string', description: 'Detected when left out.' },
+};
+const importOptionsProperties = {
+  datasetId: datasetIdSchema,
+  name: { type: 'string', maxLength: 255 },
+  mode: { type: 'string', enum: IMPORT_MODES },
+  keyColumn: { type: 'string', description: 'Required for upsert imports.' },
+  batchSize: { type: 'integer', minimum: 1, maximum: 10000 },
+};
+
+// Data quality
+// Each dataset can have validation rules and cleaning options ("DatasetQuality"), applied to every
+// import of it before the schema is inferred:
+//   {
+//     "rules": [{ "column": "email", "required": true, "unique": true, "format": "email" },
+//               { "column": "age", "min": 0, "max": 130 },
+//               { "column": "status", "allowedValues": ["active", "churned"], "caseInsensitive": true },
+//               { "column": "zip", "pattern": "^\\d{5}$" }],
+//     "cleaning": { "trim": true, "collapseWhitespace": true, "nullValues": ["N/A", "-"],
+//                   "lowercase": ["email"], "normalizeDates": { "columns": ["signup"], "dayFirst": false },
+//                   "deduplicate": { "columns": ["email"], "keep": "last" } },
+//     "onInvalid": "reject"
+//   }
+// Columns are named by their header in the file or its column name. Rows that break a rule, or
+// (with "reject") have values that don't fit the column types, are left out of the import and
+// listed in a rejected-rows report; with "fail" they fail the import as before. Rows dropped by
+// deduplication are listed in the report too. Datasets without settings import as before.
+const QUALITY_FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'is not a valid email address' },
+  // Digits with the usual separators, 7 to 15 digits in total
+  phone: { pattern: /^\+?[\d\s().-]{7,25}$/, digits: [7, 15], message: 'is not a valid phone number' },
+  url: { pattern: /^https?:\/\/[^\s/$.?#].[^\s]*$/i, message: 'is not a valid http(s) URL' },
+};
+// Patterns are admin-supplied regular expressions run against every value of an import. Groups
+// repeating a quantified part, like (a+)+, can backtrack for ages and are refused; longer values
+// aren't matched at all, which bounds what the other patterns can cost.
+const QUALITY_PATTERN_MAX_LENGTH = 500;
+const QUALITY_PATTERN_MAX_VALUE_LENGTH = 1000;
+// A group holding a +, * or {n,} quantifier, itself repeated by one; escapes and character classes
+// are skipped, so ([+-]\d)+ passes
+const NESTED_QUANTIFIER_PATTERN = /\((?:\\.|\[(?:\\.|[^\]\\])*\]|[^()\\[])*(?:[+*]|\{\d+,\d*\})(?:\\.|\[(?:\\.|[^\]\\])*\]|[^()\\[])*\)(?:[+*]|\{\d+,\d*\})/;
+const QUALITY_RULE_KEYS = ['column', 'required', 'unique', 'format', 'pattern', 'min', 'max', 'allowedValues', 'caseInsensitive'];
+const MAX_QUALITY_RULES = 200;
+// Rejected rows kept per report; the report still counts all of them
+const REJECTED_ROWS_LIMIT = 10000;
+// Reports kept per dataset
+const REJECTED_REPORTS_PER_DATASET = 20;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Checks quality settings as sent to PUT /api/datasets/:datasetId/quality
+export function validateQualitySettings(body = {}) {
+  const errors = [];
+  const { rules = [], cleaning = {}, onInvalid = 'reject' } = body;
+
+  if (!Array.isArray(rules) || rules.length > MAX_QUALITY_RULES) {
+    errors.push(`rules must be a list of up to ${MAX_QUALITY_RULES} rules.`);
+  } else {
+    rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object' || typeof rule.column !== 'string' || !rule.column) {
+        errors.push(`${label}: column is required.`);
+        return;
+      }
+      const unknownKeys = Object.keys(rule).filter(key => !QUALITY_RULE_KEYS.includes(key));
+      if (unknownKeys.length > 0) {
+        errors.push(`${label}: unknown option(s) ${unknownKeys.join(', ')}.`);
+      }
+      ['required', 'unique', 'caseInsensitive'].forEach(key => {
+        if (rule[key] !== undefined && typeof rule[key] !== 'boolean') errors.push(`${label}: ${key} must be true or false.`);
+      });
+      if (rule.format !== undefined && !QUALITY_FORMATS[rule.format]) {
+        errors.push(`${label}: format must be one of ${Object.keys(QUALITY_FORMATS).join(', ')}.`);
+      }
+      if (rule.pattern !== undefined) {
+        try {
+          if (typeof rule.pattern !== 'string' || rule.pattern.length > QUALITY_PATTERN_MAX_LENGTH) throw new Error();
+          new RegExp(rule.pattern);
+          if (NESTED_QUANTIFIER_PATTERN.test(rule.pattern)) {
+            errors.push(`${label}: pattern can't repeat a group that repeats itself, like (a+)+.`);
+          }
+        } catch {
+          errors.push(`${label}: pattern must be a valid regular expression of up to ${QUALITY_PATTERN_MAX_LENGTH} characters.`);
+        }
+      }
+      ['min', 'max'].forEach(key => {
+        if (rule[key] !== undefined && !Number.isFinite(rule[key])) errors.push(`${label}: ${key} must be a number.`);
+      });
+      if (Number.isFinite(rule.min) && Number.isFinite(rule.max) && rule.min > rule.max) {
+        errors.push(`${label}: min can't be greater than max.`);
+      }
+      if (rule.allowedValues !== undefined && (!isStringList(rule.allowedValues) || rule.allowedValues.length === 0)) {
+        errors.push(`${label}: allowedValues must be a non-empty list of strings.`);
+      }
+    });
+  }
+
+  if (!cleaning || typeof cleaning !== 'object' || Array.isArray(cleaning)) {
+    errors.push('cleaning must be an object.');
+  } else {
+    ['trim', 'collapseWhitespace'].forEach(key => {
+      if (cleaning[key] !== undefined && typeof cleaning[key] !== 'boolean') errors.push(`cleaning.${key} must be true or false.`);
+    });
+    ['nullValues', 'lowercase'].forEach(key => {
+      if (cleaning[key] !== undefined && !isStringList(cleaning[key])) errors.push(`cleaning.${key} must be a list of strings.`);
+    });
+    const { normalizeDates, deduplicate } = cleaning;
+    if (normalizeDates !== undefined && (!isStringList(normalizeDates?.columns) || (normalizeDates.dayFirst !== undefined && typeof normalizeDates.dayFirst !== 'boolean'))) {
+      errors.push('cleaning.normalizeDates must be { columns: [...], dayFirst }.');
+    }
+    if (deduplicate !== undefined && (!isStringList(deduplicate?.columns) || deduplicate.columns.length === 0 || !['first', 'last', undefined].includes(deduplicate.keep))) {
+      errors.push('cleaning.deduplicate must be { columns: [...], keep: "first" | "last" }.');
+    }
+  }
+
+  if (!['reject', 'fail'].includes(onInvalid)) {
+    errors.push('onInvalid must be reject or fail.');
+  }
+
+  return { errors, settings: { rules, cleaning, onInvalid } };
+}
+
+const qualitySettingsSchema = objectSchema({
+  rules: {
+    type: 'array',
+    maxItems: MAX_QUALITY_RULES,
+    items: objectSchema({
+      column: { type: 'string', minLength: 1 },
+      required: { type: 'boolean' },
+      unique: { type: 'boolean' },
+      format: { type: 'string', enum: Object.keys(QUALITY_FORMATS) },
+      pattern: { type: 'string', maxLength: QUALITY_PATTERN_MAX_LENGTH },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      allowedValues: { type: 'array', minItems: 1, items: { type: 'string' } },
+      caseInsensitive: { type: 'boolean' },
+    }, { required: ['column'], additionalProperties: false }),
+  },
+  cleaning: objectSchema({
+    trim: { type: 'boolean' },
+    collapseWhitespace: { type: 'boolean' },
+    nullValues: { type: 'array', items: { type: 'string' } },
+    lowercase: { type: 'array', items: { type: 'string' } },
+    normalizeDates: objectSchema({ columns: { type: 'array', items: { type: 'string' } }, dayFirst: { type: 'boolean' } }, { required: ['columns'] }),
+    deduplicate: objectSchema({ columns: { type: 'array', minItems: 1, items: { type: 'string' } }, keep: { type: 'string', enum: ['first', 'last'] } }, { required: ['columns'] }),
+  }),
+  onInvalid: { type: 'string', enum: ['reject', 'fail'] },
+});
+
+async function getQualitySettings(sql, workspace, datasetId) {
+  const settings = await sql`SELECT * FROM "DatasetQuality" WHERE "workspaceId" = ${workspace.id} AND "datasetId" = ${datasetId}`;
+  return settings[0] || null;
+}
+
+// Finds the header a rule or cleaning option refers to: the header itself or its column name
+const resolveQualityColumn = (headers, reference) =>
+  headers.find(header => header === reference) ?? headers.find(header => sanitizeColumnName(header) === reference) ?? null;
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Formats a normalized date as YYYY-MM-DD, or a full ISO timestamp when it has a time
+const toNormalizedDate = (date) => {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+// Breaks of one rule by one value, as messages. rule.regex is the compiled rule.pattern.
+function checkQualityRule(rule, value) {
+  if (isEmptyValue(value)) {
+    return rule.required ? ['is required'] : [];
+  }
+
+  const text = String(value);
+  const problems = [];
+  const format = QUALITY_FORMATS[rule.format];
+  if (format) {
+    const digitCount = text.replace(/\D/g, '').length;
+    if (!format.pattern.test(text) || (format.digits && (digitCount < format.digits[0] || digitCount > format.digits[1]))) {
+      problems.push(format.message);
+    }
+  }
+  if (rule.regex) {
+    if (text.length > QUALITY_PATTERN_MAX_VALUE_LENGTH) {
+      problems.push(`is longer than the ${QUALITY_PATTERN_MAX_VALUE_LENGTH} characters checked against ${rule.pattern}`);
+    } else if (!rule.regex.test(text)) {
+      problems.push(`doesn't match ${rule.pattern}`);
+    }
+  }
+  if (rule.min !== undefined || rule.max !== undefined) {
+    const number = Number(text);
+    if (!NUMBER_PATTERN.test(text) || !Number.isFinite(number)) {
+      problems.push('is not a number');
+    } else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+      problems.push(`is outside the range ${rule.min ?? '-∞'} to ${rule.max ?? '∞'}`);
+    }
+  }
+  if (rule.allowedValues) {
+    const normalize = (item) => rule.caseInsensitive ? item.toLowerCase() : item;
+    if (!rule.allowedValues.map(normalize).includes(normalize(text))) {
+      problems.push('is not one of the allowed values');
+    }
+  }
+  return problems;
+}
+
+// Cleans parsed rows (of strings, keyed by header) and checks them against the rules. Returns the
+// rows to import, the original indexes of those rows, the rows left out as { index, reasons,
+// values } with their values as in the file, counts of what cleaning changed and warnings.
+export function applyDataQuality(userData, { rules = [], cleaning = {} }) {
+  const headers = userData.length > 0 ? Object.keys(userData[0]) : [];
+  const warnings = [];
+  const resolveColumns = (references = [], option) => references
+    .map(reference => {
+      const header = resolveQualityColumn(headers, reference);
+      if (!header) warnings.push(`${option}: column "${reference}" isn't in the file and was ignored.`);
+      return header;
+    })
+    .filter(Boolean);
+
+  const nullValues = new Set(cleaning.nullValues || []);
+  const lowercaseColumns = resolveColumns(cleaning.lowercase, 'cleaning.lowercase');
+  const dateColumns = resolveColumns(cleaning.normalizeDates?.columns, 'cleaning.normalizeDates');
+  const dedupeColumns = resolveColumns(cleaning.deduplicate?.columns, 'cleaning.deduplicate');
+  const columnRules = rules
+    .map(rule => ({ ...rule, header: resolveColumns([rule.column], 'rules')[0], regex: rule.pattern ? new RegExp(rule.pattern) : null }))
+    .filter(rule => rule.header);
+  const stats = { valuesTrimmed: 0, valuesNulled: 0, datesNormalized: 0, duplicatesRemoved: 0 };
+
+  const rejected = [];
+  const candidates = [];
+  userData.forEach((record, index) => {
+    const row = {};
+    const reasons = [];
+    headers.forEach(header => {
+      let value = record[header];
+      if (typeof value === 'string') {
+        const original = value;
+        if (cleaning.trim !== false) value = value.trim();
+        if (cleaning.collapseWhitespace) value = value.replace(/\s+/g, ' ');
+        if (value !== original) stats.valuesTrimmed++;
+        if (nullValues.has(value)) {
+          value = '';
+          stats.valuesNulled++;
+        }
+        if (lowercaseColumns.includes(header)) value = value.toLowerCase();
+        if (dateColumns.includes(header) && value !== '') {
+          const date = parseDateValue(value, { dayFirst: cleaning.normalizeDates.dayFirst === true });
+          if (date) {
+            value = toNormalizedDate(date);
+            stats.datesNormalized++;
+          } else {
+            reasons.push(`"${header}" "${original}" is not a recognizable date`);
+          }
+        }
+      }
+      row[header] = value;
+    });
+
+    columnRules.forEach(rule => {
+      checkQualityRule(rule, row[rule.header]).forEach(problem => reasons.push(`"${rule.header}" ${problem}`));
+    });
+
+    if (reasons.length > 0) {
+      rejected.push({ index, reasons, values: record });
+    } else {
+      candidates.push({ index, row, record });
+    }
+  });
+
+  // Repeated values in unique columns: the first row keeps the value
+  let kept = candidates;
+  columnRules.filter(rule => rule.unique).forEach(rule => {
+    const firstRows = new Map();
+    kept = kept.filter(candidate => {
+      const value = candidate.row[rule.header];
+      if (isEmptyValue(value)) return true;
+      const key = rule.caseInsensitive ? String(value).toLowerCase() : String(value);
+      if (firstRows.has(key)) {
+        rejected.push({ index: candidate.index, reasons: [`"${rule.header}" repeats the value of row ${firstRows.get(key) + 2}`], values: candidate.record });
+        return false;
+      }
+      firstRows.set(key, candidate.index);
+      return true;
+    });
+  });
+
+  if (dedupeColumns.length > 0) {
+    const keepLast = cleaning.deduplicate.keep === 'last';
+    const byKey = new Map();
+    (keepLast ? [...kept].reverse() : kept).forEach(candidate => {
+      const key = JSON.stringify(dedupeColumns.map(header => candidate.row[header]));
+      const keeper = byKey.get(key);
+      if (keeper) {
+        stats.duplicatesRemoved++;
+        rejected.push({ index: candidate.index, reasons: [`Duplicate of row ${keeper.index + 2} on ${dedupeColumns.join(', ')}`], values: candidate.record, duplicate: true });
+      } else {
+        byKey.set(key, candidate);
+      }
+    });
+    const keptIndexes = new Set([...byKey.values()].map(candidate => candidate.index));
+    kept = kept.filter(candidate => keptIndexes.has(candidate.index));
+  }
+
+  return {
+    rows: kept.map(candidate => candidate.row),
+    rowIndexes: kept.map(candidate => candidate.index),
+    rejected: rejected.sort((a, b) => a.index - b.index),
+    stats,
+    warnings,
+  };
+}
+
+// Appends only: values of unique columns that the table already holds reject the row
+async function rejectExistingUniqueValues(sql, table, rows, schema, rules) {
+  const existingColumns = (await getTableColumns(sql, table)).map(column => column.name);
+  const rejected = new Map();
+
+  for (const rule of rules.filter(item => item.unique)) {
+    const column = schema.find(item => item.source === rule.column || item.name === rule.column || sanitizeColumnName(item.source) === rule.column);
+    if (!column || !existingColumns.includes(column.name)) continue;
+
+    const values = [...new Set(rows.map(row => row[column.source]).filter(value => !isEmptyValue(value)).map(String))];
+    if (values.length === 0) continue;
+    const matches = await sql.query(
+      `SELECT DISTINCT ${rule.caseInsensitive ? 'LOWER' : ''}("${column.name}"::text) AS "value" FROM ${qualifyTable(table)}
+      WHERE ${rule.caseInsensitive ? 'LOWER' : ''}("${column.name}"::text) = ANY($1::text[])`,
+      [rule.caseInsensitive ? values.map(value => value.toLowerCase()) : values]
+    );
+    const existing = new Set(matches.map(match => match.value));
+
+    rows.forEach((row, index) => {
+      const value = row[column.source];
+      if (isEmptyValue(value)) return;
+      if (existing.has(rule.caseInsensitive ? String(value).toLowerCase() : String(value))) {
+        rejected.set(index, [...(rejected.get(index) || []), `"${column.source}" value already exists in the dataset`]);
+      }
+    });
+  }
+
+  return [...rejected].map(([index, reasons]) => ({ index, reasons }));
+}
+
+// Saves the rejected rows of an import job, replacing what an earlier attempt of the job saved.
+// Returns the report ID.
+async function storeRejectedRows(sql, workspace, job, headers, rejected) {
+  const reports = await sql`INSERT INTO "RejectedRowsReport" ("workspaceId", "datasetId", "jobId", "headers", "rowCount", "rows")
+    VALUES (${workspace.id}, ${job.state.datasetId}, ${job.id}, ${JSON.stringify(headers)}, ${rejected.length},
+      ${JSON.stringify(rejected.slice(0, REJECTED_ROWS_LIMIT).map(({ index, reasons, values }) => ({ row: index + 2, reasons, values })))})
+    ON CONFLICT ("jobId") DO UPDATE SET
+      "headers" = EXCLUDED."headers",
+      "rowCount" = EXCLUDED."rowCount",
+      "rows" = EXCLUDED."rows",
+      "createdAt" = CURRENT_TIMESTAMP
+    RETURNING "id"`;
+
+  await sql`DELETE FROM "RejectedRowsReport"
+    WHERE "workspaceId" = ${workspace.id} AND "datasetId" = ${job.state.datasetId}
+      AND "id" NOT IN (
+        SELECT "id" FROM "RejectedRowsReport"
+        WHERE "workspaceId" = ${workspace.id} AND "datasetId" = ${job.state.datasetId}
+        ORDER BY "createdAt" DESC
+        LIMIT ${REJECTED_REPORTS_PER_DATASET}
+      )`;
+  return reports[0].id;
+}
+
+const summarizeRejections = (rejected, limit = 50) => rejected.slice(0, limit).map(({ index, reasons }) => `Row ${index + 2}: ${reasons.join('; ')}`);
+
+// Import jobs, queued by /api/upload and /api/upload/confirm. The current version is snapshotted
+// first (see "Dataset versions") and the new one is profiled (see "Dataset profiles"). The table
+// is written in a single transaction, so an import that fails there leaves the previous table and
+// file untouched.
+// Confirmed previews skip the parse step, their file is already normalized.
+JOB_HANDLERS.import = {
+  steps: ['parse', 'snapshot', 'import', 'store', 'profile', 'analyze'],
+  run: {
+    parse: parseImportFile,
+    snapshot: snapshotDatasetStep,
+    import: importDatasetRows,
+    store: storeDatasetFile,
+    profile: profileDatasetStep,
+    analyze: analyzeImportedDataset,
+  },
+};
+
+// Turns the uploaded file into the normalized CSV the other steps work on
+async function parseImportFile(sql, job, { input }) {
+  const { originalFilename, mimetype, parseOptions } = job.state;
+  const parsed = await parseUploadedFile({ buffer: input, originalname: originalFilename, mimetype }, parseOptions);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  console.log('File parsed:', { format: parsed.format, delimiter: parsed.delimiter, encoding: parsed.encoding, sheet: parsed.sheet, rows: parsed.rows.length });
+
+  if (parsed.rows.length === 0) {
+    return { error: 'The uploaded file has no data rows' };
+  }
+
+  return {
+    input: Buffer.from(parsed.csv),
+    state: { format: parsed.format, delimiter: parsed.delimiter, encoding: parsed.encoding, sheet: parsed.sheet },
+  };
+}
+
+// Cleans and validates the rows (see "Data quality"), plans the import (see planDatasetImport) and
+// writes the rows to the dataset table. Rows left out are saved as a rejected-rows report. The file
+// kept for the next steps becomes what the file storage should keep: the upload itself, the upload
+// with the preview's column overrides or the cleaning applied, or the merged table for appends and upserts.
+async function importDatasetRows(sql, job, { workspace, input, reportProgress }) {
+  const { datasetId, mode, keyColumn, columns, batchSize, previewId } = job.state;
+
+  // An earlier attempt wrote the rows but was cut off before the job moved on. The file to keep is
+  // then rebuilt from the table unless it is the upload itself.
+  const completed = await getStepResult(sql, job);
+  if (completed) {
+    const fileContent = completed.keepsInput ? input : await buildTableCsv(sql, getDatasetTable(workspace, datasetId));
+    return { input: Buffer.from(fileContent), state: { importResult: completed.importResult } };
+  }
+
+  const parsedRows = await csv({ flatKeys: true }).fromString(input.toString());
+  const headers = parsedRows.length > 0 ? Object.keys(parsedRows[0]) : [];
+  const settings = await getQualitySettings(sql, workspace, datasetId);
+  const quality = settings
+    ? applyDataQuality(parsedRows, settings)
+    : { rows: parsedRows, rowIndexes: parsedRows.map((_, index) => index), rejected: [], stats: null, warnings: [] };
+
+  const invalid = quality.rejected.filter(item => !item.duplicate);
+  if (settings?.onInvalid === 'fail' && invalid.length > 0) {
+    return { error: `${invalid.length} row(s) break the dataset's validation rules`, details: summarizeRejections(invalid) };
+  }
+  if (quality.rows.length === 0) {
+    return { error: 'No rows are left to import after validation and cleaning', details: summarizeRejections(quality.rejected) };
+  }
+
+  const { schema, errors: schemaErrors } = applySchemaOverrides(inferSchema(quality.rows), columns || []);
+  if (schemaErrors.length > 0) {
+    return { error: 'Invalid column overrides', details: schemaErrors };
+  }
+
+  // Indexes of the rows that go on to the plan, into the parsed file
+  let userData = quality.rows;
+  let rowIndexes = quality.rowIndexes;
+  const rejected = [...quality.rejected];
+  if (mode === 'append' && settings?.rules.some(rule => rule.unique)) {
+    const existing = await rejectExistingUniqueValues(sql, getDatasetTable(workspace, datasetId), userData, schema, settings.rules);
+    const existingIndexes = new Set(existing.map(item => item.index));
+    existing.forEach(({ index, reasons }) => rejected.push({ index: rowIndexes[index], reasons, values: parsedRows[rowIndexes[index]] }));
+    userData = userData.filter((_, index) => !existingIndexes.has(index));
+    rowIndexes = rowIndexes.filter((_, index) => !existingIndexes.has(index));
+  }
+
+  const plan = await planDatasetImport(sql, {
+    workspace,
+    datasetId,
+    userData,
+    schema,
+    mode,
+    keyColumn,
+    rejectInvalidRows: settings?.onInvalid === 'reject',
+  });
+  if (plan.errors) {
+    return {
+      error: previewId
+        ? 'The file can\'t be imported with the selected columns'
+        : 'The file can\'t be imported. Use /api/upload/preview to review and override the schema.',
+      details: plan.errors,
+    };
+  }
+  plan.rejected.forEach(({ index, reasons }) => rejected.push({ index: rowIndexes[index], reasons, values: parsedRows[rowIndexes[index]] }));
+  rejected.sort((a, b) => a.index - b.index);
+  if (settings && plan.rows.length === 0) {
+    return { error: 'No rows are left to import after validation and cleaning', details: summarizeRejections(rejected) };
+  }
+
+  const { table } = plan;
+  const onProgress = ({ batch, totalBatches }) => reportProgress(batch / totalBatches);
+
+  // Without settings, bad rows fail replace imports and are only counted as skipped otherwise, as before
+  const qualityResult = settings
+    ? {
+      rejected: rejected.length,
+      rejectedReportId: rejected.length > 0 ? await storeRejectedRows(sql, workspace, job, headers, rejected) : null,
+      cleaning: quality.stats,
+      qualityWarnings: quality.warnings,
+    }
+    : {};
+  const uploadedFile = await getUploadedFile(sql, workspace, datasetId);
+
+  // The stored file mirrors the table, so renamed and excluded columns and cleaned values are applied to it too
+  const keepsInput = plan.mode === 'replace' && !previewId && !settings;
+  let importResult;
+  let fileContent;
+  const completeImport = async (tx, result) => {
+    importResult = result;
+    await recordImportAudit(tx, { job, workspace, uploadedFile, importResult });
+    await saveStepResult(tx, job, { importResult, keepsInput });
+  };
+
+  if (plan.mode === 'replace') {
+    await importRowsIntoTable(table, plan.rows, plan.schema, {
+      batchSize,
+      onProgress,
+      beforeCommit: (tx, { rowsInserted, batches }) => completeImport(tx, {
+        mode: plan.requestedMode, inserted: rowsInserted, updated: 0, skipped: 0, batches, ...qualityResult,
+      }),
+    });
+    fileContent = keepsInput ? input : rowsToCsv(plan.schema.map(column => column.name), plan.rows);
+  } else {
+    await mergeRowsIntoTable(plan, {
+      batchSize,
+      onProgress,
+      beforeCommit: (tx, { inserted, updated, batches }) => completeImport(tx, {
+        mode: plan.mode,
+        inserted,
+        updated,
+        skipped: plan.skipped,
+        skippedReasons: plan.skippedReasons,
+        addedColumns: plan.addedColumns.map(column => column.name),
+        missingColumns: plan.missingColumns,
+        batches,
+        ...qualityResult,
+      }),
+    });
+    fileContent = await buildTableCsv(sql, table);
+  }
+  console.log('Import completed:', qualifyTable(table), importResult);
+
+  return { input: Buffer.from(fileContent), state: { importResult } };
+}
+
+// Stores the file with the configured storage provider, overwriting the previous file of the
+// dataset, and saves the UploadedFile metadata. The new dataset version makes cached AI results stale.
+// The version is bumped once per job, so a retried step keeps the version an earlier attempt saved.
+async function storeDatasetFile(sql, job, { workspace, input }) {
+  const { datasetId, name, originalFilename } = job.state;
+  const publicId = getDatasetPublicId(workspace, datasetId);
+  const provider = getStorageProvider();
+
+  // Re-uploading keeps the dataset's display name unless a new one is given
+  const existingFile = await getUploadedFile(sql, workspace, datasetId);
+  const datasetName = name || existingFile?.name || originalFilename;
+
+  const stored = await provider.upload(publicId, input);
+
+  const versionSource = job.type === 'rollback' ? 'rollback' : 'upload';
+  const saved = await sql`INSERT INTO "UploadedFile" ("workspaceId", "publicId", "secureUrl", "storageProvider", "originalFilename", "datasetId", "name", "versionSource", "versionCreatedBy", "versionJobId", "createdAt", "updatedAt")
+    VALUES (${workspace.id}, ${stored.key}, ${stored.url}, ${provider.name}, ${originalFilename}, ${datasetId}, ${datasetName}, ${versionSource}, ${job.userId}, ${job.id}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    ON CONFLICT ("workspaceId", "datasetId") DO UPDATE SET
+      "publicId" = EXCLUDED."publicId",
+      "secureUrl" = EXCLUDED."secureUrl",
+      "storageProvider" = EXCLUDED."storageProvider",
+      "originalFilename" = EXCLUDED."originalFilename",
+      "name" = EXCLUDED."name",
+      "versionSource" = EXCLUDED."versionSource",
+      "versionCreatedBy" = EXCLUDED."versionCreatedBy",
+      "version" = CASE WHEN "UploadedFile"."versionJobId" = EXCLUDED."versionJobId" THEN "UploadedFile"."version" ELSE "UploadedFile"."version" + 1 END,
+      "versionJobId" = EXCLUDED."versionJobId",
+      "fileStale" = FALSE,
+      "updatedAt" = CURRENT_TIMESTAMP
+    RETURNING "version"`;
+
+  // A dataset stored before the provider was switched leaves its old copy behind otherwise
+  if (existingFile && existingFile.storageProvider !== provider.name) {
+    try {
+      await removeStoredFile(existingFile);
+    } catch (error) {
+      console.error(`Failed to delete previous file ${existingFile.publicId} from ${existingFile.storageProvider}:`, error);
+    }
+  }
+
+  const { importResult } = job.state;
+  await emitWebhookEvent(sql, workspace, job.type === 'rollback' ? 'dataset.rolled_back' : 'dataset.uploaded', {
+    datasetId,
+    version: saved[0].version,
+    mode: importResult.mode,
+    inserted: importResult.inserted,
+    updated: importResult.updated,
+    jobId: job.id,
+  }, { userId: job.userId, job });
+}
+
+// Sends the stored file to the AI service. /api/display-cards takes the dataset's domain from
+// this analysis.
+async function analyzeImportedDataset(sql, job, { workspace }) {
+  const { datasetId, importResult, previewId } = job.state;
+  const uploadedFile = await getUploadedFile(sql, workspace, datasetId);
+
+  if (previewId) {
+    await sql`DELETE FROM "ImportPreview" WHERE "id" = ${previewId}`;
+  }
+
+  console.log('Sending to AI service:', process.env.AI_SERVICE_URL);
+  try {
+    const aiResult = await requestAiResult(sql, uploadedFile, 'upload');
+    console.log('AI service response:', aiResult.result);
+    await emitAnalysisCompleted(sql, workspace, job, uploadedFile, 'upload');
+    return { result: { ...aiResult.result, datasetId, import: importResult } };
+  } catch (error) {
+    if (!isFinalAiFailure(job, error)) throw error;
+    // The data is imported and stored by now, so the job still succeeds;
+    // /api/display-cards shows no domain until the dataset is analyzed again
+    return { result: { datasetId, import: importResult, analysisError: error.toResponse() } };
+  }
+}
+
+// Checks the import options shared by /api/upload and /api/upload/confirm.
+// Returns the job state for them, or { error } for the response.
+function getImportOptions(body = {}) {
+  const datasetId = body.datasetId || DEFAULT_DATASET_ID;
+  if (!isValidDatasetId(datasetId)) {
+    return { error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' };
+  }
+  const batchSize = parseBatchSize(body.batchSize);
+  if (!batchSize) {
+    return { error: 'batchSize must be an integer between 1 and 10000.' };
+  }
+  const mode = body.mode || 'replace';
+  if (!IMPORT_MODES.includes(mode)) {
+    return { error: `mode must be one of ${IMPORT_MODES.join(', ')}.` };
+  }
+  return { datasetId, batchSize, mode, keyColumn: body.keyColumn, name: body.name };
+}
+
+// Queues an import job and answers 202 with its ID; poll /api/jobs/:jobId for progress and the result
+app.post('/api/upload', requireRole('admin'), upload.single('data'), validateRequest({
+  summary: 'Import a file into a dataset',
+  file: { field: 'data', description: `CSV, TSV, XLSX or JSON file of up to ${UPLOAD_MAX_BYTES / (1024 * 1024)} MB.` },
+  body: objectSchema({ ...importOptionsProperties, ...parseOptionsProperties }),
+  responses: jobAcceptedResponses,
+}), async (req, res) => {
+  const sql = getDbClient();
+
+  try {
+    console.log('Starting /api/upload');
+
+    // Check if file uploaded
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    console.log('File received:', req.file.originalname, req.file.mimetype);
+
+    const options = getImportOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const job = await enqueueJob(sql, {
+      workspace: req.workspace,
+      user: req.user,
+      type: 'import',
+      state: {
+        ...options,
+        originalFilename: req.file.originalname,
+        mimetype: req.file.mimetype,
+        parseOptions: getParseOptions(req.body),
+        request: getAuditRequest(req),
+      },
+      input: req.file.buffer,
+    });
+
+    console.log('Import job queued:', job.id);
+    return sendJobAccepted(res, job);
+  } catch (error) {
+    console.error('Error in /api/upload:', error.message, error.stack);
+    res.status(500).json({ error: error.message || 'Failed to upload file.' });
+  }
+});
+
+const PREVIEW_SAMPLE_SIZE = 10;
+
+// Step 1 of the two-step import: parses the file and returns the inferred schema without
+// touching the dataset. The file is kept in "ImportPreview" until it is confirmed.
+app.post('/api/upload/preview', requireRole('admin'), upload.single('data'), validateRequest({
+  summary: 'Parse a file and propose its schema',
+  file: { field: 'data', description: `CSV, TSV, XLSX or JSON file of up to ${UPLOAD_MAX_BYTES / (1024 * 1024)} MB.` },
+  body: objectSchema(parseOptionsProperties),
+}), async (req, res) => {
+  const sql = getDbClient();
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const parsed = await parseUploadedFile(req.file, getParseOptions(req.body));
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const userData = parsed.rows;
+    if (userData.length === 0) {
+      return res.status(400).json({ message: 'The uploaded file has no data rows' });
+    }
+
+    const schema = inferSchema(userData);
+
+    // Previews that were never confirmed are dropped after a day. The normalized CSV is kept,
+    // so confirming doesn't depend on the original format.
+    await sql`DELETE FROM "ImportPreview" WHERE "createdAt" < CURRENT_TIMESTAMP - INTERVAL '1 day'`;
+    const preview = await sql`INSERT INTO "ImportPreview" ("workspaceId", "originalFilename", "mimetype", "content")
+      VALUES (${req.workspace.id}, ${req.file.originalname}, ${req.file.mimetype}, ${parsed.csv})
+      RETURNING "id"`;
+
+    return res.status(200).json({
+      previewId: preview[0].id,
+      originalFilename: req.file.originalname,
+      format: parsed.format,
+      delimiter: parsed.delimiter,
+      encoding: parsed.encoding,
+      sheet: parsed.sheet,
+      sheets: parsed.sheets,
+      rowCount: userData.length,
+      columns: schema.map(({ source, name, type, dayFirst, warnings, emptyCount }) => ({ source, name, type, dayFirst, emptyCount, warnings })),
+      sampleRows: userData.slice(0, PREVIEW_SAMPLE_SIZE),
+      availableTypes: Object.keys(COLUMN_TYPES),
+    });
+  } catch (error) {
+    console.error('Error in /api/upload/preview:', error);
+    res.status(500).json({ error: error.message || 'Failed to preview file.' });
+  }
+});
+
+// Step 2: queues the import of a previewed file, like /api/upload.
+// "columns" overrides the inferred schema per source header:
+//   [{ "source": "Zip Code", "name": "zip", "type": "VARCHAR(255)" }, { "source": "Notes", "exclude": true }]
+app.post('/api/upload/confirm', requireRole('admin'), validateRequest({
+  summary: 'Import a previewed file',
+  body: objectSchema({
+    previewId: { type: 'string', format: 'uuid' },
+    columns: {
+      type: 'array',
+      items: objectSchema({
+        source: { type: 'string' },
+        name: { type: 'string' },
+        type: { type: 'string', enum: Object.keys(COLUMN_TYPES) },
+        exclude: { type: 'boolean' },
+      }, { required: ['source'] }),
+    },
+    ...importOptionsProperties,
+  }, { required: ['previewId'] }),
+  responses: jobAcceptedResponses,
+}), async (req, res) => {
+  const sql = getDbClient();
+
+  try {
+    const { previewId, columns = [] } = req.body || {};
+    if (typeof previewId !== 'string' || previewId === '') {
+      return res.status(400).json({ message: 'previewId is required' });
+    }
+
+    if (!Array.isArray(columns)) {
+      return res.status(400).json({ message: 'columns must be an array' });
+    }
+    const options = getImportOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const preview = (await sql`SELECT * FROM "ImportPreview" WHERE "id"::text = ${previewId} AND "workspaceId" = ${req.workspace.id}`)[0];
+    if (!preview) {
+      return res.status(404).json({ message: 'Preview not found or expired. Please upload the file again.' });
+    }
+
+    const job = await enqueueJob(sql, {
+      workspace: req.workspace,
+      user: req.user,
+      type: 'import',
+      steps: JOB_HANDLERS.import.steps.filter(step => step !== 'parse'),
+      state: { ...options, columns, previewId: preview.id, originalFilename: preview.originalFilename, request: getAuditRequest(req) },
+      input: Buffer.from(preview.content),
+    });
+
+    return sendJobAccepted(res, job);
+  } catch (error) {
+    console.error('Error in /api/upload/confirm:', error);
+    res.status(500).json({ error: error.message || 'Failed to import file.' });
+  }
+});
+
+// Dataset versions
+// Before an upload or a rollback replaces a dataset, its current version is kept as a snapshot:
+// the table contents as a CSV in the file storage, plus the schema, row count and who made it.
+// Row edits bump the version too (for the AI cache) but aren't snapshotted one by one; the next
+// replacement snapshots whatever the table holds by then. Only the newest DATASET_VERSION_LIMIT
+// snapshots of a dataset are kept.
+const DATASET_VERSION_LIMIT = Number(process.env.DATASET_VERSION_LIMIT) || 20;
+
+const getDatasetVersionKey = (workspace, datasetId, version) => {
+  const prefix = workspace.slug === DEFAULT_WORKSPACE_ID ? '' : `${workspace.slug}/`;
+  return `${prefix}versions/${datasetId}/${version}.csv`;
+};
+
+// Columns (as COLUMN_TYPES keys, without system columns) and row count of a dataset table
+async function describeDatasetTable(sql, table) {
+  const columns = (await getTableColumns(sql, table))
+    .filter(column => !SYSTEM_COLUMNS.includes(column.name))
+    .map(column => ({ name: column.name, type: getColumnTypeKey(column) }));
+  const countResult = await sql.query(`SELECT COUNT(*) FROM ${qualifyTable(table)}`);
+  return { columns, rowCount: Number(countResult[0].count) };
+}
+
+// Stores a snapshot of the dataset's current version unless there already is one
+async function snapshotDataset(sql, workspace, uploadedFile) {
+  const existing = await sql`SELECT 1 FROM "DatasetVersion" WHERE "uploadedFileId" = ${uploadedFile.id} AND "version" = ${uploadedFile.version}`;
+  if (existing.length > 0) return;
+
+  const table = getDatasetTable(workspace, uploadedFile.datasetId);
+  if (!(await tableExists(sql, table))) return;
+
+  const { columns, rowCount } = await describeDatasetTable(sql, table);
+  const csvContent = await buildTableCsv(sql, table);
+  const provider = getStorageProvider();
+  const stored = await provider.upload(getDatasetVersionKey(workspace, uploadedFile.datasetId, uploadedFile.version), Buffer.from(csvContent));
+
+  await sql`INSERT INTO "DatasetVersion" ("uploadedFileId", "version", "source", "schema", "rowCount", "originalFilename", "publicId", "secureUrl", "storageProvider", "createdBy", "createdAt")
+    VALUES (${uploadedFile.id}, ${uploadedFile.version}, ${uploadedFile.versionSource}, ${JSON.stringify(columns)}, ${rowCount}, ${uploadedFile.originalFilename},
+      ${stored.key}, ${stored.url}, ${provider.name}, ${uploadedFile.versionCreatedBy}, ${uploadedFile.updatedAt})
+    ON CONFLICT ("uploadedFileId", "version") DO NOTHING`;
+  console.log(`Snapshot of dataset "${uploadedFile.datasetId}" version ${uploadedFile.version} stored:`, stored.key);
+
+  const expired = await sql`DELETE FROM "DatasetVersion"
+    WHERE "uploadedFileId" = ${uploadedFile.id}
+      AND "version" NOT IN (
+        SELECT "version" FROM "DatasetVersion" WHERE "uploadedFileId" = ${uploadedFile.id} ORDER BY "version" DESC LIMIT ${DATASET_VERSION_LIMIT}
+      )
+    RETURNING *`;
+  await removeVersionFiles(expired);
+}
+
+async function removeVersionFiles(versions) {
+  for (const version of versions) {
+    try {
+      await removeStoredFile(version);
+    } catch (error) {
+      console.error(`Failed to delete version file ${version.publicId}:`, error);
+    }
+  }
+}
+
+// First step of imports and rollbacks. Also keeps the table's columns and row count for the audit log.
+async function snapshotDatasetStep(sql, job, { workspace }) {
+  const uploadedFile = await getUploadedFile(sql, workspace, job.state.datasetId);
+  if (uploadedFile) {
+    await snapshotDataset(sql, workspace, uploadedFile);
+  }
+  return { state: { before: await describeDatasetIfExists(sql, workspace, job.state.datasetId) } };
+}
+
+// Recreates the table of a dataset from one of its snapshots
+async function restoreDatasetVersion(sql, job, { workspace, reportProgress }) {
+  const { datasetId, targetVersion, batchSize } = job.state;
+  const uploadedFile = await getUploadedFile(sql, workspace, datasetId);
+  const completed = await getStepResult(sql, job);
+  const snapshot = uploadedFile && (await sql`SELECT * FROM "DatasetVersion"
+    WHERE "uploadedFileId" = ${uploadedFile.id} AND "version" = ${targetVersion}`)[0];
+  if (!snapshot) {
+    return { error: `Version ${targetVersion} of dataset "${datasetId}" not found.` };
+  }
+
+  const fileBuffer = await downloadStoredFile(snapshot);
+  // Restored by an earlier attempt that was cut off before the job moved on
+  if (completed) {
+    return { input: fileBuffer, state: { importResult: completed.importResult } };
+  }
+
+  const userData = await csv({ flatKeys: true }).fromString(fileBuffer.toString());
+  // Snapshots are written from the table, so headers are the column names and dates are ISO
+  const schema = snapshot.schema.map(column => ({ source: column.name, name: column.name, type: column.type, dayFirst: false }));
+  const { rows, errors, errorCount } = convertRowsForSchema(userData, schema);
+  if (errorCount > 0) {
+    return { error: `Version ${targetVersion} can't be restored, ${errorCount} value(s) don't match its schema.`, details: errors };
+  }
+
+  const onProgress = ({ batch, totalBatches }) => reportProgress(batch / totalBatches);
+  let importResult;
+  await importRowsIntoTable(getDatasetTable(workspace, datasetId), rows, schema, {
+    batchSize,
+    onProgress,
+    beforeCommit: async (tx, { rowsInserted, batches }) => {
+      importResult = { mode: 'rollback', restoredVersion: targetVersion, inserted: rowsInserted, updated: 0, skipped: 0, batches };
+      await recordImportAudit(tx, { job, workspace, uploadedFile, importResult });
+      await saveStepResult(tx, job, { importResult });
+    },
+  });
+
+  return { input: fileBuffer, state: { importResult } };
+}
+
+// Restores an earlier version as a new version, then stores and analyzes it like an import
+JOB_HANDLERS.rollback = {
+  steps: ['snapshot', 'restore', 'store', 'profile', 'analyze'],
+  run: {
+    snapshot: snapshotDatasetStep,
+    restore: restoreDatasetVersion,
+    store: storeDatasetFile,
+    profile: profileDatasetStep,
+    analyze: analyzeImportedDataset,
+  },
+};
+
+// Summary of one version: from its snapshot, or from the table for the current version
+async function getVersionSummary(sql, workspace, uploadedFile, version) {
+  if (version === uploadedFile.version) {
+    const { columns, rowCount } = await describeDatasetTable(sql, getDatasetTable(workspace, uploadedFile.datasetId));
+    const users = await sql`SELECT "email" FROM "User" WHERE "id" = ${uploadedFile.versionCreatedBy}`;
+    return {
+      version,
+      current: true,
+      source: uploadedFile.versionSource,
+      createdBy: users[0]?.email ?? null,
+      createdAt: uploadedFile.updatedAt,
+      originalFilename: uploadedFile.originalFilename,
+      rowCount,
+      columns,
+    };
+  }
+
+  const snapshots = await sql`SELECT v.*, u."email"
+    FROM "DatasetVersion" v
+    LEFT JOIN "User" u ON u."id" = v."createdBy"
+    WHERE v."uploadedFileId" = ${uploadedFile.id} AND v."version" = ${version}`;
+  return snapshots[0] ? toPublicVersion(snapshots[0]) : null;
+}
+
+const toPublicVersion = (snapshot) => ({
+  version: snapshot.version,
+  current: false,
+  source: snapshot.source,
+  createdBy: snapshot.email ?? null,
+  createdAt: snapshot.createdAt,
+  originalFilename: snapshot.originalFilename,
+  rowCount: snapshot.rowCount,
+  columns: snapshot.schema,
+});
+
+// Added, removed and retyped columns between two describeDatasetTable column lists
+function diffColumns(fromColumns, toColumns) {
+  const fromByName = new Map(fromColumns.map(column => [column.name, column]));
+  const toByName = new Map(toColumns.map(column => [column.name, column]));
+  return {
+    added: toColumns.filter(column => !fromByName.has(column.name)),
+    removed: fromColumns.filter(column => !toByName.has(column.name)),
+    typeChanged: toColumns
+      .filter(column => fromByName.has(column.name) && fromByName.get(column.name).type !== column.type)
+      .map(column => ({ name: column.name, from: fromByName.get(column.name).type, to: column.type })),
+  };
+}
+
+const parseVersion = (value) => /^\d+$/.test(String(value)) ? Number(value) : null;
+
+app.get("/api/datasets/:datasetId/versions", requireRole('viewer'), validateRequest({
+  summary: 'List the versions of a dataset',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const snapshots = await sql`SELECT v.*, u."email"
+      FROM "DatasetVersion" v
+      LEFT JOIN "User" u ON u."id" = v."createdBy"
+      WHERE v."uploadedFileId" = ${uploadedFile.id} AND v."version" <> ${uploadedFile.version}
+      ORDER BY v."version" DESC`;
+    const current = await getVersionSummary(sql, req.workspace, uploadedFile, uploadedFile.version);
+
+    return res.status(200).json({
+      datasetId: uploadedFile.datasetId,
+      currentVersion: uploadedFile.version,
+      versions: [current, ...snapshots.map(toPublicVersion)],
+    });
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/versions:", error);
+    res.status(500).json({ error: error.message || 'Failed to list versions.' });
+  }
+})
+
+// Compares the schemas and row counts of two versions: ?from=3&to=5 (to defaults to the current version)
+app.get("/api/datasets/:datasetId/versions/diff", requireRole('viewer'), validateRequest({
+  summary: 'Compare two versions of a dataset',
+  params: datasetParams,
+  query: objectSchema({
+    from: { type: 'integer', minimum: 1 },
+    to: { type: 'integer', minimum: 1, description: 'The current version when left out.' },
+  }, { required: ['from'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const fromVersion = parseVersion(req.query.from);
+    const toVersion = req.query.to === undefined ? uploadedFile.version : parseVersion(req.query.to);
+    if (fromVersion === null || toVersion === null) {
+      return res.status(400).json({ error: 'from and to must be version numbers.' });
+    }
+
+    const [from, to] = await Promise.all([
+      getVersionSummary(sql, req.workspace, uploadedFile, fromVersion),
+      getVersionSummary(sql, req.workspace, uploadedFile, toVersion),
+    ]);
+    const missing = [[fromVersion, from], [toVersion, to]].filter(([, summary]) => !summary).map(([version]) => version);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Version ${missing.join(' and ')} not found. Only the newest ${DATASET_VERSION_LIMIT} versions are kept.` });
+    }
+
+    return res.status(200).json({
+      from: { version: from.version, createdAt: from.createdAt, rowCount: from.rowCount },
+      to: { version: to.version, createdAt: to.createdAt, rowCount: to.rowCount },
+      rowCountChange: to.rowCount - from.rowCount,
+      columns: diffColumns(from.columns, to.columns),
+    });
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/versions/diff:", error);
+    res.status(500).json({ error: error.message || 'Failed to compare versions.' });
+  }
+})
+
+// Queues a rollback job; the current version is snapshotted first, so a rollback can be undone too
+app.post("/api/datasets/:datasetId/versions/:version/rollback", requireRole('admin'), validateRequest({
+  summary: 'Restore an earlier version of a dataset',
+  params: objectSchema({ datasetId: datasetIdSchema, version: { type: 'integer', minimum: 1 } }, { required: ['datasetId', 'version'] }),
+  body: objectSchema({ batchSize: importOptionsProperties.batchSize }),
+  responses: jobAcceptedResponses,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const targetVersion = parseVersion(req.params.version);
+    if (targetVersion === uploadedFile.version) {
+      return res.status(409).json({ error: `Version ${targetVersion} is already the current version.` });
+    }
+    const batchSize = parseBatchSize(req.body?.batchSize);
+    if (!batchSize) {
+      return res.status(400).json({ error: 'batchSize must be an integer between 1 and 10000.' });
+    }
+
+    const snapshots = await sql`SELECT * FROM "DatasetVersion" WHERE "uploadedFileId" = ${uploadedFile.id} AND "version" = ${targetVersion}`;
+    if (snapshots.length === 0) {
+      return res.status(404).json({ error: `Version ${req.params.version} of dataset "${uploadedFile.datasetId}" not found.` });
+    }
+
+    const job = await enqueueJob(sql, {
+      workspace: req.workspace,
+      user: req.user,
+      type: 'rollback',
+      state: {
+        datasetId: uploadedFile.datasetId,
+        targetVersion,
+        batchSize,
+        originalFilename: snapshots[0].originalFilename,
+        request: getAuditRequest(req),
+      },
+    });
+    return sendJobAccepted(res, job);
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/versions/:version/rollback:", error);
+    res.status(500).json({ error: error.message || 'Failed to roll back dataset.' });
+  }
+})
+
+// Dataset profiles
+// Column statistics computed in SQL (see lib/profiling.js), stored per dataset together with the
+// dataset version they describe. Imports and rollbacks profile the new version right away; after
+// row edits the profile is recomputed the next time it's asked for.
+async function storeDatasetProfile(sql, workspace, uploadedFile) {
+  const table = getDatasetTable(workspace, uploadedFile.datasetId);
+  const columns = (await getTableColumns(sql, table)).filter(column => !SYSTEM_COLUMNS.includes(column.name));
+  const profile = await profileTable(sql, qualifyTable(table), columns);
+
+  const stored = await sql`INSERT INTO "DatasetProfile" ("uploadedFileId", "datasetVersion", "profile")
+    VALUES (${uploadedFile.id}, ${uploadedFile.version}, ${JSON.stringify(profile)})
+    ON CONFLICT ("uploadedFileId") DO UPDATE SET
+      "datasetVersion" = EXCLUDED."datasetVersion",
+      "profile" = EXCLUDED."profile",
+      "createdAt" = CURRENT_TIMESTAMP
+    RETURNING *`;
+  return stored[0];
+}
+
+// The stored profile of the current dataset version, computed first when there is none
+async function getDatasetProfile(sql, workspace, uploadedFile, { refresh = false } = {}) {
+  if (!refresh) {
+    const stored = await sql`SELECT * FROM "DatasetProfile"
+      WHERE "uploadedFileId" = ${uploadedFile.id} AND "datasetVersion" = ${uploadedFile.version}`;
+    if (stored.length > 0) return stored[0];
+  }
+  return storeDatasetProfile(sql, workspace, uploadedFile);
+}
+
+// Step of imports and rollbacks. A profile that keeps failing doesn't fail the job,
+// it's computed again when requested.
+async function profileDatasetStep(sql, job, { workspace }) {
+  const uploadedFile = await getUploadedFile(sql, workspace, job.state.datasetId);
+  try {
+    await storeDatasetProfile(sql, workspace, uploadedFile);
+  } catch (error) {
+    if (job.attempts < JOB_MAX_ATTEMPTS) throw error;
+    console.error(`Failed to profile dataset "${uploadedFile.datasetId}":`, error);
+  }
+}
+
+app.get("/api/datasets/:datasetId/profile", requireRole('viewer'), validateRequest({
+  summary: 'Column statistics of a dataset',
+  params: datasetParams,
+  query: objectSchema({ refresh: refreshSchema }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const uploadedFile = await getUploadedFile(sql, req.workspace, req.params.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${req.params.datasetId}" not found.` });
+    }
+
+    const stored = await getDatasetProfile(sql, req.workspace, uploadedFile, { refresh: isRefreshRequested(req) });
+
+    return res.status(200).json({
+      datasetId: uploadedFile.datasetId,
+      datasetVersion: stored.datasetVersion,
+      profiledAt: stored.createdAt,
+      ...stored.profile,
+      analytics: toAnalytics(stored.profile),
+    });
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/profile:", error);
+    res.status(500).json({ error: error.message || 'Failed to profile dataset.' });
+  }
+})
+
+// Validation rules and cleaning options of a dataset, see "Data quality". Datasets without
+// settings answer the defaults, which leave imports as they are.
+const toPublicQualitySettings = (datasetId, settings) => ({
+  datasetId,
+  rules: settings?.rules ?? [],
+  cleaning: settings?.cleaning ?? {},
+  onInvalid: settings?.onInvalid ?? 'reject',
+  configured: Boolean(settings),
+  updatedBy: settings?.updatedBy ?? null,
+  updatedAt: settings?.updatedAt ?? null,
+});
+
+app.get("/api/datasets/:datasetId/quality", requireRole('viewer'), validateRequest({
+  summary: 'Validation rules and cleaning options of a dataset',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    if (!isValidDatasetId(req.params.datasetId)) {
+      return res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    }
+
+    const settings = await getQualitySettings(sql, req.workspace, req.params.datasetId);
+    return res.status(200).json(toPublicQualitySettings(req.params.datasetId, settings));
+  } catch (error) {
+    console.error("Error in GET /api/datasets/:datasetId/quality:", error);
+    res.status(500).json({ error: error.message || 'Failed to load quality settings.' });
+  }
+})
+
+// Replaces the settings; they apply from the next import of the dataset on
+app.put("/api/datasets/:datasetId/quality", requireRole('admin'), validateRequest({
+  summary: 'Set the validation rules and cleaning options of a dataset',
+  params: datasetParams,
+  body: qualitySettingsSchema,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    if (!isValidDatasetId(req.params.datasetId)) {
+      return res.status(400).json({ error: 'Invalid dataset ID. Use lowercase letters, digits and underscores only.' });
+    }
+
+    const { errors, settings } = validateQualitySettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid quality settings.', details: errors });
+    }
+
+    const stored = await sql`INSERT INTO "DatasetQuality" ("workspaceId", "datasetId", "rules", "cleaning", "onInvalid", "updatedBy")
+      VALUES (${req.workspace.id}, ${req.params.datasetId}, ${JSON.stringify(settings.rules)}, ${JSON.stringify(settings.cleaning)}, ${settings.onInvalid}, ${req.user.id})
+      ON CONFLICT ("workspaceId", "datasetId") DO UPDATE SET
+        "rules" = EXCLUDED."rules",
+        "cleaning" = EXCLUDED."cleaning",
+        "onInvalid" = EXCLUDED."onInvalid",
+        "updatedBy" = EXCLUDED."updatedBy",
+        "updatedAt" = CURRENT_TIMESTAMP
+      RETURNING *`;
+    return res.status(200).json(toPublicQualitySettings(req.params.datasetId, stored[0]));
+  } catch (error) {
+    console.error("Error in PUT /api/datasets/:datasetId/quality:", error);
+    res.status(500).json({ error: error.message || 'Failed to save quality settings.' });
+  }
+})
+
+// Back to importing without rules or cleaning
+app.delete("/api/datasets/:datasetId/quality", requireRole('admin'), validateRequest({
+  summary: 'Remove the validation rules and cleaning options of a dataset',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    await sql`DELETE FROM "DatasetQuality" WHERE "workspaceId" = ${req.workspace.id} AND "datasetId" = ${req.params.datasetId}`;
+    return res.status(200).json(toPublicQualitySettings(req.params.datasetId, null));
+  } catch (error) {
+    console.error("Error in DELETE /api/datasets/:datasetId/quality:", error);
+    res.status(500).json({ error: error.message || 'Failed to remove quality settings.' });
+  }
+})
+
+// Rejected-rows reports of the latest imports of a dataset, newest first
+app.get("/api/datasets/:datasetId/rejected-rows", requireRole('viewer'), validateRequest({
+  summary: 'List the rejected-rows reports of a dataset',
+  params: datasetParams,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const reports = await sql`SELECT "id", "datasetId", "jobId", "rowCount", "createdAt" FROM "RejectedRowsReport"
+      WHERE "workspaceId" = ${req.workspace.id} AND "datasetId" = ${req.params.datasetId}
+      ORDER BY "createdAt" DESC`;
+    return res.status(200).json({ datasetId: req.params.datasetId, reports });
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/rejected-rows:", error);
+    res.status(500).json({ error: error.message || 'Failed to list rejected-rows reports.' });
+  }
+})
+
+// Downloads a report as CSV: the row number in the file, the reasons and the row as it was in the
+// file. ?format=json answers the stored report instead.
+app.get("/api/datasets/:datasetId/rejected-rows/:reportId", requireRole('viewer'), validateRequest({
+  summary: 'Download a rejected-rows report',
+  params: objectSchema({ datasetId: datasetIdSchema, reportId: { type: 'string', format: 'uuid' } }, { required: ['datasetId', 'reportId'] }),
+  query: objectSchema({ format: { type: 'string', enum: ['csv', 'json'] } }),
+  responses: {
+    200: {
+      description: 'The report as CSV, or as JSON with format=json.',
+      content: { 'text/csv': { schema: { type: 'string' } }, 'application/json': { schema: { type: 'object' } } },
+    },
+  },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const reports = await sql`SELECT * FROM "RejectedRowsReport"
+      WHERE "id"::text = ${req.params.reportId} AND "workspaceId" = ${req.workspace.id} AND "datasetId" = ${req.params.datasetId}`;
+    if (reports.length === 0) {
+      return res.status(404).json({ error: `Rejected-rows report "${req.params.reportId}" not found.` });
+    }
+    const report = reports[0];
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        ...report,
+        truncated: report.rows.length < report.rowCount,
+      });
+    }
+
+    const columnNames = ['row', 'reasons', ...report.headers];
+    const rows = report.rows.map(({ row, reasons, values }) => ({ ...values, row, reasons: reasons.join('; ') }));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${report.datasetId}-rejected-rows.csv"`);
+    return res.status(200).send(rowsToCsv(columnNames, rows));
+  } catch (error) {
+    console.error("Error in /api/datasets/:datasetId/rejected-rows/:reportId:", error);
+    res.status(500).json({ error: error.message || 'Failed to load rejected-rows report.' });
+  }
+})
+
+// Custom dashboards
+// Saved sets of widgets that aggregate a dataset table in SQL, for KPIs that don't depend on the
+// AI service. A widget is
+//   { "title": "Revenue", "display": "metric", "aggregation": "sum", "column": "amount",
+//     "groupBy": "region", "dateColumn": "ordered_at", "dateBucket": "month",
+//     "filters": [{ "column": "status", "op": "eq", "value": "paid" }],
+//     "limit": 6, "format": { "prefix": "$", "suffix": "", "decimals": 0 } }
+// where aggregation is count (rows, or non-empty values of "column"), sum or avg, groupBy and the
+// date bucket are optional, and filters take the same form as for /api/data. Columns are checked
+// against information_schema and values are bound as parameters, like /api/data does. Each widget
+// runs in a read-only transaction with a statement timeout.
+// Results come in the shape of /api/dashboard-data: "metric" widgets as keyPerformanceMetrics
+// ({ number, title, description }), "stat" widgets as keyBusinessInsights.quickStats ({ key, value }),
+// one entry per bucket and group.
+const WIDGET_AGGREGATIONS = ['count', 'sum', 'avg'];
+const WIDGET_DISPLAYS = ['metric', 'stat'];
+// Labels of the buckets, which also sort them in time order
+const WIDGET_DATE_BUCKETS = {
+  day: 'YYYY-MM-DD',
+  week: 'IYYY-"W"IW',
+  month: 'YYYY-MM',
+  quarter: 'YYYY-"Q"Q',
+  year: 'YYYY',
+};
+const NUMERIC_COLUMN_TYPES = ['numeric', 'integer', 'bigint', 'smallint', 'real', 'double precision'];
+const DATE_COLUMN_TYPES = ['date', 'timestamp with time zone', 'timestamp without time zone'];
+const WIDGET_DEFAULT_LIMIT = 5;
+const WIDGET_MAX_LIMIT = 50;
+const DASHBOARD_MAX_WIDGETS = 30;
+const DASHBOARD_QUERY_TIMEOUT_MS = 10000;
+
+// Checks the shape of a widget definition; the columns are checked by buildWidgetQuery.
+// Returns the definition with defaults filled in.
+export function validateWidget(widget, label) {
+  const errors = [];
+  if (!widget || typeof widget !== 'object' || Array.isArray(widget)) {
+    return { errors: [`${label} must be an object.`] };
+  }
+
+  const { title, display = 'metric', aggregation, column = null, groupBy = null, dateColumn = null, dateBucket = null, filters = [], limit, format = {} } = widget;
+  if (typeof title !== 'string' || title.trim() === '' || title.length > 255) {
+    errors.push(`${label}: title is required and can have up to 255 characters.`);
+  }
+  if (!WIDGET_DISPLAYS.includes(display)) {
+    errors.push(`${label}: display must be one of ${WIDGET_DISPLAYS.join(', ')}.`);
+  }
+  if (!WIDGET_AGGREGATIONS.includes(aggregation)) {
+    errors.push(`${label}: aggregation must be one of ${WIDGET_AGGREGATIONS.join(', ')}.`);
+  } else if (aggregation !== 'count' && !column) {
+    errors.push(`${label}: ${aggregation} needs a column.`);
+  }
+  [['column', column], ['groupBy', groupBy], ['dateColumn', dateColumn]].forEach(([key, value]) => {
+    if (value !== null && typeof value !== 'string') errors.push(`${label}: ${key} must be a column name.`);
+  });
+  if ((dateColumn === null) !== (dateBucket === null)) {
+    errors.push(`${label}: dateColumn and dateBucket go together.`);
+  } else if (dateBucket !== null && !WIDGET_DATE_BUCKETS[dateBucket]) {
+    errors.push(`${label}: dateBucket must be one of ${Object.keys(WIDGET_DATE_BUCKETS).join(', ')}.`);
+  }
+  if (!Array.isArray(filters)) {
+    errors.push(`${label}: filters must be a list.`);
+  }
+  const grouped = groupBy !== null || dateBucket !== null;
+  const rowLimit = limit ?? (grouped ? WIDGET_DEFAULT_LIMIT : 1);
+  if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > WIDGET_MAX_LIMIT) {
+    errors.push(`${label}: limit must be an integer between 1 and ${WIDGET_MAX_LIMIT}.`);
+  }
+  if (!format || typeof format !== 'object' || Array.isArray(format)
+    || ['prefix', 'suffix'].some(key => format[key] !== undefined && typeof format[key] !== 'string')
+    || (format.decimals !== undefined && (!Number.isInteger(format.decimals) || format.decimals < 0 || format.decimals > 6))) {
+    errors.push(`${label}: format must be { prefix, suffix, decimals } with up to 6 decimals.`);
+  }
+
+  return {
+    errors,
+    widget: { title: title?.trim(), display, aggregation, column, groupBy, dateColumn, dateBucket, filters, limit: rowLimit, format },
+  };
+}
+
+// Checks a dashboard as sent to POST and PATCH /api/dashboards. Widgets keep their id when they
+// have one and get a new one otherwise.
+function validateDashboard(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '' || body.name.length > 255) {
+      errors.push('name is required and can have up to 255 characters.');
+    } else {
+      values.name = body.name.trim();
+    }
+  }
+  if (!partial || body.widgets !== undefined) {
+    const widgets = body.widgets ?? [];
+    if (!Array.isArray(widgets) || widgets.length > DASHBOARD_MAX_WIDGETS) {
+      errors.push(`widgets must be a list of up to ${DASHBOARD_MAX_WIDGETS} widgets.`);
+    } else {
+      values.widgets = widgets.map((item, index) => {
+        const { errors: widgetErrors, widget } = validateWidget(item, `widgets[${index}]`);
+        errors.push(...widgetErrors);
+        return { id: typeof item?.id === 'string' && item.id ? item.id : crypto.randomUUID(), ...widget };
+      });
+    }
+  }
+
+  return { errors, values };
+}
+
+const dashboardWidgetsSchema = {
+  type: 'array',
+  maxItems: DASHBOARD_MAX_WIDGETS,
+  items: objectSchema({
+    id: { type: 'string' },
+    title: { type: 'string', minLength: 1, maxLength: 255 },
+    display: { type: 'string', enum: WIDGET_DISPLAYS },
+    aggregation: { type: 'string', enum: WIDGET_AGGREGATIONS },
+    column: { type: ['string', 'null'] },
+    groupBy: { type: ['string', 'null'] },
+    dateColumn: { type: ['string', 'null'] },
+    dateBucket: { type: ['string', 'null'], enum: [...Object.keys(WIDGET_DATE_BUCKETS), null] },
+    filters: { type: 'array', items: { type: 'object' } },
+    limit: { type: 'integer', minimum: 1, maximum: WIDGET_MAX_LIMIT },
+    format: objectSchema({ prefix: { type: 'string' }, suffix: { type: 'string' }, decimals: { type: 'integer', minimum: 0, maximum: 6 } }),
+  }, { required: ['title', 'aggregation'] }),
+};
+
+// Builds the aggregate query of a widget against the current table columns.
+// Returns { errors } or { text, params }.
+export function buildWidgetQuery(table, columns, widget) {
+  const errors = [];
+  const findColumn = (name) => columns.find(column => column.name === name);
+  const requireColumn = (name, key, types, typeLabel) => {
+    const column = findColumn(name);
+    if (!column) {
+      errors.push(`Unknown ${key} column "${name}".`);
+    } else if (types && !types.includes(column.type)) {
+      errors.push(`${key} "${name}" must be a ${typeLabel} column.`);
+    }
+    return column;
+  };
+
+  const valueColumn = widget.column
+    ? requireColumn(widget.column, 'column', widget.aggregation === 'count' ? null : NUMERIC_COLUMN_TYPES, 'numeric')
+    : null;
+  const groupColumn = widget.groupBy ? requireColumn(widget.groupBy, 'groupBy') : null;
+  const dateColumn = widget.dateColumn ? requireColumn(widget.dateColumn, 'dateColumn', DATE_COLUMN_TYPES, 'date') : null;
+  const clauses = buildDataQueryClauses(columns, { filters: widget.filters });
+  errors.push(...clauses.errors);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const value = widget.aggregation === 'count'
+    ? `COUNT(${valueColumn ? `"${valueColumn.name}"` : '*'})`
+    : `${widget.aggregation.toUpperCase()}("${valueColumn.name}")`;
+  const select = [`${value}::float8 AS "value"`];
+  // Grouped by position, a table column named like an output column would win over it otherwise
+  const groupBy = [];
+  const orderBy = [];
+  if (dateColumn) {
+    select.push(`to_char(date_trunc('${widget.dateBucket}', "${dateColumn.name}"), '${WIDGET_DATE_BUCKETS[widget.dateBucket]}') AS "bucket"`);
+    groupBy.push(select.length);
+    // Latest buckets first
+    orderBy.push('"bucket" DESC NULLS LAST');
+  }
+  if (groupColumn) {
+    select.push(`"${groupColumn.name}"::text AS "group"`);
+    groupBy.push(select.length);
+  }
+  orderBy.push('"value" DESC NULLS LAST');
+  if (groupColumn) orderBy.push('"group" ASC');
+
+  return {
+    text: `SELECT ${select.join(', ')} FROM ${qualifyTable(table)} ${clauses.where}
+      ${groupBy.length > 0 ? `GROUP BY ${groupBy.join(', ')}` : ''}
+      ORDER BY ${orderBy.join(', ')}
+      LIMIT ${widget.limit}`,
+    params: clauses.params,
+  };
+}
+
+async function runWidgetQuery(sql, query) {
+  const [, rows] = await sql.transaction([
+    sql.query(`SET LOCAL statement_timeout = ${DASHBOARD_QUERY_TIMEOUT_MS}`),
+    sql.query(query.text, query.params),
+  ], { readOnly: true });
+  return rows;
+}
+
+const formatWidgetValue = (value, { prefix = '', suffix = '', decimals = 2 } = {}) => value === null
+  ? 'n/a'
+  : `${prefix}${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: decimals })}${suffix}`;
+
+// Runs the widgets of a dashboard against the dataset table. A widget that fails (e.g. its column
+// was dropped by a later import) reports its error and is left out of the metrics.
+async function computeDashboard(sql, workspace, datasetId, widgets) {
+  const table = getDatasetTable(workspace, datasetId);
+  const columns = await getTableColumns(sql, table);
+  const keyPerformanceMetrics = [];
+  const quickStats = [];
+  const results = [];
+
+  for (const widget of widgets) {
+    const query = buildWidgetQuery(table, columns, widget);
+    if (query.errors) {
+      results.push({ id: widget.id, title: widget.title, error: 'The widget no longer matches the dataset.', details: query.errors });
+      continue;
+    }
+
+    let rows;
+    try {
+      rows = await runWidgetQuery(sql, query);
+    } catch (error) {
+      console.error(`Failed to compute dashboard widget "${widget.title}":`, error);
+      results.push({ id: widget.id, title: widget.title, error: error.message });
+      continue;
+    }
+
+    results.push({ id: widget.id, title: widget.title, rows });
+    rows.forEach(row => {
+      const label = [widget.title, row.bucket, row.group === undefined ? undefined : row.group ?? '(empty)']
+        .filter(part => part !== undefined && part !== null)
+        .join(' · ');
+      const number = row.value === null ? null : Number(row.value.toFixed(widget.format.decimals ?? 2));
+      const description = formatWidgetValue(row.value, widget.format);
+      if (widget.display === 'stat') {
+        quickStats.push({ key: label, value: description });
+      } else {
+        keyPerformanceMetrics.push({ number, title: label, description });
+      }
+    });
+  }
+
+  return { keyPerformanceMetrics, keyBusinessInsights: { quickStats }, widgets: results };
+}
+
+const toPublicDashboard = (dashboard) => ({
+  id: dashboard.id,
+  datasetId: dashboard.datasetId,
+  name: dashboard.name,
+  widgets: dashboard.widgets,
+  createdBy: dashboard.createdBy,
+  createdAt: dashboard.createdAt,
+  updatedAt: dashboard.updatedAt,
+});
+
+const getWorkspaceDashboard = async (sql, workspace, dashboardId) => (await sql`SELECT * FROM "Dashboard"
+  WHERE "id"::text = ${dashboardId} AND "workspaceId" = ${workspace.id}`)[0] || null;
+
+// Dashboards are visible to the whole workspace; whoever created one and admins can change it
+const canEditDashboard = (req, dashboard) => dashboard.createdBy === req.user.id || req.workspace.role === 'admin';
+
+// Checks the widgets against the dataset before they are saved. Answers the response and returns
+// false when they don't fit it.
+async function checkDashboardWidgets(sql, req, res, datasetId, widgets) {
+  const table = getDatasetTable(req.workspace, datasetId);
+  const columns = await getTableColumns(sql, table);
+  const errors = widgets.flatMap((widget, index) =>
+    (buildWidgetQuery(table, columns, widget).errors || []).map(error => `widgets[${index}]: ${error}`));
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid dashboard.', details: errors });
+    return false;
+  }
+  return true;
+}
+
+app.get("/api/dashboards", requireRole('viewer'), validateRequest({
+  summary: 'List dashboards',
+  query: datasetQuery,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const datasetId = req.query.datasetId ?? null;
+    const dashboards = await sql`SELECT * FROM "Dashboard"
+      WHERE "workspaceId" = ${req.workspace.id} AND (${datasetId}::text IS NULL OR "datasetId" = ${datasetId})
+      ORDER BY "name" ASC, "id" ASC`;
+    return res.status(200).json({ dashboards: dashboards.map(toPublicDashboard) });
+  } catch (error) {
+    console.error("Error in /api/dashboards:", error);
+    res.status(500).json({ error: error.message || 'Failed to list dashboards.' });
+  }
+})
+
+app.post("/api/dashboards", requireRole('analyst'), validateRequest({
+  summary: 'Create a dashboard',
+  query: datasetQuery,
+  body: objectSchema({
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    datasetId: datasetIdSchema,
+    widgets: dashboardWidgetsSchema,
+  }, { required: ['name'] }),
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, values } = validateDashboard(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid dashboard.', details: errors });
+    }
+
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+    if (!await checkDashboardWidgets(sql, req, res, uploadedFile.datasetId, values.widgets)) return;
+
+    const dashboards = await sql`INSERT INTO "Dashboard" ("workspaceId", "datasetId", "name", "widgets", "createdBy")
+      VALUES (${req.workspace.id}, ${uploadedFile.datasetId}, ${values.name}, ${JSON.stringify(values.widgets)}, ${req.user.id})
+      RETURNING *`;
+    return res.status(201).json(toPublicDashboard(dashboards[0]));
+  } catch (error) {
+    console.error("Error in POST /api/dashboards:", error);
+    res.status(500).json({ error: error.message || 'Failed to create dashboard.' });
+  }
+})
+
+// Runs widgets without saving them, for trying out a definition: { datasetId, widgets }
+app.post("/api/dashboards/preview", requireRole('viewer'), validateRequest({
+  summary: 'Compute widgets without saving them',
+  query: datasetQuery,
+  body: objectSchema({ datasetId: datasetIdSchema, widgets: dashboardWidgetsSchema }, { required: ['widgets'] }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, values } = validateDashboard({ ...req.body, name: 'Preview' });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid dashboard.', details: errors });
+    }
+
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+    if (!await checkDashboardWidgets(sql, req, res, uploadedFile.datasetId, values.widgets)) return;
+
+    const data = await computeDashboard(sql, req.workspace, uploadedFile.datasetId, values.widgets);
+    return res.status(200).json({ datasetId: uploadedFile.datasetId, datasetVersion: uploadedFile.version, ...data });
+  } catch (error) {
+    console.error("Error in /api/dashboards/preview:", error);
+    res.status(500).json({ error: error.message || 'Failed to preview dashboard.' });
+  }
+})
+
+app.get("/api/dashboards/:dashboardId", requireRole('viewer'), validateRequest({
+  summary: 'A dashboard and its widgets',
+  params: integerParams('dashboardId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const dashboard = await getWorkspaceDashboard(sql, req.workspace, req.params.dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({ error: `Dashboard ${req.params.dashboardId} not found.` });
+    }
+
+    return res.status(200).json(toPublicDashboard(dashboard));
+  } catch (error) {
+    console.error("Error in /api/dashboards/:dashboardId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch dashboard.' });
+  }
+})
+
+// Renames the dashboard and/or replaces its widgets
+app.patch("/api/dashboards/:dashboardId", requireRole('analyst'), validateRequest({
+  summary: 'Rename a dashboard or replace its widgets',
+  params: integerParams('dashboardId'),
+  body: objectSchema({ name: { type: 'string', minLength: 1, maxLength: 255 }, widgets: dashboardWidgetsSchema }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, values } = validateDashboard(req.body, { partial: true });
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('Nothing to update. Send name or widgets.');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid dashboard.', details: errors });
+    }
+
+    const dashboard = await getWorkspaceDashboard(sql, req.workspace, req.params.dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({ error: `Dashboard ${req.params.dashboardId} not found.` });
+    }
+    if (!canEditDashboard(req, dashboard)) {
+      return res.status(403).json({ error: 'Only the user who created the dashboard or a workspace admin can change it.' });
+    }
+    if (values.widgets && !await checkDashboardWidgets(sql, req, res, dashboard.datasetId, values.widgets)) return;
+
+    const updated = await sql`UPDATE "Dashboard"
+      SET "name" = ${values.name ?? dashboard.name},
+        "widgets" = ${JSON.stringify(values.widgets ?? dashboard.widgets)},
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${dashboard.id}
+      RETURNING *`;
+    return res.status(200).json(toPublicDashboard(updated[0]));
+  } catch (error) {
+    console.error("Error in PATCH /api/dashboards/:dashboardId:", error);
+    res.status(500).json({ error: error.message || 'Failed to update dashboard.' });
+  }
+})
+
+app.delete("/api/dashboards/:dashboardId", requireRole('analyst'), validateRequest({
+  summary: 'Delete a dashboard',
+  params: integerParams('dashboardId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const dashboard = await getWorkspaceDashboard(sql, req.workspace, req.params.dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({ error: `Dashboard ${req.params.dashboardId} not found.` });
+    }
+    if (!canEditDashboard(req, dashboard)) {
+      return res.status(403).json({ error: 'Only the user who created the dashboard or a workspace admin can delete it.' });
+    }
+
+    await sql`DELETE FROM "Dashboard" WHERE "id" = ${dashboard.id}`;
+    return res.status(200).json({ message: `Dashboard ${dashboard.id} deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/dashboards/:dashboardId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete dashboard.' });
+  }
+})
+
+// The widgets computed against the current dataset, in the shape of /api/dashboard-data
+app.get("/api/dashboards/:dashboardId/data", requireRole('viewer'), validateRequest({
+  summary: 'Compute the widgets of a dashboard',
+  description: 'Answers in the shape of /api/dashboard-data: keyPerformanceMetrics and keyBusinessInsights.quickStats.',
+  params: integerParams('dashboardId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const dashboard = await getWorkspaceDashboard(sql, req.workspace, req.params.dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({ error: `Dashboard ${req.params.dashboardId} not found.` });
+    }
+    const uploadedFile = await getUploadedFile(sql, req.workspace, dashboard.datasetId);
+    if (!uploadedFile) {
+      return res.status(404).json({ error: `Dataset "${dashboard.datasetId}" not found. Please upload a CSV first.` });
+    }
+
+    const data = await computeDashboard(sql, req.workspace, dashboard.datasetId, dashboard.widgets);
+    return res.status(200).json({
+      dashboardId: dashboard.id,
+      name: dashboard.name,
+      datasetId: dashboard.datasetId,
+      datasetVersion: uploadedFile.version,
+      ...data,
+    });
+  } catch (error) {
+    console.error("Error in /api/dashboards/:dashboardId/data:", error);
+    res.status(500).json({ error: error.message || 'Failed to compute dashboard.' });
+  }
+})
+
+// Import sources
+// A source imports a file from an HTTP(S) URL on a schedule, through the same import job as
+// /api/upload (parse, snapshot, import, store, profile, analyze). Sources run every
+// "intervalMinutes", aligned to "startAt" (e.g. a start at 02:00 UTC and 1440 minutes for a
+// nightly sync). Nothing runs them by itself on serverless: a cron job calls /api/cron/run, which
+// runs the due sources of all workspaces. A file that didn't change since the last run isn't
+// imported again. Every run is kept in "ImportSourceRun". Like webhook URLs, source URLs must
+// resolve to public addresses, checked when they are saved and on every run; redirects aren't
+// followed. Scheduled runs import as the user who created the source, so a source whose creator
+// is no longer an admin of the workspace is deactivated instead of run.
+const IMPORT_SOURCE_MIN_INTERVAL_MINUTES = 15;
+const IMPORT_SOURCE_FETCH_TIMEOUT_MS = 60000;
+const IMPORT_SOURCE_MAX_BYTES = 50 * 1024 * 1024;
+const IMPORT_SOURCE_MAX_HEADERS = 20;
+const IMPORT_SOURCE_RUN_LIMIT = 50;
+// Jobs the cron trigger advances per call, see runDueJobs
+const CRON_JOB_LIMIT = 10;
+
+// Header values often hold credentials, only their names are returned
+const toPublicImportSource = (source) => ({
+  id: source.id,
+  name: source.name,
+  datasetId: source.datasetId,
+  url: source.url,
+  headers: Object.keys(source.headers || {}),
+  mode: source.mode,
+  keyColumn: source.keyColumn,
+  batchSize: source.batchSize,
+  parseOptions: source.parseOptions,
+  intervalMinutes: source.intervalMinutes,
+  active: source.active,
+  nextRunAt: source.nextRunAt,
+  lastRunAt: source.lastRunAt,
+  createdBy: source.createdBy,
+  createdAt: source.createdAt,
+  updatedAt: source.updatedAt,
+});
+
+// Runs as stored, with the outcome of their import job folded in
+const selectImportSourceRuns = (sql, sourceId, { limit = IMPORT_SOURCE_RUN_LIMIT, runId = null } = {}) => sql`SELECT r.*,
+    CASE
+      WHEN r."status" <> 'importing' THEN r."status"
+      WHEN j."status" = 'succeeded' THEN 'succeeded'
+      WHEN j."status" IN ('failed', 'cancelled') THEN 'failed'
+      ELSE 'importing'
+    END AS "outcome",
+    j."error" AS "jobError", j."errorDetails" AS "jobErrorDetails", j."result" AS "jobResult", j."finishedAt" AS "jobFinishedAt"
+  FROM "ImportSourceRun" r
+  LEFT JOIN "Job" j ON j."id" = r."jobId"
+  WHERE r."sourceId" = ${sourceId} AND (${runId}::int IS NULL OR r."id" = ${runId})
+  ORDER BY r."id" DESC
+  LIMIT ${limit}`;
+
+const toPublicImportSourceRun = (run) => ({
+  id: run.id,
+  sourceId: run.sourceId,
+  trigger: run.trigger,
+  status: run.outcome,
+  httpStatus: run.httpStatus,
+  bytes: run.bytes,
+  contentHash: run.contentHash,
+  jobId: run.jobId,
+  error: run.error ?? run.jobError ?? null,
+  errorDetails: run.jobErrorDetails ?? null,
+  import: run.jobResult?.import ?? null,
+  startedAt: run.startedAt,
+  finishedAt: run.jobFinishedAt ?? run.finishedAt,
+});
+
+// Checks an import source body for create (all required fields) or update (partial)
+function validateImportSource(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const has = (field) => body[field] !== undefined || !partial;
+
+  if (has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 255) {
+      errors.push('name must be 1 to 255 characters.');
+    } else {
+      values.name = body.name.trim();
+    }
+  }
+  if (has('datasetId')) {
+    if (!isValidDatasetId(body.datasetId)) {
+      errors.push('datasetId must use lowercase letters, digits and underscores only.');
+    } else {
+      values.datasetId = body.datasetId;
+    }
+  }
+  if (has('url')) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || body.url.length > 2048) {
+      errors.push('url must be an http(s) URL of up to 2048 characters.');
+    } else {
+      values.url = url.toString();
+    }
+  }
+  if (body.headers !== undefined) {
+    const entries = body.headers !== null && typeof body.headers === 'object' && !Array.isArray(body.headers) ? Object.entries(body.headers) : null;
+    if (!entries || entries.length > IMPORT_SOURCE_MAX_HEADERS || entries.some(([name, value]) => !/^[A-Za-z0-9-]+$/.test(name) || typeof value !== 'string')) {
+      errors.push(`headers must be an object of up to ${IMPORT_SOURCE_MAX_HEADERS} header names and string values.`);
+    } else {
+      values.headers = body.headers;
+    }
+  }
+  if (body.mode !== undefined) {
+    if (!IMPORT_MODES.includes(body.mode)) {
+      errors.push(`mode must be one of ${IMPORT_MODES.join(', ')}.`);
+    } else {
+      values.mode = body.mode;
+    }
+  }
+  if (body.keyColumn !== undefined) {
+    if (body.keyColumn !== null && typeof body.keyColumn !== 'string') {
+      errors.push('keyColumn must be a column name.');
+    } else {
+      values.keyColumn = body.keyColumn;
+    }
+  }
+  if (body.batchSize !== undefined) {
+    const batchSize = parseBatchSize(body.batchSize);
+    if (!batchSize) {
+      errors.push('batchSize must be an integer between 1 and 10000.');
+    } else {
+      values.batchSize = batchSize;
+    }
+  }
+  if (body.parseOptions !== undefined) {
+    if (body.parseOptions === null || typeof body.parseOptions !== 'object' || Array.isArray(body.parseOptions)) {
+      errors.push('parseOptions must be an object with format, sheet, delimiter and encoding.');
+    } else {
+      values.parseOptions = getParseOptions(body.parseOptions);
+    }
+  }
+  if (has('intervalMinutes')) {
+    const interval = Number(body.intervalMinutes);
+    if (!Number.isInteger(interval) || interval < IMPORT_SOURCE_MIN_INTERVAL_MINUTES) {
+      errors.push(`intervalMinutes must be an integer of at least ${IMPORT_SOURCE_MIN_INTERVAL_MINUTES}.`);
+    } else {
+      values.intervalMinutes = interval;
+    }
+  }
+  if (body.startAt !== undefined) {
+    if (Number.isNaN(Date.parse(body.startAt))) {
+      errors.push('startAt must be an ISO date.');
+    } else {
+      values.startAt = new Date(body.startAt);
+    }
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+const importSourceProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  datasetId: datasetIdSchema,
+  url: { type: 'string', format: 'uri', maxLength: 2048 },
+  headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Sent with every request, e.g. Authorization.' },
+  mode: importOptionsProperties.mode,
+  keyColumn: { type: ['string', 'null'] },
+  batchSize: importOptionsProperties.batchSize,
+  parseOptions: objectSchema(parseOptionsProperties),
+  intervalMinutes: { type: 'integer', minimum: IMPORT_SOURCE_MIN_INTERVAL_MINUTES },
+  startAt: { type: 'string', format: 'date-time' },
+  active: { type: 'boolean' },
+};
+
+// The first run time after now in a schedule aligned to anchor
+export function getNextRunAt(anchor, intervalMinutes, now = new Date()) {
+  const interval = intervalMinutes * 60000;
+  const start = new Date(anchor).getTime();
+  if (start > now.getTime()) return new Date(start);
+  return new Date(start + (Math.floor((now.getTime() - start) / interval) + 1) * interval);
+}
+
+// The file name and type come from Content-Disposition / Content-Type, or the URL path
+function getSourceFileDetails(source, response) {
+  const disposition = response.headers['content-disposition'] || '';
+  const dispositionName = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)?.[1];
+  const pathName = decodeURIComponent(new URL(source.url).pathname.split('/').pop() || '');
+  return {
+    originalFilename: dispositionName || pathName || `${source.datasetId}.csv`,
+    mimetype: String(response.headers['content-type'] || '').split(';')[0].trim(),
+  };
+}
+
+// Sources are only downloaded from public addresses, see lib/outboundUrl.js. Returns the problems.
+async function checkImportSourceUrl(url) {
+  const addressError = await checkPublicUrl(url);
+  return addressError ? [`url: ${addressError}`] : [];
+}
+
+// Downloads the source file and queues its import as userId. Returns the run as stored.
+async function runImportSource(sql, workspace, source, { trigger, request, userId }) {
+  const runs = await sql`INSERT INTO "ImportSourceRun" ("sourceId", "trigger", "status")
+    VALUES (${source.id}, ${trigger}, 'fetching')
+    RETURNING *`;
+  const run = runs[0];
+  await sql`UPDATE "ImportSource" SET "lastRunAt" = CURRENT_TIMESTAMP WHERE "id" = ${source.id}`;
+
+  const finishRun = async (fields) => (await sql`UPDATE "ImportSourceRun"
+    SET "status" = ${fields.status},
+      "httpStatus" = ${fields.httpStatus ?? null},
+      "bytes" = ${fields.bytes ?? null},
+      "contentHash" = ${fields.contentHash ?? null},
+      "jobId" = ${fields.jobId ?? null},
+      "error" = ${fields.error ?? null},
+      "finishedAt" = CASE WHEN ${fields.status}::text = 'importing' THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE "id" = ${run.id}
+    RETURNING *`)[0];
+
+  // The host may have been pointed at an internal address since the source was saved
+  const addressError = await checkPublicUrl(source.url);
+  if (addressError) {
+    return finishRun({ status: 'failed', error: `Could not download ${source.url}: ${addressError}` });
+  }
+
+  let response;
+  try {
+    response = await axios.get(source.url, {
+      headers: source.headers || {},
+      responseType: 'arraybuffer',
+      timeout: IMPORT_SOURCE_FETCH_TIMEOUT_MS,
+      maxContentLength: IMPORT_SOURCE_MAX_BYTES,
+      lookup: publicAddressLookup,
+      // A redirect could lead to an internal address, so it isn't followed
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    return finishRun({ status: 'failed', error: `Could not download ${source.url}: ${error.message}` });
+  }
+  if (response.status >= 300 && response.status < 400) {
+    return finishRun({
+      status: 'failed',
+      httpStatus: response.status,
+      error: `The source redirected to ${response.headers.location ?? 'another URL'}. Redirects aren't followed, use the final URL.`,
+    });
+  }
+  if (response.status < 200 || response.status >= 300) {
+    return finishRun({ status: 'failed', httpStatus: response.status, error: `The source answered ${response.status}.` });
+  }
+
+  const fileBuffer = Buffer.from(response.data);
+  const contentHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  const fetched = { httpStatus: response.status, bytes: fileBuffer.length, contentHash };
+
+  const previous = await sql`SELECT r."contentHash"
+    FROM "ImportSourceRun" r
+    JOIN "Job" j ON j."id" = r."jobId"
+    WHERE r."sourceId" = ${source.id} AND j."status" = 'succeeded'
+    ORDER BY r."id" DESC
+    LIMIT 1`;
+  // Manual runs always import, e.g. to redo an import that failed
+  if (trigger === 'schedule' && previous[0]?.contentHash === contentHash) {
+    return finishRun({ ...fetched, status: 'skipped', error: 'The file didn\'t change since the last import.' });
+  }
+
+  const { originalFilename, mimetype } = getSourceFileDetails(source, response);
+  const job = await enqueueJob(sql, {
+    workspace,
+    user: { id: userId },
+    type: 'import',
+    state: {
+      datasetId: source.datasetId,
+      batchSize: source.batchSize,
+      mode: source.mode,
+      keyColumn: source.keyColumn,
+      originalFilename,
+      mimetype,
+      parseOptions: source.parseOptions || {},
+      request,
+      importSourceId: source.id,
+    },
+    input: fileBuffer,
+  });
+  console.log(`Import source ${source.id}: queued import job ${job.id} for dataset "${source.datasetId}"`);
+
+  // "importing" runs take their outcome from the job
+  return finishRun({ ...fetched, status: 'importing', jobId: job.id });
+}
+
+const getWorkspaceImportSource = async (sql, workspace, sourceId) => (await sql`SELECT * FROM "ImportSource"
+  WHERE "id"::text = ${sourceId} AND "workspaceId" = ${workspace.id}`)[0] || null;
+
+app.get("/api/import-sources", requireRole('admin'), validateRequest({
+  summary: 'List import sources',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const sources = await sql`SELECT * FROM "ImportSource" WHERE "workspaceId" = ${req.workspace.id} ORDER BY "id" ASC`;
+    return res.status(200).json({ sources: sources.map(toPublicImportSource) });
+  } catch (error) {
+    console.error("Error in /api/import-sources:", error);
+    res.status(500).json({ error: error.message || 'Failed to list import sources.' });
+  }
+})
+
+app.post("/api/import-sources", requireRole('admin'), validateRequest({
+  summary: 'Create an import source',
+  body: objectSchema(importSourceProperties, { required: ['name', 'datasetId', 'url', 'intervalMinutes'] }),
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, values } = validateImportSource(req.body);
+    if (errors.length === 0) {
+      errors.push(...await checkImportSourceUrl(values.url));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid import source.', details: errors });
+    }
+
+    const nextRunAt = getNextRunAt(values.startAt ?? new Date(), values.intervalMinutes, new Date(Date.now() - 1));
+    const sources = await sql`INSERT INTO "ImportSource" ("workspaceId", "name", "datasetId", "url", "headers", "mode", "keyColumn", "batchSize", "parseOptions", "intervalMinutes", "active", "nextRunAt", "createdBy")
+      VALUES (${req.workspace.id}, ${values.name}, ${values.datasetId}, ${values.url}, ${JSON.stringify(values.headers ?? {})}, ${values.mode ?? 'replace'},
+        ${values.keyColumn ?? null}, ${values.batchSize ?? parseBatchSize()}, ${JSON.stringify(values.parseOptions ?? {})}, ${values.intervalMinutes},
+        ${values.active ?? true}, ${nextRunAt}, ${req.user.id})
+      RETURNING *`;
+
+    return res.status(201).json(toPublicImportSource(sources[0]));
+  } catch (error) {
+    console.error("Error in POST /api/import-sources:", error);
+    res.status(500).json({ error: error.message || 'Failed to create import source.' });
+  }
+})
+
+app.get("/api/import-sources/:sourceId", requireRole('admin'), validateRequest({
+  summary: 'An import source and its latest run',
+  params: integerParams('sourceId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const source = await getWorkspaceImportSource(sql, req.workspace, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({ error: `Import source ${req.params.sourceId} not found.` });
+    }
+
+    return res.status(200).json(toPublicImportSource(source));
+  } catch (error) {
+    console.error("Error in /api/import-sources/:sourceId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch import source.' });
+  }
+})
+
+// Headers sent here replace all stored headers
+app.patch("/api/import-sources/:sourceId", requireRole('admin'), validateRequest({
+  summary: 'Change an import source',
+  params: integerParams('sourceId'),
+  body: objectSchema(importSourceProperties),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, values } = validateImportSource(req.body, { partial: true });
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('Nothing to update.');
+    }
+    if (errors.length === 0 && values.url !== undefined) {
+      errors.push(...await checkImportSourceUrl(values.url));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid import source.', details: errors });
+    }
+
+    const source = await getWorkspaceImportSource(sql, req.workspace, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({ error: `Import source ${req.params.sourceId} not found.` });
+    }
+
+    const merged = { ...source, ...values };
+    // A new schedule starts over from startAt, or from now
+    const nextRunAt = values.intervalMinutes !== undefined || values.startAt !== undefined
+      ? getNextRunAt(values.startAt ?? new Date(), merged.intervalMinutes, new Date(Date.now() - 1))
+      : source.nextRunAt;
+    const updated = await sql`UPDATE "ImportSource"
+      SET "name" = ${merged.name}, "datasetId" = ${merged.datasetId}, "url" = ${merged.url}, "headers" = ${JSON.stringify(merged.headers)},
+        "mode" = ${merged.mode}, "keyColumn" = ${merged.keyColumn}, "batchSize" = ${merged.batchSize}, "parseOptions" = ${JSON.stringify(merged.parseOptions)},
+        "intervalMinutes" = ${merged.intervalMinutes}, "active" = ${merged.active}, "nextRunAt" = ${nextRunAt}, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${source.id}
+      RETURNING *`;
+
+    return res.status(200).json(toPublicImportSource(updated[0]));
+  } catch (error) {
+    console.error("Error in PATCH /api/import-sources/:sourceId:", error);
+    res.status(500).json({ error: error.message || 'Failed to update import source.' });
+  }
+})
+
+app.delete("/api/import-sources/:sourceId", requireRole('admin'), validateRequest({
+  summary: 'Delete an import source',
+  params: integerParams('sourceId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const deleted = await sql`DELETE FROM "ImportSource"
+      WHERE "id"::text = ${req.params.sourceId} AND "workspaceId" = ${req.workspace.id}
+      RETURNING "id"`;
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `Import source ${req.params.sourceId} not found.` });
+    }
+
+    return res.status(200).json({ message: `Import source ${deleted[0].id} deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/import-sources/:sourceId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete import source.' });
+  }
+})
+
+// Runs a source now, whatever its schedule. The file is imported even when it didn't change.
+app.post("/api/import-sources/:sourceId/run", requireRole('admin'), validateRequest({
+  summary: 'Run an import source now',
+  params: integerParams('sourceId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const source = await getWorkspaceImportSource(sql, req.workspace, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({ error: `Import source ${req.params.sourceId} not found.` });
+    }
+
+    const run = await runImportSource(sql, req.workspace, source, { trigger: 'manual', request: getAuditRequest(req), userId: req.user.id });
+    const runs = await selectImportSourceRuns(sql, source.id, { runId: run.id });
+
+    return res.status(run.jobId ? 202 : 200).json(toPublicImportSourceRun(runs[0]));
+  } catch (error) {
+    console.error("Error in /api/import-sources/:sourceId/run:", error);
+    res.status(500).json({ error: error.message || 'Failed to run import source.' });
+  }
+})
+
+// Run history of a source, newest first
+app.get("/api/import-sources/:sourceId/runs", requireRole('admin'), validateRequest({
+  summary: 'List the runs of an import source',
+  params: integerParams('sourceId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const source = await getWorkspaceImportSource(sql, req.workspace, req.params.sourceId);
+    if (!source) {
+      return res.status(404).json({ error: `Import source ${req.params.sourceId} not found.` });
+    }
+
+    const runs = await selectImportSourceRuns(sql, source.id);
+    return res.status(200).json({ runs: runs.map(toPublicImportSourceRun) });
+  } catch (error) {
+    console.error("Error in /api/import-sources/:sourceId/runs:", error);
+    res.status(500).json({ error: error.message || 'Failed to list import source runs.' });
+  }
+})
+
+// Advances jobs that are due but not running in any request: retries waiting for their delay
+// (e.g. webhook deliveries) and jobs whose request was cut off
+async function runDueJobs(sql) {
+  const due = await sql`SELECT "id" FROM "Job"
+    WHERE "status" IN ('queued', 'running')
+      AND "runAfter" <= CURRENT_TIMESTAMP
+      AND ("lockedUntil" IS NULL OR "lockedUntil" < CURRENT_TIMESTAMP)
+    ORDER BY "runAfter" ASC
+    LIMIT ${CRON_JOB_LIMIT}`;
+  const results = await Promise.allSettled(due.map(job => runJob(job.id)));
+  return results.length;
+}
+
+// Whether the creator of a source is still an admin of its workspace, as a member or as an admin
+// of the deployment (see findRequestWorkspace)
+async function isImportSourceCreatorAdmin(sql, source) {
+  if (source.createdBy === null) return false;
+  const admins = await sql`SELECT 1
+    FROM "User" u
+    LEFT JOIN "WorkspaceMember" m ON m."workspaceId" = ${source.workspaceId} AND m."userId" = u."id"
+    WHERE u."id" = ${source.createdBy} AND (u."role" = 'admin' OR m."role" = 'admin')`;
+  return admins.length > 0;
+}
+
+// Turns the source off and records the scheduled run it replaces as failed
+async function deactivateImportSource(sql, source) {
+  await sql`UPDATE "ImportSource" SET "active" = FALSE, "lastRunAt" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE "id" = ${source.id}`;
+  const runs = await sql`INSERT INTO "ImportSourceRun" ("sourceId", "trigger", "status", "error", "finishedAt")
+    VALUES (${source.id}, 'schedule', 'failed', 'The creator of this source is no longer an admin of the workspace, so the source was deactivated. An admin has to recreate it.', CURRENT_TIMESTAMP)
+    RETURNING *`;
+  console.log(`Import source ${source.id}: deactivated, its creator is no longer a workspace admin`);
+  return runs[0];
+}
+
+// Cron trigger: runs the import sources that are due in every workspace and the due jobs.
+// Public, but requires "Authorization: Bearer <CRON_SECRET>" (what Vercel Cron Jobs send).
+// Each source is claimed by moving its nextRunAt first, so overlapping calls don't run it twice.
+async function handleCronRun(req, res) {
+  const sql = getDbClient();
+
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const expected = process.env.CRON_SECRET;
+    const matches = expected && scheme === 'Bearer' && token
+      && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(expected)));
+    if (!matches) {
+      return res.status(401).json({ error: expected ? 'Invalid cron secret.' : 'CRON_SECRET is not configured.' });
+    }
+
+    const dueSources = await sql`SELECT s.*, w."slug", w."schemaName"
+      FROM "ImportSource" s
+      JOIN "Workspace" w ON w."id" = s."workspaceId"
+      WHERE s."active" AND s."nextRunAt" <= CURRENT_TIMESTAMP
+      ORDER BY s."nextRunAt" ASC`;
+
+    const runs = [];
+    for (const source of dueSources) {
+      const claimed = await sql`UPDATE "ImportSource"
+        SET "nextRunAt" = ${getNextRunAt(source.nextRunAt, source.intervalMinutes)}
+        WHERE "id" = ${source.id} AND "nextRunAt" = ${source.nextRunAt}
+        RETURNING "id"`;
+      if (claimed.length === 0) continue;
+
+      const workspace = { id: source.workspaceId, slug: source.slug, schemaName: source.schemaName };
+      try {
+        // Scheduled imports run as the user who created the source, who must still be allowed to
+        // manage it
+        if (!(await isImportSourceCreatorAdmin(sql, source))) {
+          const run = await deactivateImportSource(sql, source);
+          runs.push({ sourceId: source.id, runId: run.id, status: run.status, error: run.error });
+          continue;
+        }
+        const run = await runImportSource(sql, workspace, source, { trigger: 'schedule', request: getAuditRequest(req), userId: source.createdBy });
+        runs.push({ sourceId: source.id, runId: run.id, status: run.status, jobId: run.jobId });
+      } catch (error) {
+        console.error(`Error running import source ${source.id}:`, error);
+        runs.push({ sourceId: source.id, status: 'failed', error: error.message });
+      }
+    }
+
+    const jobsAdvanced = await runDueJobs(sql);
+
+    return res.status(200).json({ runs, jobsAdvanced });
+  } catch (error) {
+    console.error("Error in /api/cron/run:", error);
+    res.status(500).json({ error: error.message || 'Failed to run scheduled tasks.' });
+  }
+}
+
+const cronRunRequest = validateRequest({
+  summary: 'Run the due import sources and jobs',
+  description: 'Public, but requires "Authorization: Bearer <CRON_SECRET>".',
+});
+app.get("/api/cron/run", cronRunRequest, handleCronRun);
+app.post("/api/cron/run", cronRunRequest, handleCronRun);
+
+// Audit log
+// Every operation that changes dataset contents appends an entry to "AuditLog": who did it, what,
+// on which dataset, the request it came from, and the row counts and columns before and after.
+// The entry is written in the transaction making the change, so no change commits without one.
+// Entries copy the workspace slug and actor email and have no foreign keys, so they outlive the
+// workspace, dataset and user. A trigger rejects updates and deletes of the table.
+const AUDIT_ACTIONS = [
+  'dataset.upload', 'dataset.replace', 'dataset.append', 'dataset.upsert', 'dataset.rollback',
+  'dataset.rename', 'dataset.delete', 'row.create', 'row.update', 'row.delete', 'workspace.delete',
+];
+const AUDIT_PAGE_LIMIT = 100;
+const AUDIT_EXPORT_LIMIT = 50000;
+
+// What's recorded about the request behind an entry. Jobs keep it in their state as "request".
+const getAuditRequest = (req) => ({
+  method: req.method,
+  path: req.originalUrl,
+  ip: req.ip,
+  userAgent: req.get('User-Agent') ?? null,
+});
+
+// Columns and row count of a dataset table, or null when it doesn't exist
+async function describeDatasetIfExists(sql, workspace, datasetId) {
+  const table = getDatasetTable(workspace, datasetId);
+  return (await tableExists(sql, table)) ? describeDatasetTable(sql, table) : null;
+}
+
+// Appends an entry. before and after are describeDatasetTable results (null when there was or is
+// no table). Failures are thrown: pass the sql of the transaction making the change (see
+// withTransaction) so the change and its entry are committed together, or record the entry before
+// making the change.
+async function recordAudit(sql, { workspace, actorId, action, datasetId = null, jobId = null, request = {}, before = null, after = null, details = null }) {
+  const schemaChanges = before || after
+    ? diffColumns(before?.columns ?? [], after?.columns ?? [])
+    : null;
+  const hasSchemaChanges = schemaChanges && Object.values(schemaChanges).some(changes => changes.length > 0);
+
+  await sql`INSERT INTO "AuditLog" ("workspaceId", "workspaceSlug", "actorId", "actorEmail", "action", "datasetId", "jobId", "request", "rowsBefore", "rowsAfter", "schemaChanges", "details")
+    VALUES (${workspace.id}, ${workspace.slug}, ${actorId}, (SELECT "email" FROM "User" WHERE "id" = ${actorId}), ${action}, ${datasetId}, ${jobId},
+      ${JSON.stringify(request)}, ${before?.rowCount ?? null}, ${after?.rowCount ?? null},
+      ${hasSchemaChanges ? JSON.stringify(schemaChanges) : null}::jsonb, ${details ? JSON.stringify(details) : null}::jsonb)`;
+}
+
+// Runs a row edit and its audit entry in one transaction. edit(tx) makes the change and returns
+// the affected rows; nothing is recorded when there are none. The table is locked against other
+// writers and counted before and after the edit, so the entry holds the exact row counts. The edit
+// also bumps the dataset version and marks the stored file stale, see ensureDatasetFile.
+async function editRowsWithAudit(req, uploadedFile, action, edit, getDetails) {
+  const table = getDatasetTable(req.workspace, uploadedFile.datasetId);
+
+  return withTransaction(async (tx) => {
+    await tx.query(`LOCK TABLE ${qualifyTable(table)} IN SHARE ROW EXCLUSIVE MODE`);
+    const before = await describeDatasetTable(tx, table);
+    const rows = await edit(tx);
+    if (rows.length === 0) return rows;
+
+    await recordAudit(tx, {
+      workspace: req.workspace,
+      actorId: req.user.id,
+      action,
+      datasetId: uploadedFile.datasetId,
+      request: getAuditRequest(req),
+      before,
+      after: await describeDatasetTable(tx, table),
+      details: getDetails(rows),
+    });
+    await tx`UPDATE "UploadedFile"
+      SET "version" = "version" + 1, "fileStale" = TRUE, "versionJobId" = NULL, "versionSource" = 'edit', "versionCreatedBy" = ${req.user.id}, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${uploadedFile.id}`;
+    return rows;
+  });
+}
+
+// Import and rollback jobs record their entry in the transaction writing the rows (see
+// beforeCommit of importRowsIntoTable), so the table never changes without one.
+// uploadedFile is the dataset's metadata before the job, null for a new dataset.
+async function recordImportAudit(tx, { job, workspace, uploadedFile, importResult }) {
+  const { datasetId } = job.state;
+  await recordAudit(tx, {
+    workspace,
+    actorId: job.userId,
+    action: job.type === 'rollback' ? 'dataset.rollback' : uploadedFile ? `dataset.${importResult.mode}` : 'dataset.upload',
+    datasetId,
+    jobId: job.id,
+    request: job.state.request,
+    before: job.state.before,
+    after: await describeDatasetTable(tx, getDatasetTable(workspace, datasetId)),
+    details: { ...importResult, originalFilename: job.state.originalFilename, version: (uploadedFile?.version ?? 0) + 1 },
+  });
+}
+
+const toPublicAuditEntry = (entry) => ({
+  id: Number(entry.id),
+  createdAt: entry.createdAt,
+  workspaceId: entry.workspaceSlug,
+  actorId: entry.actorId,
+  actorEmail: entry.actorEmail,
+  action: entry.action,
+  datasetId: entry.datasetId,
+  jobId: entry.jobId,
+  request: entry.request,
+  rowsBefore: entry.rowsBefore,
+  rowsAfter: entry.rowsAfter,
+  schemaChanges: entry.schemaChanges,
+  details: entry.details,
+});
+
+// Reads the filters shared by /api/audit and /api/audit/export:
+// ?userId=, ?user= (email), ?action=, ?datasetId=, ?from= and ?to= (ISO dates, to is exclusive)
+function getAuditFilters(query) {
+  const errors = [];
+  const userId = query.userId === undefined ? null : Number(query.userId);
+  if (userId !== null && !Number.isInteger(userId)) {
+    errors.push('userId must be an integer.');
+  }
+  if (query.action !== undefined && !AUDIT_ACTIONS.includes(query.action)) {
+    errors.push(`action must be one of ${AUDIT_ACTIONS.join(', ')}.`);
+  }
+  const dates = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) {
+      dates[name] = null;
+    } else if (Number.isNaN(Date.parse(query[name]))) {
+      errors.push(`${name} must be an ISO date.`);
+    } else {
+      dates[name] = new Date(query[name]).toISOString();
+    }
+  }
+
+  return {
+    errors,
+    filters: {
+      userId,
+      email: query.user ?? null,
+      action: query.action ?? null,
+      datasetId: query.datasetId ?? null,
+      ...dates,
+    },
+  };
+}
+
+const auditFilterProperties = {
+  userId: { type: 'integer' },
+  user: { type: 'string', description: 'Email of the user.' },
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  datasetId: { type: 'string' },
+  from: { type: 'string', format: 'date-time' },
+  to: { type: 'string', format: 'date-time', description: 'Exclusive.' },
+};
+
+const selectAuditEntries = (sql, workspace, filters, { limit, offset = 0 }) => sql`SELECT *
+  FROM "AuditLog"
+  WHERE "workspaceId" = ${workspace.id}
+    AND (${filters.userId}::int IS NULL OR "actorId" = ${filters.userId})
+    AND (${filters.email}::text IS NULL OR "actorEmail" = ${filters.email})
+    AND (${filters.action}::text IS NULL OR "action" = ${filters.action})
+    AND (${filters.datasetId}::text IS NULL OR "datasetId" = ${filters.datasetId})
+    AND (${filters.from}::timestamptz IS NULL OR "createdAt" >= ${filters.from})
+    AND (${filters.to}::timestamptz IS NULL OR "createdAt" < ${filters.to})
+  ORDER BY "id" DESC
+  LIMIT ${limit} OFFSET ${offset}`;
+
+// Newest entries of req.workspace first, AUDIT_PAGE_LIMIT per page (?page=2, ...)
+app.get("/api/audit", requireRole('admin'), validateRequest({
+  summary: 'Search the audit log',
+  query: objectSchema({ ...auditFilterProperties, page: pageSchema }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, filters } = getAuditFilters(req.query);
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer.');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid audit filters.', details: errors });
+    }
+
+    // One extra entry tells whether there is a next page
+    const entries = await selectAuditEntries(sql, req.workspace, filters, { limit: AUDIT_PAGE_LIMIT + 1, offset: (page - 1) * AUDIT_PAGE_LIMIT });
+
+    return res.status(200).json({
+      entries: entries.slice(0, AUDIT_PAGE_LIMIT).map(toPublicAuditEntry),
+      page,
+      hasMore: entries.length > AUDIT_PAGE_LIMIT,
+    });
+  } catch (error) {
+    console.error("Error in /api/audit:", error);
+    res.status(500).json({ error: error.message || 'Failed to list audit entries.' });
+  }
+})
+
+// Same filters as /api/audit, as a CSV of up to AUDIT_EXPORT_LIMIT entries. JSON fields are
+// written as JSON strings.
+app.get("/api/audit/export", requireRole('admin'), validateRequest({
+  summary: 'Export the audit log',
+  query: objectSchema(auditFilterProperties),
+  responses: csvResponses('The matching entries as CSV.'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const { errors, filters } = getAuditFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid audit filters.', details: errors });
+    }
+
+    const entries = (await selectAuditEntries(sql, req.workspace, filters, { limit: AUDIT_EXPORT_LIMIT }))
+      .map(toPublicAuditEntry)
+      .map(entry => ({
+        ...entry,
+        request: JSON.stringify(entry.request),
+        schemaChanges: entry.schemaChanges && JSON.stringify(entry.schemaChanges),
+        details: entry.details && JSON.stringify(entry.details),
+      }));
+
+    const columnNames = ['id', 'createdAt', 'workspaceId', 'actorId', 'actorEmail', 'action', 'datasetId', 'jobId', 'rowsBefore', 'rowsAfter', 'schemaChanges', 'details', 'request'];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${req.workspace.slug}.csv"`);
+    return res.status(200).send(rowsToCsv(columnNames, entries));
+  } catch (error) {
+    console.error("Error in /api/audit/export:", error);
+    res.status(500).json({ error: error.message || 'Failed to export audit entries.' });
+  }
+})
+
+// Webhooks
+// Workspace admins subscribe URLs to events. Every event is delivered to each active subscription
+// as a POST with a JSON body { id, event, createdAt, workspaceId, data }, where id identifies the
+// event (replays keep it, so receivers can skip duplicates). Deliveries are signed:
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+// Each delivery runs as a "webhook" job, so failed attempts (network errors and non-2xx answers)
+// are retried with exponential backoff. Every attempt is kept in the delivery's "attemptLog".
+// URLs must resolve to public addresses, checked when they are saved and on every attempt.
+const WEBHOOK_EVENTS = [
+  'dataset.uploaded', 'dataset.rolled_back', 'dataset.deleted', 'analysis.completed',
+  'row.created', 'row.updated', 'row.deleted',
+];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Response bodies are kept for debugging, up to this many characters
+const WEBHOOK_RESPONSE_LIMIT = 2000;
+const WEBHOOK_DELIVERY_PAGE_LIMIT = 100;
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const deliveryParams = objectSchema({ webhookId: { type: 'integer', minimum: 1 }, deliveryId: { type: 'string', format: 'uuid' } }, { required: ['webhookId', 'deliveryId'] });
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// The secret is only returned when it's created or rotated
+const toPublicWebhook = (webhook, { includeSecret = false } = {}) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  active: webhook.active,
+  ...(includeSecret ? { secret: webhook.secret } : {}),
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+const toPublicDelivery = (delivery, { includePayload = false } = {}) => ({
+  id: delivery.id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  replayOf: delivery.replayOf,
+  jobId: delivery.jobId,
+  createdAt: delivery.createdAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  ...(includePayload ? { payload: delivery.payload, responseBody: delivery.responseBody, attemptLog: delivery.attemptLog } : {}),
+});
+
+// Checks a webhook body for create (all fields) or update (partial)
+function validateWebhook(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (body.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || body.url.length > 2048) {
+      errors.push('url must be an http(s) URL of up to 2048 characters.');
+    } else {
+      values.url = url.toString();
+    }
+  }
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0 || body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}.`);
+    } else {
+      values.events = [...new Set(body.events)];
+    }
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 255)) {
+      errors.push('description must be a string of up to 255 characters.');
+    } else {
+      values.description = body.description;
+    }
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be true or false.');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+// Webhooks can only point at public addresses, see lib/outboundUrl.js. Returns the problems.
+async function checkWebhookUrl(url) {
+  const addressError = await checkPublicUrl(url);
+  return addressError ? [`url: ${addressError}`] : [];
+}
+
+const webhookProperties = {
+  url: { type: 'string', format: 'uri', maxLength: 2048 },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+  description: { type: ['string', 'null'], maxLength: 255 },
+  active: { type: 'boolean' },
+};
+
+// Queues the delivery of a delivery row: new ones and replays
+async function enqueueWebhookDelivery(sql, workspace, delivery, userId) {
+  const job = await enqueueJob(sql, { workspace, user: { id: userId }, type: 'webhook', state: { deliveryId: delivery.id } });
+  await sql`UPDATE "WebhookDelivery" SET "jobId" = ${job.id} WHERE "id" = ${delivery.id}`;
+  return { ...delivery, jobId: job.id };
+}
+
+// ID of an event emitted by a job step, UUID-shaped and the same on every attempt of the step
+const getJobEventId = (job, event) => {
+  const hex = crypto.createHash('sha256').update(`${job.id}:${event}`).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+};
+
+// Sends an event to every active webhook of the workspace subscribed to it. Failures are logged,
+// an event that can't be delivered never fails the operation that caused it. Job steps pass their
+// job: the event ID is then derived from it, and webhooks that already have a delivery of the
+// event (queued by an earlier attempt of the step) don't get another one.
+async function emitWebhookEvent(sql, workspace, event, data, { userId = null, job = null } = {}) {
+  try {
+    const webhooks = await sql`SELECT * FROM "Webhook"
+      WHERE "workspaceId" = ${workspace.id} AND "active" AND "events" ? ${event}`;
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: job ? getJobEventId(job, event) : crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      workspaceId: workspace.slug,
+      data,
+    };
+    for (const webhook of webhooks) {
+      const deliveries = await sql`INSERT INTO "WebhookDelivery" ("webhookId", "event", "payload")
+        SELECT ${webhook.id}::int, ${event}::text, ${JSON.stringify(payload)}::jsonb
+        WHERE NOT EXISTS (SELECT 1 FROM "WebhookDelivery" WHERE "webhookId" = ${webhook.id} AND "payload"->>'id' = ${payload.id})
+        RETURNING *`;
+      if (deliveries.length === 0) continue;
+      await enqueueWebhookDelivery(sql, workspace, deliveries[0], userId);
+    }
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event}:`, error);
+  }
+}
+
+async function deliverWebhook(sql, job) {
+  const deliveries = await sql`SELECT d.*, w."url", w."secret"
+    FROM "WebhookDelivery" d
+    JOIN "Webhook" w ON w."id" = d."webhookId"
+    WHERE d."id" = ${job.state.deliveryId}`;
+  const delivery = deliveries[0];
+  if (!delivery) {
+    return { error: 'The webhook was deleted before the delivery was sent.' };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let response = null;
+  let requestError = null;
+  try {
+    // The host may have been pointed at an internal address since the webhook was saved
+    const addressError = await checkPublicUrl(delivery.url);
+    if (addressError) throw new Error(addressError);
 
-  for (const row of data) {
-    const value = row[columnName];
-    if (value === null || value === undefined || value === '') continue; // Ignore empty values for type inference
-
-    if (typeof value === 'string') {
-      hasString = true;
-      if (!isNaN(Number(value)) && !isNaN(parseFloat(value))) {
-        hasNumber = true;
-      } else if (value.toLowerCase() === 'true' || value.toLowerCase() === 'false') {
-        hasBoolean = true;
-      } else if (!isNaN(new Date(value).getTime())) {
-        hasDate = true;
-      }
-    } else if (typeof value === 'number') {
-      hasNumber = true;
-    } else if (typeof value === 'boolean') {
-      hasBoolean = true;
-    } else if (value instanceof Date) {
-      hasDate = true;
-    }
+    response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dashboard-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, body),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      lookup: publicAddressLookup,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    requestError = error;
   }
 
-  // Prioritize specific types if purely that type, otherwise broaden
-  if (hasNumber && !hasString && !hasDate && !hasBoolean) return 'NUMERIC';
-  if (hasDate && !hasString && !hasNumber && !hasBoolean) return 'TIMESTAMP WITH TIME ZONE';
-  if (hasBoolean && !hasString && !hasNumber && !hasDate) return 'BOOLEAN';
-  
-  // If it's a mix or default to string
-  if (hasString) return 'VARCHAR(255)'; // Default string length, adjust as needed for larger text
-  if (hasNumber) return 'NUMERIC'; // Fallback to numeric
-  if (hasBoolean) return 'BOOLEAN'; // Fallback to boolean
-  if (hasDate) return 'TIMESTAMP WITH TIME ZONE'; // Fallback to date
+  const succeeded = response !== null && response.status >= 200 && response.status < 300;
+  const isLastAttempt = job.attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const errorMessage = succeeded ? null : requestError ? requestError.message : `The endpoint answered ${response.status}.`;
+  const attempt = {
+    attempt: job.attempts,
+    at: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    responseStatus: response?.status ?? null,
+    error: errorMessage,
+  };
 
-  return 'VARCHAR(255)'; // Ultimate fallback
-};
+  await sql`UPDATE "WebhookDelivery"
+    SET "status" = ${succeeded ? 'succeeded' : isLastAttempt ? 'failed' : 'pending'},
+      "attempts" = "attempts" + 1,
+      "responseStatus" = ${response?.status ?? null},
+      "responseBody" = ${typeof response?.data === 'string' ? response.data.slice(0, WEBHOOK_RESPONSE_LIMIT) : null},
+      "error" = ${errorMessage},
+      "attemptLog" = "attemptLog" || ${JSON.stringify([attempt])}::jsonb,
+      "lastAttemptAt" = CURRENT_TIMESTAMP,
+      "deliveredAt" = ${succeeded ? new Date() : null}
+    WHERE "id" = ${delivery.id}`;
 
-function generateDynamicInsertSql(tableName, userData) {
-  if (!tableName) {
-      throw new Error("Table name must be provided.");
+  if (succeeded) {
+    return { result: { deliveryId: delivery.id, responseStatus: response.status } };
   }
-  if (!userData || userData.length === 0) {
-      return ""; // No data to insert, return empty query or handle as an error
+  if (isLastAttempt) {
+    return { error: errorMessage, details: { deliveryId: delivery.id, responseStatus: response?.status ?? null } };
   }
+  // Retried by the job
+  throw new Error(errorMessage);
+}
 
-  const firstRecord = userData[0];
-  // Dynamically get column names from the first record's keys
-  let columnNames = Object.keys(firstRecord);
-
-  // Sanitize column names for SQL identifiers
-  let sanitizedColumnNames = columnNames.map(name => `"${name.replace(/[^a-zA-Z0-9_]/g, '_')}"`);
-
-  // Add standard timestamp columns to the column list
-  sanitizedColumnNames.push('"createdAt"', '"updatedAt"');
-
-  const valuesClauses = userData.map(record => {
-      const values = columnNames.map(column => {
-          const value = record[column];
-          if (value === null || value === undefined || value === '') { // Also handle empty strings as NULL
-              return 'NULL';
-          } else if (typeof value === 'string') {
-              // Escape single quotes within strings for SQL
-              return `'${value.replace(/'/g, "''")}'`;
-          } else if (typeof value === 'number' || typeof value === 'boolean') {
-              return String(value);
-          } else if (value instanceof Date) {
-              return `'${value.toISOString()}'`; // Convert Date objects to ISO string for TIMESTAMP WITH TIME ZONE
-          }
-          // Fallback for any other types, treat as string
-          return `'${String(value).replace(/'/g, "''")}'`;
-      });
-      // Append CURRENT_TIMESTAMP for createdAt and updatedAt directly into each row's values
-      return `(${values.join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`;
-  });
+// 30s, 1m, 2m, 4m, ... apart
+JOB_HANDLERS.webhook = {
+  steps: ['deliver'],
+  run: { deliver: deliverWebhook },
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryDelaySeconds: (attempts) => 30 * 2 ** (attempts - 1),
+};
 
-  return `INSERT INTO "${tableName}" (${sanitizedColumnNames.join(', ')})\nVALUES\n${valuesClauses.join(',\n')};`;
-}
+const getWorkspaceWebhook = async (sql, workspace, webhookId) => (await sql`SELECT * FROM "Webhook"
+  WHERE "id"::text = ${webhookId} AND "workspaceId" = ${workspace.id}`)[0] || null;
 
-async function generatePaginatedDataQuery(sql, tableName, offset, limit) {
-  if (!tableName) {
-    console.log('Error: Table name missing');
-    throw new Error("Table name must be provided.");
+app.get("/api/webhooks", requireRole('admin'), validateRequest({
+  summary: 'List webhooks',
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const webhooks = await sql`SELECT * FROM "Webhook" WHERE "workspaceId" = ${req.workspace.id} ORDER BY "id" ASC`;
+    return res.status(200).json({ webhooks: webhooks.map(webhook => toPublicWebhook(webhook)), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error("Error in /api/webhooks:", error);
+    res.status(500).json({ error: error.message || 'Failed to list webhooks.' });
   }
+})
 
-  console.log('Starting generatePaginatedDataQuery', { tableName, offset, limit });
+app.post("/api/webhooks", requireRole('admin'), validateRequest({
+  summary: 'Subscribe a URL to events',
+  body: objectSchema(webhookProperties, { required: ['url', 'events'] }),
+  responses: { 201: { description: 'Created; the response includes the signing secret.' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-  // Query 1: Fetch column names
-  console.log('Query 1: Fetching column names from information_schema.columns');
-  const columnsData = await sql`SELECT column_name
-    FROM information_schema.columns
-    WHERE table_schema = 'public'
-      AND table_name = ${tableName}
-    ORDER BY ordinal_position`;
-  console.log('Query 1 result:', columnsData);
+  try {
+    const { errors, values } = validateWebhook(req.body);
+    if (errors.length === 0) {
+      errors.push(...await checkWebhookUrl(values.url));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook.', details: errors });
+    }
 
-  // Ensure columnsData is an array
-  if (!Array.isArray(columnsData)) {
-    console.log('Error: columnsData is not an array:', columnsData);
-    throw new Error("Expected sql() to return an array of objects for column names.");
+    const webhooks = await sql`INSERT INTO "Webhook" ("workspaceId", "url", "events", "description", "active", "secret", "createdBy")
+      VALUES (${req.workspace.id}, ${values.url}, ${JSON.stringify(values.events)}, ${values.description ?? null}, ${values.active ?? true}, ${generateWebhookSecret()}, ${req.user.id})
+      RETURNING *`;
+
+    return res.status(201).json(toPublicWebhook(webhooks[0], { includeSecret: true }));
+  } catch (error) {
+    console.error("Error in POST /api/webhooks:", error);
+    res.status(500).json({ error: error.message || 'Failed to create webhook.' });
   }
+})
 
-  // Extract column names and filter out excluded ones
-  const columnsToExclude = ['createdAt', 'updatedAt'];
-  const desiredColumns = columnsData
-    .map(row => row.column_name)
-    .filter(col => !columnsToExclude.includes(col));
-  console.log('Desired columns:', desiredColumns);
+app.get("/api/webhooks/:webhookId", requireRole('admin'), validateRequest({
+  summary: 'A webhook',
+  params: integerParams('webhookId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-  if (desiredColumns.length === 0) {
-    console.log('Error: No selectable columns found for table', tableName);
-    throw new Error(`No selectable columns found for table "${tableName}" after exclusion.`);
+  try {
+    const webhook = await getWorkspaceWebhook(sql, req.workspace, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: `Webhook ${req.params.webhookId} not found.` });
+    }
+
+    return res.status(200).json(toPublicWebhook(webhook));
+  } catch (error) {
+    console.error("Error in /api/webhooks/:webhookId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch webhook.' });
   }
+})
 
-  // Sanitize column names
-  const selectClause = desiredColumns.map(col => `"${col.replace(/[^a-zA-Z0-9_]/g, '_')}"`).join(', ');
-  console.log('Generated SELECT clause:', selectClause);
+app.patch("/api/webhooks/:webhookId", requireRole('admin'), validateRequest({
+  summary: 'Change a webhook',
+  params: integerParams('webhookId'),
+  body: objectSchema(webhookProperties),
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-  // Query 2: Count all records
-  console.log('Query 2: Counting records in', tableName);
-  const countQuery = `SELECT COUNT(*) FROM "${tableName}"`;
-  console.log('Generated COUNT query:', countQuery);
-  const countResult = await sql.query(countQuery); // Use sql() for raw query
-  console.log('Query 2 result:', countResult);
-  const count = countResult[0].count; // Adjust based on actual result structure
+  try {
+    const { errors, values } = validateWebhook(req.body, { partial: true });
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('Nothing to update. Send url, events, description or active.');
+    }
+    if (errors.length === 0 && values.url !== undefined) {
+      errors.push(...await checkWebhookUrl(values.url));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook.', details: errors });
+    }
 
-  // Query 3: Fetch paginated records
-  console.log('Query 3: Fetching paginated records');
-  const rowsQuery = `
-    SELECT ${selectClause}
-    FROM "${tableName}"
-    ORDER BY "id" ASC
-    OFFSET ${offset}
-    LIMIT ${limit}`;
-  console.log('Generated ROWS query:', rowsQuery);
-  const rows = await sql.query(rowsQuery); // Use sql() for raw query
-  console.log('Query 3 result:', rows);
+    const webhook = await getWorkspaceWebhook(sql, req.workspace, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: `Webhook ${req.params.webhookId} not found.` });
+    }
 
-  return {
-    count,
-    rows
-  };
-}
+    const updated = await sql`UPDATE "Webhook"
+      SET "url" = ${values.url ?? webhook.url},
+        "events" = ${JSON.stringify(values.events ?? webhook.events)},
+        "description" = ${values.description !== undefined ? values.description : webhook.description},
+        "active" = ${values.active ?? webhook.active},
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${webhook.id}
+      RETURNING *`;
 
-app.get("/api/test", async (req,res)=>{
-  console.log("test");
-  return res.status(200).json({message: "okay", error: "this is error alo"})
+    return res.status(200).json(toPublicWebhook(updated[0]));
+  } catch (error) {
+    console.error("Error in PATCH /api/webhooks/:webhookId:", error);
+    res.status(500).json({ error: error.message || 'Failed to update webhook.' });
+  }
 })
 
-app.get("/api/dashboard-data", async (req,res)=>{
+app.delete("/api/webhooks/:webhookId", requireRole('admin'), validateRequest({
+  summary: 'Delete a webhook',
+  params: integerParams('webhookId'),
+}), async (req,res)=>{
   const sql = getDbClient();
-  
-  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
 
-  const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-  const formData = new FormData();
-  formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
+  try {
+    const deleted = await sql`DELETE FROM "Webhook"
+      WHERE "id"::text = ${req.params.webhookId} AND "workspaceId" = ${req.workspace.id}
+      RETURNING "id"`;
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `Webhook ${req.params.webhookId} not found.` });
+    }
+
+    return res.status(200).json({ message: `Webhook ${deleted[0].id} deleted successfully.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/webhooks/:webhookId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete webhook.' });
+  }
+})
+
+// Replaces the signing secret; deliveries still pending are signed with the new one
+app.post("/api/webhooks/:webhookId/rotate-secret", requireRole('admin'), validateRequest({
+  summary: 'Replace the signing secret of a webhook',
+  params: integerParams('webhookId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/dashboard-data`,
-    formData,
-    {
-      headers: formData.getHeaders(),
+  try {
+    const updated = await sql`UPDATE "Webhook"
+      SET "secret" = ${generateWebhookSecret()}, "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id"::text = ${req.params.webhookId} AND "workspaceId" = ${req.workspace.id}
+      RETURNING *`;
+    if (updated.length === 0) {
+      return res.status(404).json({ error: `Webhook ${req.params.webhookId} not found.` });
     }
-  );
 
-  res.status(200).json(response.data);
+    return res.status(200).json(toPublicWebhook(updated[0], { includeSecret: true }));
+  } catch (error) {
+    console.error("Error in /api/webhooks/:webhookId/rotate-secret:", error);
+    res.status(500).json({ error: error.message || 'Failed to rotate webhook secret.' });
+  }
 })
 
-app.get("/api/pattern-analysis-initial", async (req,res)=>{
+// Delivery log of a webhook, newest first: ?status=pending|succeeded|failed&event=...&page=2
+app.get("/api/webhooks/:webhookId/deliveries", requireRole('admin'), validateRequest({
+  summary: 'List the deliveries of a webhook',
+  params: integerParams('webhookId'),
+  query: objectSchema({
+    status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+    page: pageSchema,
+  }),
+}), async (req,res)=>{
   const sql = getDbClient();
-  
-  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
 
-  const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-  const formData = new FormData();
-  formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
+  try {
+    const webhook = await getWorkspaceWebhook(sql, req.workspace, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: `Webhook ${req.params.webhookId} not found.` });
+    }
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/pattern-analysis-initial`,
-    formData,
-    {
-      headers: formData.getHeaders(),
+    const status = req.query.status ?? null;
+    const event = req.query.event ?? null;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const errors = [];
+    if (status !== null && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${WEBHOOK_DELIVERY_STATUSES.join(', ')}.`);
+    }
+    if (event !== null && !WEBHOOK_EVENTS.includes(event)) {
+      errors.push(`event must be one of ${WEBHOOK_EVENTS.join(', ')}.`);
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer.');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid delivery filters.', details: errors });
     }
-  );
 
-  console.log(response.data);
-  
+    const deliveries = await sql`SELECT * FROM "WebhookDelivery"
+      WHERE "webhookId" = ${webhook.id}
+        AND (${status}::text IS NULL OR "status" = ${status})
+        AND (${event}::text IS NULL OR "event" = ${event})
+      ORDER BY "createdAt" DESC
+      LIMIT ${WEBHOOK_DELIVERY_PAGE_LIMIT + 1} OFFSET ${(page - 1) * WEBHOOK_DELIVERY_PAGE_LIMIT}`;
 
-  res.status(200).json(response.data);
+    return res.status(200).json({
+      deliveries: deliveries.slice(0, WEBHOOK_DELIVERY_PAGE_LIMIT).map(delivery => toPublicDelivery(delivery)),
+      page,
+      hasMore: deliveries.length > WEBHOOK_DELIVERY_PAGE_LIMIT,
+    });
+  } catch (error) {
+    console.error("Error in /api/webhooks/:webhookId/deliveries:", error);
+    res.status(500).json({ error: error.message || 'Failed to list deliveries.' });
+  }
 })
 
-app.post("/api/pattern-analysis-analyze", async (req,res)=>{
+const getWebhookDelivery = async (sql, workspace, webhookId, deliveryId) => (await sql`SELECT d.*
+  FROM "WebhookDelivery" d
+  JOIN "Webhook" w ON w."id" = d."webhookId"
+  WHERE d."id"::text = ${deliveryId} AND w."id"::text = ${webhookId} AND w."workspaceId" = ${workspace.id}`)[0] || null;
+
+// One delivery with its payload, the last response body and every attempt
+app.get("/api/webhooks/:webhookId/deliveries/:deliveryId", requireRole('admin'), validateRequest({
+  summary: 'A delivery with its attempts',
+  params: deliveryParams,
+}), async (req,res)=>{
   const sql = getDbClient();
-  
-  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
 
-  const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-  const formData = new FormData();
-  formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
+  try {
+    const delivery = await getWebhookDelivery(sql, req.workspace, req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: `Delivery ${req.params.deliveryId} not found.` });
+    }
+
+    return res.status(200).json(toPublicDelivery(delivery, { includePayload: true }));
+  } catch (error) {
+    console.error("Error in /api/webhooks/:webhookId/deliveries/:deliveryId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch delivery.' });
+  }
+})
 
-  formData.append("min_support", req.body.minSupport);
+// Sends the payload of a delivery again as a new delivery, to the webhook's current URL
+app.post("/api/webhooks/:webhookId/deliveries/:deliveryId/replay", requireRole('admin'), validateRequest({
+  summary: 'Send a delivery again',
+  params: deliveryParams,
+  responses: { 202: { description: 'Queued' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/pattern-analysis-analyze`,
-    formData,
-    {
-      headers: formData.getHeaders(),
+  try {
+    const delivery = await getWebhookDelivery(sql, req.workspace, req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: `Delivery ${req.params.deliveryId} not found.` });
     }
-  );
 
-  res.status(200).json(response.data);
+    const replays = await sql`INSERT INTO "WebhookDelivery" ("webhookId", "event", "payload", "replayOf")
+      VALUES (${delivery.webhookId}, ${delivery.event}, ${JSON.stringify(delivery.payload)}, ${delivery.id})
+      RETURNING *`;
+    const replay = await enqueueWebhookDelivery(sql, req.workspace, replays[0], req.user.id);
+
+    return res.status(202).json(toPublicDelivery(replay));
+  } catch (error) {
+    console.error("Error in /api/webhooks/:webhookId/deliveries/:deliveryId/replay:", error);
+    res.status(500).json({ error: error.message || 'Failed to replay delivery.' });
+  }
 })
 
-app.post("/api/smart-question-examples", async (req,res)=>{
-  const sql = getDbClient();
-  
-  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
+// Q&A threads
+// Questions asked in a thread are answered by the AI service's /question-answer with the earlier
+// turns of the thread sent along as "history" (a JSON list of { question, answer }). Threads are
+// private to whoever started them until they are shared with the workspace. Any turn can be
+// bookmarked, and re-run against the current dataset version to compare answers.
+const QA_HISTORY_TURNS = 10;
 
-  const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-  const formData = new FormData();
-  formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
+// Turns as stored, with the job's outcome folded in for turns whose job failed or was cancelled
+const selectQaTurns = (sql, { threadId = null, turnId = null, userId }) => sql`SELECT t."id", t."threadId", t."question", t."answer",
+    t."datasetVersion", t."rerunOf", t."jobId", t."createdBy", t."createdAt", t."answeredAt",
+    CASE WHEN t."status" = 'pending' AND j."status" IN ('failed', 'cancelled') THEN 'failed' ELSE t."status" END AS "status",
+    COALESCE(t."error", CASE WHEN j."status" IN ('failed', 'cancelled') THEN j."error" END) AS "error",
+    b."note" AS "bookmarkNote", b."createdAt" AS "bookmarkedAt"
+  FROM "QaTurn" t
+  LEFT JOIN "Job" j ON j."id" = t."jobId"
+  LEFT JOIN "QaBookmark" b ON b."turnId" = t."id" AND b."userId" = ${userId}
+  WHERE (${threadId}::uuid IS NULL OR t."threadId" = ${threadId})
+    AND (${turnId}::int IS NULL OR t."id" = ${turnId})
+  ORDER BY t."id" ASC`;
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/smart-question-examples`,
-    formData,
-    {
-      headers: formData.getHeaders(),
-    }
-  );
+const toPublicTurn = (turn) => ({
+  id: turn.id,
+  threadId: turn.threadId,
+  question: turn.question,
+  answer: turn.answer,
+  status: turn.status,
+  error: turn.error,
+  datasetVersion: turn.datasetVersion,
+  rerunOf: turn.rerunOf,
+  jobId: turn.jobId,
+  bookmarked: turn.bookmarkedAt != null,
+  bookmarkNote: turn.bookmarkNote ?? null,
+  createdBy: turn.createdBy,
+  createdAt: turn.createdAt,
+  answeredAt: turn.answeredAt,
+});
 
-  res.status(200).json(response.data);
+const toPublicThread = (thread) => ({
+  id: thread.id,
+  datasetId: thread.datasetId,
+  title: thread.title,
+  shared: thread.shared,
+  createdBy: thread.createdBy,
+  createdAt: thread.createdAt,
+  updatedAt: thread.updatedAt,
 });
 
-app.post("/api/question-answer", async (req,res)=>{
-  const sql = getDbClient();
-  
-  const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
+// A thread of req.workspace the caller can see: their own or a shared one
+async function findQaThread(sql, req, threadId) {
+  const threads = await sql`SELECT t.*, f."datasetId"
+    FROM "QaThread" t
+    JOIN "UploadedFile" f ON f."id" = t."uploadedFileId"
+    WHERE t."id"::text = ${threadId}
+      AND f."workspaceId" = ${req.workspace.id}
+      AND (t."createdBy" = ${req.user.id} OR t."shared")`;
+  return threads[0] || null;
+}
 
-  const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-  const formData = new FormData();
+// Only the creator asks in a thread; workspace admins may also rename, share or delete it
+const canEditQaThread = (req, thread, { allowAdmin = false } = {}) =>
+  thread.createdBy === req.user.id || (allowAdmin && req.workspace.role === 'admin');
 
+// Adds a turn to a thread and queues the job answering it
+async function askInThread(sql, req, thread, question, { rerunOf = null } = {}) {
+  const turns = await sql`INSERT INTO "QaTurn" ("threadId", "question", "rerunOf", "createdBy")
+    VALUES (${thread.id}, ${question}, ${rerunOf}, ${req.user.id})
+    RETURNING *`;
+  const turn = turns[0];
 
-  formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
-  formData.append('question', req.body.question);
+  const job = await enqueueJob(sql, { workspace: req.workspace, user: req.user, type: 'qa', state: { turnId: turn.id } });
+  await sql`UPDATE "QaTurn" SET "jobId" = ${job.id} WHERE "id" = ${turn.id}`;
+  await sql`UPDATE "QaThread" SET "updatedAt" = CURRENT_TIMESTAMP WHERE "id" = ${thread.id}`;
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/question-answer`,
-    formData,
-    {
-      headers: formData.getHeaders(),
-    }
-  );
+  return { turn: { ...turn, jobId: job.id }, job };
+}
+
+async function answerQaTurn(sql, job) {
+  const turns = await sql`SELECT q.*, t."uploadedFileId"
+    FROM "QaTurn" q
+    JOIN "QaThread" t ON t."id" = q."threadId"
+    WHERE q."id" = ${job.state.turnId}`;
+  const turn = turns[0];
+  if (!turn) {
+    return { error: 'The question was deleted before it was answered.' };
+  }
+
+  // Re-runs get the same context as the question they repeat
+  const contextBefore = turn.rerunOf ?? turn.id;
+  const history = (await sql`SELECT "question", "answer"
+    FROM "QaTurn"
+    WHERE "threadId" = ${turn.threadId} AND "id" < ${contextBefore} AND "rerunOf" IS NULL AND "status" = 'answered'
+    ORDER BY "id" DESC
+    LIMIT ${QA_HISTORY_TURNS}`).reverse();
+
+  const uploadedFiles = await sql`SELECT * FROM "UploadedFile" WHERE "id" = ${turn.uploadedFileId}`;
+  const formData = await getDatasetFormData(sql, uploadedFiles[0]);
+  formData.append('question', turn.question);
+  formData.append('history', JSON.stringify(history));
+
+  try {
+    const answer = await postToAiService('question-answer', formData);
+    const answered = await sql`UPDATE "QaTurn"
+      SET "answer" = ${JSON.stringify(answer)}, "status" = 'answered', "error" = NULL,
+        "datasetVersion" = ${uploadedFiles[0].version}, "answeredAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${turn.id}
+      RETURNING *`;
+    return { result: toPublicTurn(answered[0]) };
+  } catch (error) {
+    if (!isFinalAiFailure(job, error)) throw error;
+    await sql`UPDATE "QaTurn" SET "status" = 'failed', "error" = ${error.message} WHERE "id" = ${turn.id}`;
+    return { error: error.message, details: { code: error.code } };
+  }
+}
+
+JOB_HANDLERS.qa = {
+  steps: ['answer'],
+  run: { answer: answerQaTurn },
+};
+
+app.get("/api/qa/threads", requireRole('viewer'), validateRequest({
+  summary: 'List Q&A threads',
+  query: datasetQuery,
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const datasetId = req.query.datasetId ?? null;
+    const threads = await sql`SELECT t.*, f."datasetId"
+      FROM "QaThread" t
+      JOIN "UploadedFile" f ON f."id" = t."uploadedFileId"
+      WHERE f."workspaceId" = ${req.workspace.id}
+        AND (t."createdBy" = ${req.user.id} OR t."shared")
+        AND (${datasetId}::text IS NULL OR f."datasetId" = ${datasetId})
+      ORDER BY t."updatedAt" DESC`;
 
-  res.status(200).json(response.data);
+    return res.status(200).json({ threads: threads.map(toPublicThread) });
+  } catch (error) {
+    console.error("Error in /api/qa/threads:", error);
+    res.status(500).json({ error: error.message || 'Failed to list threads.' });
+  }
 })
 
-app.delete("/api/table", async (req,res)=>{
+app.post("/api/qa/threads", requireRole('analyst'), validateRequest({
+  summary: 'Start a Q&A thread',
+  query: datasetQuery,
+  body: objectSchema({ title: { type: 'string', maxLength: 255 }, datasetId: datasetIdSchema }),
+  responses: { 201: { description: 'Created' } },
+}), async (req,res)=>{
   const sql = getDbClient();
 
   try {
-    // 1. Delete the "data" table from the database
-    await sql`DROP TABLE IF EXISTS "data";`;
+    const uploadedFile = await resolveDataset(sql, req, res);
+    if (!uploadedFile) return;
+
+    const title = typeof req.body?.title === 'string' && req.body.title.trim() ? req.body.title.trim().slice(0, 255) : 'New conversation';
+    const threads = await sql`INSERT INTO "QaThread" ("uploadedFileId", "title", "createdBy")
+      VALUES (${uploadedFile.id}, ${title}, ${req.user.id})
+      RETURNING *`;
+
+    return res.status(201).json(toPublicThread({ ...threads[0], datasetId: uploadedFile.datasetId }));
+  } catch (error) {
+    console.error("Error in POST /api/qa/threads:", error);
+    res.status(500).json({ error: error.message || 'Failed to create thread.' });
+  }
+})
 
-    // 2. Delete the uploaded file metadata from PostgreSQL and optionally from Cloudinary
-    const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
-    if (uploadedFile.length > 0) {
-      // Delete from Cloudinary
-      await sql`DELETE FROM "UploadedFile" WHERE "publicId" = 'data.csv';`; 
-      await cloudinary.uploader.destroy(uploadedFile[0].publicId);
+app.get("/api/qa/threads/:threadId", requireRole('viewer'), validateRequest({
+  summary: 'A Q&A thread with its turns',
+  params: uuidParams('threadId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const thread = await findQaThread(sql, req, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ error: `Thread ${req.params.threadId} not found.` });
     }
 
-    return res.status(200).json({ message: 'Table "data" and uploaded file data deleted successfully.' });
+    const turns = await selectQaTurns(sql, { threadId: thread.id, userId: req.user.id });
+    return res.status(200).json({ ...toPublicThread(thread), turns: turns.map(toPublicTurn) });
   } catch (error) {
-    console.error("Error deleting table or file:", error);
-    return res.status(500).json({ error: error.message || 'Failed to delete table or file.' });
+    console.error("Error in /api/qa/threads/:threadId:", error);
+    res.status(500).json({ error: error.message || 'Failed to fetch thread.' });
   }
 })
 
-app.get("/api/display-cards", async (req,res)=>{
+// Renames a thread or shares it with the workspace ({ title, shared })
+app.patch("/api/qa/threads/:threadId", requireRole('viewer'), validateRequest({
+  summary: 'Rename or share a Q&A thread',
+  params: uuidParams('threadId'),
+  body: objectSchema({ title: { type: 'string', minLength: 1, maxLength: 255 }, shared: { type: 'boolean' } }),
+}), async (req,res)=>{
   const sql = getDbClient();
-  
+
   try {
-    const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
+    const thread = await findQaThread(sql, req, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ error: `Thread ${req.params.threadId} not found.` });
+    }
+    if (!canEditQaThread(req, thread, { allowAdmin: true })) {
+      return res.status(403).json({ error: 'Only the creator of the thread or a workspace admin can change it.' });
+    }
 
-    if (uploadedFile.length == 0) {
-      return res.status(200).json({
-        "domain": "No data uploaded",
-        "missing_data_ratio": 0,
-        "num_numeric_columns": 0,
-        "total_columns": 0,
-        "total_rows": 0
-      });
+    const { title, shared } = req.body || {};
+    const errors = [];
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > 255)) {
+      errors.push('title must be 1 to 255 characters.');
+    }
+    if (shared !== undefined && typeof shared !== 'boolean') {
+      errors.push('shared must be true or false.');
+    }
+    if (title === undefined && shared === undefined) {
+      errors.push('title or shared is required.');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid thread.', details: errors });
     }
 
-    const csvDataBuffer = await axios.get(uploadedFile[0].secureUrl, { responseType: 'arraybuffer' });
-    const formData = new FormData();
-    formData.append('data', Buffer.from(csvDataBuffer.data), { filename: uploadedFile[0].originalFilename, contentType: 'text/csv' });
+    const updated = await sql`UPDATE "QaThread"
+      SET "title" = COALESCE(${title?.trim() ?? null}, "title"),
+        "shared" = COALESCE(${shared ?? null}::boolean, "shared"),
+        "updatedAt" = CURRENT_TIMESTAMP
+      WHERE "id" = ${thread.id}
+      RETURNING *`;
 
-  const response = await axios.post(
-    `${process.env.AI_SERVICE_URL}/upload`,
-    formData,
-    {
-      headers: formData.getHeaders(),
-    }
-  );
-  res.status(200).send(response.data);
+    return res.status(200).json(toPublicThread({ ...updated[0], datasetId: thread.datasetId }));
   } catch (error) {
-    console.error("Error in /api/display-cards:", error);
-    res.status(500).json({ error: error.message || 'Failed to fetch card data.' });
+    console.error("Error in PATCH /api/qa/threads/:threadId:", error);
+    res.status(500).json({ error: error.message || 'Failed to update thread.' });
   }
 })
 
-app.get("/api/check-table", async (req,res)=>{
+app.delete("/api/qa/threads/:threadId", requireRole('viewer'), validateRequest({
+  summary: 'Delete a Q&A thread',
+  params: uuidParams('threadId'),
+}), async (req,res)=>{
   const sql = getDbClient();
-  
+
   try {
-    const uploadedFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv';`;
-    if (uploadedFile.length > 0) {
-      return res.status(200).json({status: true});
-    } else {
-      return res.status(200).json({status: false});
+    const thread = await findQaThread(sql, req, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ error: `Thread ${req.params.threadId} not found.` });
+    }
+    if (!canEditQaThread(req, thread, { allowAdmin: true })) {
+      return res.status(403).json({ error: 'Only the creator of the thread or a workspace admin can delete it.' });
     }
+
+    await sql`DELETE FROM "QaThread" WHERE "id" = ${thread.id}`;
+    return res.status(200).json({ message: `Thread ${thread.id} deleted successfully.` });
   } catch (error) {
-    console.error("Error in /api/check-table:", error);
-    res.status(500).json({ error: error.message || 'Failed to check table status.' });
+    console.error("Error in DELETE /api/qa/threads/:threadId:", error);
+    res.status(500).json({ error: error.message || 'Failed to delete thread.' });
   }
 })
 
-app.get("/api/data", async (req, res) => {
+// Answers run as jobs: the turn comes back pending with its job ID, poll the job or the thread
+app.post("/api/qa/threads/:threadId/questions", requireRole('analyst'), validateRequest({
+  summary: 'Ask a question in a thread',
+  params: uuidParams('threadId'),
+  body: objectSchema({ question: { type: 'string', minLength: 1, maxLength: QUESTION_MAX_LENGTH } }, { required: ['question'] }),
+  responses: { 202: { description: 'Queued; the turn is answered by a job.' } },
+}), async (req,res)=>{
   const sql = getDbClient();
 
   try {
-    console.log('Starting /api/data', { query: req.query });
+    const thread = await findQaThread(sql, req, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ error: `Thread ${req.params.threadId} not found.` });
+    }
+    if (!canEditQaThread(req, thread)) {
+      return res.status(403).json({ error: 'Only the creator of the thread can ask in it.' });
+    }
+    const question = typeof req.body?.question === 'string' ? req.body.question.trim() : '';
+    if (!question) {
+      return res.status(400).json({ error: 'question is required.' });
+    }
 
-    // Check if data table exists
-    console.log('Query 0: Checking if data table exists');
-    const dataTable = await sql`SELECT EXISTS (
-      SELECT 1
-      FROM information_schema.tables
-      WHERE table_schema = 'public'
-        AND table_name = 'data'
-    )`;
-    console.log('Query 0 result:', dataTable);
+    const { turn, job } = await askInThread(sql, req, thread, question);
+    return res.status(202).json({ turn: toPublicTurn(turn), jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+  } catch (error) {
+    console.error("Error in /api/qa/threads/:threadId/questions:", error);
+    res.status(500).json({ error: error.message || 'Failed to ask question.' });
+  }
+})
 
-    if (!dataTable[0].exists) {
-      console.log('No data table found');
-      return res.status(404).json({ error: 'Data table not found. Please upload a CSV first.' });
-    }
+// Finds a turn in a thread the caller can see, along with the thread
+async function findQaTurn(sql, req, turnId) {
+  const id = /^\d+$/.test(String(turnId)) ? Number(turnId) : null;
+  if (id === null) return null;
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    console.log('Pagination params:', { page, limit, offset });
+  const turns = await selectQaTurns(sql, { turnId: id, userId: req.user.id });
+  if (turns.length === 0) return null;
+  const thread = await findQaThread(sql, req, turns[0].threadId);
+  return thread ? { turn: turns[0], thread } : null;
+}
 
-    // Fetch paginated data
-    console.log('Calling generatePaginatedDataQuery');
-    const { count, rows } = await generatePaginatedDataQuery(sql, "data", offset, limit);
-    console.log('generatePaginatedDataQuery result:', { count, rows });
+// Asks a question again against the current dataset version; the new turn points back via rerunOf
+app.post("/api/qa/turns/:turnId/rerun", requireRole('analyst'), validateRequest({
+  summary: 'Ask a turn\'s question again against the current dataset',
+  params: integerParams('turnId'),
+  responses: { 202: { description: 'Queued; the turn is answered by a job.' } },
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-    const lastPage = Math.ceil(count / limit);
-    console.log('Response data:', { lastPage, totalCount: count, rowsLength: rows.length });
+  try {
+    const found = await findQaTurn(sql, req, req.params.turnId);
+    if (!found) {
+      return res.status(404).json({ error: `Turn ${req.params.turnId} not found.` });
+    }
+    if (!canEditQaThread(req, found.thread)) {
+      return res.status(403).json({ error: 'Only the creator of the thread can re-run its questions.' });
+    }
 
-    res.status(200).json({ data: rows, lastPage, totalCount: count });
+    const original = found.turn.rerunOf ?? found.turn.id;
+    const { turn, job } = await askInThread(sql, req, found.thread, found.turn.question, { rerunOf: original });
+    return res.status(202).json({ turn: toPublicTurn(turn), jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
   } catch (error) {
-    console.error('Error in /api/data:', error.message, error.stack);
-    res.status(500).json({ error: error });
+    console.error("Error in /api/qa/turns/:turnId/rerun:", error);
+    res.status(500).json({ error: error.message || 'Failed to re-run question.' });
   }
-});
+})
 
-app.post('/api/upload', upload.single('data'), async (req, res) => {
+// A question with all of its re-runs, oldest first, each with the dataset version it was answered on
+app.get("/api/qa/turns/:turnId/compare", requireRole('viewer'), validateRequest({
+  summary: 'Compare a turn with its re-runs',
+  params: integerParams('turnId'),
+}), async (req,res)=>{
   const sql = getDbClient();
 
   try {
-    console.log('Starting /api/upload');
+    const found = await findQaTurn(sql, req, req.params.turnId);
+    if (!found) {
+      return res.status(404).json({ error: `Turn ${req.params.turnId} not found.` });
+    }
 
-    // Check if file uploaded
-    if (!req.file) {
-      console.log('No file uploaded');
-      return res.status(400).json({ message: 'No CSV file uploaded' });
+    const originalId = found.turn.rerunOf ?? found.turn.id;
+    const turns = (await selectQaTurns(sql, { threadId: found.thread.id, userId: req.user.id }))
+      .filter(turn => turn.id === originalId || turn.rerunOf === originalId);
+    const uploadedFiles = await sql`SELECT "version" FROM "UploadedFile" WHERE "id" = ${found.thread.uploadedFileId}`;
+
+    return res.status(200).json({
+      question: found.turn.question,
+      currentDatasetVersion: uploadedFiles[0].version,
+      answers: turns.map(toPublicTurn),
+    });
+  } catch (error) {
+    console.error("Error in /api/qa/turns/:turnId/compare:", error);
+    res.status(500).json({ error: error.message || 'Failed to compare answers.' });
+  }
+})
+
+app.put("/api/qa/turns/:turnId/bookmark", requireRole('viewer'), validateRequest({
+  summary: 'Bookmark a turn',
+  params: integerParams('turnId'),
+  body: objectSchema({ note: { type: ['string', 'null'], maxLength: 1000 } }),
+}), async (req,res)=>{
+  const sql = getDbClient();
+
+  try {
+    const found = await findQaTurn(sql, req, req.params.turnId);
+    if (!found) {
+      return res.status(404).json({ error: `Turn ${req.params.turnId} not found.` });
+    }
+    const note = req.body?.note ?? null;
+    if (note !== null && (typeof note !== 'string' || note.length > 1000)) {
+      return res.status(400).json({ error: 'note must be a string of up to 1000 characters.' });
     }
-    console.log('File received:', req.file.originalname, req.file.mimetype);
 
-    // Check existing file
-    console.log('Query 1: Checking for existing file in UploadedFile');
-    const existingFile = await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv'`;
-    console.log('Query 1 result:', existingFile);
-
-    if (existingFile.length > 0) {
-      console.log('Query 2: Checking if data table exists');
-      const dataTable = await sql`SELECT EXISTS (
-        SELECT 1
-        FROM information_schema.tables
-        WHERE table_schema = 'public'
-          AND table_name = 'data'
-      )`;
-      console.log('Query 2 result:', dataTable);
+    await sql`INSERT INTO "QaBookmark" ("turnId", "userId", "note")
+      VALUES (${found.turn.id}, ${req.user.id}, ${note})
+      ON CONFLICT ("turnId", "userId") DO UPDATE SET "note" = EXCLUDED."note"`;
 
-      if (dataTable[0].exists) {
-        console.log('Query 3: Dropping data table');
-        await sql`DROP TABLE IF EXISTS "data"`;
-        console.log('Query 3 completed');
-      }
+    const turns = await selectQaTurns(sql, { turnId: found.turn.id, userId: req.user.id });
+    return res.status(200).json(toPublicTurn(turns[0]));
+  } catch (error) {
+    console.error("Error in PUT /api/qa/turns/:turnId/bookmark:", error);
+    res.status(500).json({ error: error.message || 'Failed to bookmark answer.' });
+  }
+})
+
+app.delete("/api/qa/turns/:turnId/bookmark", requireRole('viewer'), validateRequest({
+  summary: 'Remove a bookmark',
+  params: integerParams('turnId'),
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-      console.log('Query 4: Deleting from Cloudinary:', existingFile[0].publicId);
-      await cloudinary.uploader.destroy(existingFile[0].publicId);
-      console.log('Query 4: Deleting from UploadedFile');
-      await sql`DELETE FROM "UploadedFile" WHERE "publicId" = 'data.csv'`;
-      console.log('Query 4 completed');
+  try {
+    const deleted = await sql`DELETE FROM "QaBookmark"
+      WHERE "turnId"::text = ${req.params.turnId} AND "userId" = ${req.user.id}
+      RETURNING "turnId"`;
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: `Turn ${req.params.turnId} isn't bookmarked.` });
     }
 
-    // Upload to Cloudinary
-    console.log('Uploading to Cloudinary');
-    const cloudinaryUploadResult = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
-      {
-        resource_type: 'raw',
-        public_id: 'data.csv',
-        format: 'csv',
-      }
-    );
-    console.log('Cloudinary upload result:', cloudinaryUploadResult);
-
-    // Insert into UploadedFile
-    console.log('Query 5: Inserting into UploadedFile');
-    await sql`INSERT INTO "UploadedFile" ("publicId", "secureUrl", "originalFilename", "createdAt", "updatedAt")
-      VALUES (${cloudinaryUploadResult.public_id}, ${cloudinaryUploadResult.secure_url}, ${req.file.originalname}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`;
-    console.log('Query 5 completed');
-
-    const newUploadedFile = (await sql`SELECT * FROM "UploadedFile" WHERE "publicId" = 'data.csv'`)[0];
-    console.log('Query 6: Fetched new uploaded file:', newUploadedFile);
-
-    // Parse CSV
-    console.log('Parsing CSV');
-    const userData = await csv({ checkType: true }).fromString(req.file.buffer.toString());
-    console.log('CSV parsed, rows:', userData.length);
-
-    // Send to AI service
-    console.log('Fetching CSV from Cloudinary for AI service');
-    const csvDataBuffer = await axios.get(newUploadedFile.secureUrl, { responseType: 'arraybuffer' });
-    const formData = new FormData();
-    formData.append('data', Buffer.from(csvDataBuffer.data), { filename: newUploadedFile.originalFilename, contentType: req.file.mimetype });
-    console.log('Sending to AI service:', process.env.AI_SERVICE_URL);
-    const response = await axios.post(
-      `${process.env.AI_SERVICE_URL}/upload`,
-      formData,
-      { headers: formData.getHeaders() }
-    );
-    console.log('AI service response:', response.data);
+    return res.status(200).json({ message: `Bookmark on turn ${req.params.turnId} removed.` });
+  } catch (error) {
+    console.error("Error in DELETE /api/qa/turns/:turnId/bookmark:", error);
+    res.status(500).json({ error: error.message || 'Failed to remove bookmark.' });
+  }
+})
 
-    // Create table
-    console.log('Query 7: Generating and executing CREATE TABLE');
-    const createTableSql = generateDynamicCreateTableSql("data", userData, inferSqlType);
-    console.log('Generated CREATE TABLE SQL:', createTableSql);
-    await sql.query(createTableSql);
-    console.log('Query 7 completed');
+// The caller's bookmarks in req.workspace, newest first. Bookmarks in threads that are no longer
+// shared with the caller are left out.
+app.get("/api/qa/bookmarks", requireRole('viewer'), validateRequest({
+  summary: 'List the caller\'s bookmarks',
+}), async (req,res)=>{
+  const sql = getDbClient();
 
-    // Insert data
-    console.log('Query 8: Generating and executing INSERT');
-    const insertSql = generateDynamicInsertSql("data", userData);
-    console.log('Generated INSERT SQL:', insertSql);
-    await sql.query(insertSql);
-    console.log('Query 8 completed');
+  try {
+    const bookmarks = await sql`SELECT q.*, b."note" AS "bookmarkNote", b."createdAt" AS "bookmarkedAt",
+        t."title" AS "threadTitle", f."datasetId"
+      FROM "QaBookmark" b
+      JOIN "QaTurn" q ON q."id" = b."turnId"
+      JOIN "QaThread" t ON t."id" = q."threadId"
+      JOIN "UploadedFile" f ON f."id" = t."uploadedFileId"
+      WHERE b."userId" = ${req.user.id}
+        AND f."workspaceId" = ${req.workspace.id}
+        AND (t."createdBy" = ${req.user.id} OR t."shared")
+      ORDER BY b."createdAt" DESC`;
 
-    console.log('Upload completed successfully');
-    return res.status(200).json(response.data);
+    return res.status(200).json({
+      bookmarks: bookmarks.map(bookmark => ({
+        ...toPublicTurn(bookmark),
+        threadTitle: bookmark.threadTitle,
+        datasetId: bookmark.datasetId,
+      })),
+    });
   } catch (error) {
-    console.error('Error in /api/upload:', error.message, error.stack);
-    res.status(500).json({ error: error });
+    console.error("Error in /api/qa/bookmarks:", error);
+    res.status(500).json({ error: error.message || 'Failed to list bookmarks.' });
   }
-});
+})
+
+// OpenAPI document
+// Built from the validateRequest declarations of the routes above on first request
+let openApiDocument = null;
+
+app.get("/api/openapi.json", validateRequest({
+  summary: 'This OpenAPI document',
+}), (req, res) => {
+  openApiDocument ??= buildOpenApiDocument(app, {
+    info: {
+      title: 'Data Analysis API',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Datasets, imports, AI analyses and dashboards. Errors come as { error, code, details }.',
+    },
+    publicPaths: PUBLIC_PATHS,
+    errorCodes: ERROR_CODES,
+    components: {
+      schemas: {
+        JobAccepted: objectSchema({
+          jobId: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          statusUrl: { type: 'string', description: 'Poll this URL for progress and the result.' },
+        }, { required: ['jobId', 'status', 'statusUrl'] }),
+      },
+    },
+  });
+  res.status(200).json(openApiDocument);
+})
+
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}.` });
+})
+
+// Errors thrown or passed on outside the route handlers: malformed JSON, oversized bodies and
+// uploads, and AI service errors. Everything answers with the error envelope.
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'The request body is not valid JSON.', code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'The request body is too large.' });
+  }
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files can be up to ${UPLOAD_MAX_BYTES / (1024 * 1024)} MB.`, code: 'FILE_TOO_LARGE' });
+    }
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR', details: error.field ? [`Unexpected file field "${error.field}".`] : undefined });
+  }
+  if (error instanceof AiServiceError) {
+    return res.status(error.status).json(error.toResponse());
+  }
+
+  console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, error);
+  res.status(error.status || 500).json({ error: error.message || 'Internal server error.' });
+})
 
 // production
 export default app;
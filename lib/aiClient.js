@@ -0,0 +1,124 @@
+import axios from 'axios';
+
+// Client for the AI service (AI_SERVICE_URL). Requests time out, transient failures are retried
+// with exponential backoff, and after repeated failures a circuit breaker fails calls right away
+// for a while instead of piling more requests onto a service that is down. Every failure is
+// thrown as an AiServiceError with a stable code and the HTTP status to answer with.
+const AI_SERVICE_TIMEOUT_MS = Number(process.env.AI_SERVICE_TIMEOUT_MS) || 60000;
+const AI_SERVICE_RETRIES = process.env.AI_SERVICE_RETRIES !== undefined ? Number(process.env.AI_SERVICE_RETRIES) : 2;
+const RETRY_BASE_DELAY_MS = 500;
+// Consecutive failed calls (after their retries) that open the circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_OPEN_MS = 30000;
+
+// Upstream statuses worth another try; other 4xx answers won't change on a retry
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Every code an AiServiceError can carry
+export const AI_ERROR_CODES = [
+  'AI_SERVICE_NOT_CONFIGURED', 'AI_SERVICE_CIRCUIT_OPEN', 'AI_SERVICE_TIMEOUT',
+  'AI_SERVICE_ERROR', 'AI_SERVICE_REJECTED', 'AI_SERVICE_UNAVAILABLE',
+];
+
+export class AiServiceError extends Error {
+  constructor(message, { code, status = 502, retryable = false, upstreamStatus = null } = {}) {
+    super(message);
+    this.name = 'AiServiceError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.upstreamStatus = upstreamStatus;
+  }
+
+  toResponse() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+// Kept per instance; on serverless every warm instance has its own circuit
+const circuit = { failures: 0, openUntil: 0 };
+
+export const isCircuitOpen = () => Date.now() < circuit.openUntil;
+
+const recordSuccess = () => {
+  circuit.failures = 0;
+  circuit.openUntil = 0;
+};
+
+const recordFailure = () => {
+  circuit.failures += 1;
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + CIRCUIT_OPEN_MS;
+    console.error(`AI service circuit opened for ${CIRCUIT_OPEN_MS / 1000}s after ${circuit.failures} failed calls`);
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function normalizeError(error, endpoint) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new AiServiceError(`The AI service did not answer /${endpoint} within ${AI_SERVICE_TIMEOUT_MS / 1000}s.`, {
+      code: 'AI_SERVICE_TIMEOUT',
+      status: 504,
+      retryable: true,
+    });
+  }
+
+  if (error.response) {
+    const upstreamStatus = error.response.status;
+    const detail = error.response.data?.detail ?? error.response.data?.error ?? error.response.data?.message;
+    return new AiServiceError(`The AI service failed on /${endpoint} (${upstreamStatus})${typeof detail === 'string' ? `: ${detail}` : '.'}`, {
+      code: upstreamStatus >= 500 ? 'AI_SERVICE_ERROR' : 'AI_SERVICE_REJECTED',
+      status: 502,
+      retryable: RETRYABLE_STATUSES.includes(upstreamStatus),
+      upstreamStatus,
+    });
+  }
+
+  return new AiServiceError(`The AI service is unreachable: ${error.message}`, {
+    code: 'AI_SERVICE_UNAVAILABLE',
+    status: 503,
+    retryable: true,
+  });
+}
+
+// Posts a FormData to an AI service endpoint and returns the response body. The form is read into
+// a buffer once so it can be sent again on retries; all its fields must be strings or Buffers.
+export async function postToAiService(endpoint, formData) {
+  if (!process.env.AI_SERVICE_URL) {
+    throw new AiServiceError('AI_SERVICE_URL is not configured.', { code: 'AI_SERVICE_NOT_CONFIGURED', status: 503 });
+  }
+  if (isCircuitOpen()) {
+    throw new AiServiceError('The AI service is temporarily unavailable after repeated failures. Please try again shortly.', {
+      code: 'AI_SERVICE_CIRCUIT_OPEN',
+      status: 503,
+      retryable: true,
+    });
+  }
+
+  const body = formData.getBuffer();
+  const headers = formData.getHeaders();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(`${process.env.AI_SERVICE_URL}/${endpoint}`, body, {
+        headers,
+        timeout: AI_SERVICE_TIMEOUT_MS,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+      });
+      recordSuccess();
+      return response.data;
+    } catch (error) {
+      const normalized = normalizeError(error, endpoint);
+      if (!normalized.retryable || attempt >= AI_SERVICE_RETRIES) {
+        if (normalized.retryable) recordFailure();
+        throw normalized;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`AI service /${endpoint} attempt ${attempt + 1} failed (${normalized.code}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
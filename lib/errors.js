@@ -0,0 +1,35 @@
+// Every error response has the shape { error, code, details? }: a message, a stable code and, for
+// invalid requests, the list of problems. Routes answer with res.status(...).json({ error, details })
+// and get the code of the status unless they give their own (like the AI service codes from
+// lib/aiClient.js). Errors thrown past a route are answered by the app's error handler.
+export const ERROR_CODES_BY_STATUS = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT',
+};
+
+export const getErrorCode = (status) => ERROR_CODES_BY_STATUS[status] ?? (status >= 500 ? 'INTERNAL_ERROR' : 'VALIDATION_ERROR');
+
+// Brings an error body into the envelope; "error" may still be an Error object or missing
+export const toErrorBody = (status, body) => ({
+  ...body,
+  error: typeof body.error === 'string' ? body.error : body.error?.message || body.message || 'Request failed.',
+  code: body.code ?? getErrorCode(status),
+});
+
+// Middleware wrapping res.json so every JSON object sent with an error status gets the envelope.
+// Register it before everything else so the responses of other middleware go through it too.
+export function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+    ? toErrorBody(res.statusCode, body)
+    : body);
+  next();
+}
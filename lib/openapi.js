@@ -0,0 +1,165 @@
+// Builds the OpenAPI 3.1 document of an Express app from its registered routes. Each route is
+// described by the declaration of its validateRequest middleware (see lib/validation.js); the
+// roles checked by requireRole / requireUserRole, the public paths and the error envelope fill in
+// security, the workspace header and the error responses. Routes without a declaration are listed
+// with their path parameters only.
+const ERROR_RESPONSES = {
+  400: 'The request is invalid; details lists every problem.',
+  401: 'Authentication is missing or expired.',
+  403: 'The caller lacks the required role.',
+  404: 'The resource or workspace was not found.',
+  500: 'Unexpected server error.',
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const getPathParams = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// "get /api/datasets/:datasetId/versions/diff" -> "getDatasetsByDatasetIdVersionsDiff"
+const toOperationId = (method, path) => method + path
+  .split('/')
+  .filter(segment => segment && segment !== 'api')
+  .map(segment => segment.startsWith(':') ? `by-${segment.slice(1)}` : segment)
+  .map(segment => segment.replace(/[^a-zA-Z0-9]+(.)?/g, (_, next = '') => next.toUpperCase()))
+  .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+  .join('');
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+function toResponses(spec, { requiresAuth, requiresRole }) {
+  const responses = {};
+  Object.entries(spec?.responses ?? { 200: { description: 'OK' } }).forEach(([status, response]) => {
+    responses[status] = {
+      description: response.description ?? 'OK',
+      ...(response.content ? { content: response.content } : response.schema ? { content: jsonContent(response.schema) } : {}),
+    };
+  });
+
+  const errorStatuses = [400, ...(requiresAuth ? [401] : []), ...(requiresRole ? [403, 404] : []), 500];
+  errorStatuses.forEach(status => {
+    responses[status] ??= { description: ERROR_RESPONSES[status], content: jsonContent({ $ref: '#/components/schemas/Error' }) };
+  });
+  return responses;
+}
+
+function toParameters(path, spec, { workspaceScoped }) {
+  const parameters = getPathParams(path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: spec?.params?.properties?.[name] ?? { type: 'string' },
+  }));
+
+  Object.entries(spec?.query?.properties ?? {}).forEach(([name, schema]) => {
+    parameters.push({
+      name,
+      in: 'query',
+      required: (spec.query.required || []).includes(name),
+      ...(schema.description ? { description: schema.description } : {}),
+      schema,
+    });
+  });
+
+  if (workspaceScoped && !parameters.some(parameter => parameter.name === 'workspaceId')) {
+    parameters.push({ $ref: '#/components/parameters/WorkspaceHeader' });
+  }
+  return parameters;
+}
+
+function toRequestBody(spec) {
+  if (spec?.file) {
+    const { field, required = true, description } = spec.file;
+    return {
+      required,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              [field]: { type: 'string', format: 'binary', ...(description ? { description } : {}) },
+              ...(spec.body?.properties ?? {}),
+            },
+            required: [...(required ? [field] : []), ...(spec.body?.required ?? [])],
+          },
+        },
+      },
+    };
+  }
+  if (spec?.body) {
+    return { required: (spec.body.required ?? []).length > 0, content: jsonContent(spec.body) };
+  }
+  return undefined;
+}
+
+// info: { title, version, description }; publicPaths are relative to /api; components are merged
+// into the generated ones (the Error schema and the workspace header)
+export function buildOpenApiDocument(app, { info, publicPaths = [], errorCodes = [], components = {} }) {
+  const paths = {};
+
+  app.router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string' && layer.route.path.startsWith('/api/'))
+    .forEach(layer => {
+      const { path } = layer.route;
+      const handles = layer.route.stack.map(item => item.handle);
+      const spec = handles.find(handle => handle.openapi)?.openapi;
+      const role = handles.find(handle => handle.requiredRole)?.requiredRole;
+      const userRole = handles.find(handle => handle.requiredUserRole)?.requiredUserRole;
+      const requiresAuth = !publicPaths.includes(path.slice('/api'.length));
+
+      Object.keys(layer.route.methods).forEach(method => {
+        const roleNote = [
+          userRole && `Requires the ${userRole} account role.`,
+          role && `Requires the ${role} role in the workspace.`,
+        ].filter(Boolean).join(' ');
+
+        paths[toOpenApiPath(path)] ??= {};
+        paths[toOpenApiPath(path)][method] = {
+          operationId: spec?.operationId ?? toOperationId(method, path),
+          tags: [path.split('/')[2]],
+          ...(spec?.summary ? { summary: spec.summary } : {}),
+          ...(spec?.description || roleNote ? { description: [spec?.description, roleNote].filter(Boolean).join('\n\n') } : {}),
+          parameters: toParameters(path, spec, { workspaceScoped: Boolean(role) }),
+          ...(toRequestBody(spec) ? { requestBody: toRequestBody(spec) } : {}),
+          responses: toResponses(spec, { requiresAuth, requiresRole: Boolean(role || userRole) }),
+          ...(requiresAuth ? {} : { security: [] }),
+        };
+      });
+    });
+
+  return {
+    openapi: '3.1.0',
+    info,
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      ...components,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        ...components.securitySchemes,
+      },
+      parameters: {
+        WorkspaceHeader: {
+          name: 'X-Workspace-Id',
+          in: 'header',
+          required: false,
+          description: 'Slug of the workspace to act in. Defaults to the caller\'s first workspace; the workspaceId query parameter works too.',
+          schema: { type: 'string' },
+        },
+        ...components.parameters,
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', description: 'Human-readable message.' },
+            code: { type: 'string', enum: errorCodes, description: 'Stable machine-readable code.' },
+            details: { description: 'Further information, usually a list of messages.' },
+          },
+          required: ['error', 'code'],
+        },
+        ...components.schemas,
+      },
+    },
+  };
+}
@@ -0,0 +1,81 @@
+import dns from 'dns';
+import net from 'net';
+
+// Guards the requests the server makes to URLs its users give it (webhooks, import sources), so
+// they can't reach the deployment's own network: loopback, private, link-local (like the cloud
+// metadata service at 169.254.169.254) and other special-purpose addresses are refused.
+// checkPublicUrl is called when a URL is saved and again before every request; publicAddressLookup
+// goes into the request options, so the address actually connected to is checked too, even when
+// the DNS answer changed in between.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 subnets by BlockList
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Host of a URL without the brackets of IPv6 literals
+const getHostname = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Resolves the host of an http(s) URL and returns why it can't be requested, or null when every
+// address it resolves to is public
+export async function checkPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'The URL is invalid.';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Only http(s) URLs can be requested.';
+  }
+
+  const hostname = getHostname(url);
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `The host ${hostname} can't be resolved (${error.code || error.message}).`;
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  return blocked ? `The host ${hostname} resolves to ${blocked.address}, which is not a public address.` : null;
+}
+
+// dns.lookup for the lookup option of http requests (and axios), failing for non-public addresses
+export function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      const blockedError = new Error(`The host ${hostname} resolves to ${blocked.address}, which is not a public address.`);
+      blockedError.code = 'EADDRBLOCKED';
+      return callback(blockedError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,156 @@
+// Column statistics of a dataset table, computed in Postgres so the data never leaves the
+// database: null ratios, distinct counts, min/max, mean/std and quartiles, the most frequent
+// values and histograms. Dates and timestamps are profiled on their epoch and reported as ISO
+// strings. Every column takes a few aggregate queries, which is fine for the tables we import.
+const NUMERIC_TYPES = ['numeric', 'integer', 'bigint', 'smallint', 'real', 'double precision'];
+const TEMPORAL_TYPES = ['date', 'timestamp with time zone', 'timestamp without time zone'];
+
+export const HISTOGRAM_BINS = 10;
+export const TOP_VALUES_LIMIT = 10;
+
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+const getColumnKind = (type) => {
+  if (NUMERIC_TYPES.includes(type)) return 'numeric';
+  if (TEMPORAL_TYPES.includes(type)) return 'temporal';
+  if (type === 'boolean') return 'boolean';
+  return 'text';
+};
+
+const round = (value, digits = 4) => value === null || value === undefined ? null : Number(Number(value).toFixed(digits));
+
+// Epoch seconds back to an ISO string; dates keep only the day
+const toIsoValue = (seconds, type) => {
+  if (seconds === null || seconds === undefined) return null;
+  const iso = new Date(Number(seconds) * 1000).toISOString();
+  return type === 'date' ? iso.slice(0, 10) : iso;
+};
+
+async function getHistogram(sql, tableName, valueExpression, min, max) {
+  if (min === null || max === null) return [];
+
+  // A column with a single value gets a single bin
+  const bins = min === max ? 1 : HISTOGRAM_BINS;
+  const width = (max - min) / bins;
+  const counts = await sql.query(
+    `SELECT LEAST(width_bucket(x, $1::float8, $2::float8, $3::int), $3::int) AS "bucket", COUNT(*)::int AS "count"
+    FROM (SELECT ${valueExpression} AS x FROM ${tableName}) s
+    WHERE x IS NOT NULL
+    GROUP BY 1`,
+    [min, min === max ? min + 1 : max, bins]
+  );
+  const countByBucket = new Map(counts.map(row => [Number(row.bucket), row.count]));
+
+  return Array.from({ length: bins }, (_, index) => ({
+    from: round(min + width * index, 6),
+    to: index === bins - 1 ? max : round(min + width * (index + 1), 6),
+    count: countByBucket.get(index + 1) ?? 0,
+  }));
+}
+
+async function getTopValues(sql, tableName, column, kind) {
+  const name = quoteIdentifier(column.name);
+  const valueExpression = kind === 'numeric' ? `${name}::float8` : kind === 'boolean' ? name : `${name}::text`;
+  return sql.query(
+    `SELECT ${valueExpression} AS "value", COUNT(*)::int AS "count"
+    FROM ${tableName}
+    WHERE ${name} IS NOT NULL
+    GROUP BY 1
+    ORDER BY 2 DESC, 1 ASC
+    LIMIT ${TOP_VALUES_LIMIT}`
+  );
+}
+
+async function profileColumn(sql, tableName, column, rowCount) {
+  const name = quoteIdentifier(column.name);
+  const kind = getColumnKind(column.type);
+  // Numbers as float8 and dates as epoch seconds, so both come back as JS numbers
+  const valueExpression = kind === 'temporal' ? `EXTRACT(EPOCH FROM ${name})::float8` : `${name}::float8`;
+
+  const [stats] = await sql.query(
+    `SELECT COUNT(${name})::int AS "count", COUNT(DISTINCT ${name})::int AS "distinctCount"
+      ${kind === 'numeric' || kind === 'temporal' ? `,
+        MIN(${valueExpression}) AS "min", MAX(${valueExpression}) AS "max",
+        AVG(${valueExpression}) AS "mean", STDDEV_SAMP(${valueExpression}) AS "std",
+        percentile_cont(0.25) WITHIN GROUP (ORDER BY ${valueExpression}) AS "p25",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY ${valueExpression}) AS "p50",
+        percentile_cont(0.75) WITHIN GROUP (ORDER BY ${valueExpression}) AS "p75"` : ''}
+      ${kind === 'text' ? `, MIN(LENGTH(${name}::text))::int AS "minLength", MAX(LENGTH(${name}::text))::int AS "maxLength"` : ''}
+    FROM ${tableName}`
+  );
+
+  const nullCount = rowCount - stats.count;
+  const profile = {
+    name: column.name,
+    type: column.type,
+    kind,
+    count: stats.count,
+    nullCount,
+    nullRatio: rowCount === 0 ? 0 : round(nullCount / rowCount),
+    distinctCount: stats.distinctCount,
+    topValues: await getTopValues(sql, tableName, column, kind),
+  };
+
+  if (kind === 'numeric') {
+    Object.assign(profile, {
+      min: stats.min,
+      max: stats.max,
+      mean: round(stats.mean),
+      std: round(stats.std),
+      quartiles: { '25%': round(stats.p25), '50%': round(stats.p50), '75%': round(stats.p75) },
+      histogram: await getHistogram(sql, tableName, valueExpression, stats.min, stats.max),
+    });
+  } else if (kind === 'temporal') {
+    const histogram = await getHistogram(sql, tableName, valueExpression, stats.min, stats.max);
+    Object.assign(profile, {
+      min: toIsoValue(stats.min, column.type),
+      max: toIsoValue(stats.max, column.type),
+      quartiles: {
+        '25%': toIsoValue(stats.p25, column.type),
+        '50%': toIsoValue(stats.p50, column.type),
+        '75%': toIsoValue(stats.p75, column.type),
+      },
+      histogram: histogram.map(bin => ({ ...bin, from: toIsoValue(bin.from, column.type), to: toIsoValue(bin.to, column.type) })),
+    });
+  } else if (kind === 'text') {
+    Object.assign(profile, { minLength: stats.minLength, maxLength: stats.maxLength });
+  }
+
+  return profile;
+}
+
+// Profiles the given columns ({ name, type } with information_schema data types) of a table.
+// tableName must already be quoted and schema-qualified.
+export async function profileTable(sql, tableName, columns) {
+  const [{ count: rowCount }] = await sql.query(`SELECT COUNT(*)::int AS "count" FROM ${tableName}`);
+
+  const profiles = [];
+  for (const column of columns) {
+    profiles.push(await profileColumn(sql, tableName, column, rowCount));
+  }
+
+  const missingCells = profiles.reduce((total, profile) => total + profile.nullCount, 0);
+  const totalCells = rowCount * profiles.length;
+  return {
+    summary: {
+      total_rows: rowCount,
+      total_columns: profiles.length,
+      num_numeric_columns: profiles.filter(profile => profile.kind === 'numeric').length,
+      missing_data_ratio: totalCells === 0 ? 0 : round(missingCells / totalCells),
+    },
+    columns: profiles,
+  };
+}
+
+// Numeric columns in the shape of the "analytics" block of the AI service's dashboard data
+export const toAnalytics = (profile) => profile.columns
+  .filter(column => column.kind === 'numeric')
+  .map(column => ({
+    name: column.name,
+    count: column.count,
+    mean: column.mean,
+    std: column.std,
+    min: column.min,
+    ...column.quartiles,
+    max: column.max,
+  }));
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { v2 as cloudinary } from 'cloudinary';
+
+// Storage providers for dataset files. Each provider stores files under a key (the
+// "publicId" of UploadedFile) and implements:
+//   upload(key, buffer, { contentType }) -> { key, url }
+//   download(file) -> Buffer, where file is { key, url } as returned by upload
+//   remove(key)
+// New files go to the provider named by STORAGE_PROVIDER (cloudinary by default). Every
+// UploadedFile records the provider it was stored with, so files keep being read from there.
+export const STORAGE_PROVIDERS = ['cloudinary', 'local', 's3'];
+
+export const getDefaultStorageProviderName = () => process.env.STORAGE_PROVIDER || 'cloudinary';
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const cloudinaryProvider = {
+  name: 'cloudinary',
+
+  async upload(key, buffer, { contentType = 'text/csv' } = {}) {
+    const result = await cloudinary.uploader.upload(
+      `data:${contentType};base64,${buffer.toString('base64')}`,
+      {
+        resource_type: 'raw',
+        public_id: key,
+        format: 'csv',
+        overwrite: true,
+        invalidate: true,
+      }
+    );
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  async download({ url }) {
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  },
+
+  async remove(key) {
+    await cloudinary.uploader.destroy(key, { resource_type: 'raw' });
+  },
+};
+
+// Files on the local disk under LOCAL_STORAGE_DIR, for running offline or on our own servers.
+// Not for Vercel, where the filesystem doesn't outlive a request.
+const getLocalStorageDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage');
+
+// Keys come from dataset and workspace IDs; this still refuses anything that would leave the directory
+function getLocalPath(key) {
+  const root = getLocalStorageDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}".`);
+  }
+  return filePath;
+}
+
+const localProvider = {
+  name: 'local',
+
+  async upload(key, buffer) {
+    const filePath = getLocalPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Written next to the target and renamed, so readers never see a half-written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+    return { key, url: `file://${filePath}` };
+  },
+
+  async download({ key }) {
+    return fs.readFile(getLocalPath(key));
+  },
+
+  async remove(key) {
+    await fs.rm(getLocalPath(key), { force: true });
+  },
+};
+
+// Any S3-compatible service (AWS, MinIO, R2, ...). The SDK is only loaded when S3 is used.
+let s3Client = null;
+
+async function getS3() {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured.');
+  }
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return { client: s3Client, bucket: process.env.S3_BUCKET, PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+}
+
+const getS3Url = (bucket, key) => {
+  const base = process.env.S3_ENDPOINT
+    ? `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+  return `${base}/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+const s3Provider = {
+  name: 's3',
+
+  async upload(key, buffer, { contentType = 'text/csv' } = {}) {
+    const { client, bucket, PutObjectCommand } = await getS3();
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    return { key, url: getS3Url(bucket, key) };
+  },
+
+  async download({ key }) {
+    const { client, bucket, GetObjectCommand } = await getS3();
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  },
+
+  async remove(key) {
+    const { client, bucket, DeleteObjectCommand } = await getS3();
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+};
+
+const providers = {
+  cloudinary: cloudinaryProvider,
+  local: localProvider,
+  s3: s3Provider,
+};
+
+export function getStorageProvider(name = getDefaultStorageProviderName()) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider "${name}". Use one of ${STORAGE_PROVIDERS.join(', ')}.`);
+  }
+  return provider;
+}
+
+// Helpers for UploadedFile rows, which keep the key in "publicId" and the URL in "secureUrl"
+const toStoredFile = (uploadedFile) => ({ key: uploadedFile.publicId, url: uploadedFile.secureUrl });
+
+export const downloadStoredFile = (uploadedFile) => getStorageProvider(uploadedFile.storageProvider).download(toStoredFile(uploadedFile));
+
+export const removeStoredFile = (uploadedFile) => getStorageProvider(uploadedFile.storageProvider).remove(uploadedFile.publicId);
@@ -0,0 +1,132 @@
+// Request validation against a subset of JSON Schema: type (a name or a list, e.g. ['string', 'null']),
+// enum, minLength, maxLength, pattern, format (email, uuid, uri, date-time), minimum, maximum,
+// minItems, maxItems, items, properties, required and additionalProperties. Routes declare their
+// params, query, body and file with validateRequest, and the same declarations make up the OpenAPI
+// document (see lib/openapi.js), so what a route accepts and what it documents can't drift apart.
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  uri: /^https?:\/\/\S+$/i,
+  'date-time': /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i,
+};
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+const getType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = getType(value);
+  return type === actual || (type === 'number' && actual === 'integer');
+};
+
+// Query strings and multipart fields only carry strings; with coerce they are read as the number
+// or boolean the schema asks for before checking
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type ?? []);
+  if ((types.includes('integer') || types.includes('number')) && NUMBER_PATTERN.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// Checks a value against a schema. Returns the problems as messages naming the path of the value.
+export function validateValue(schema, value, path, { coerce = false } = {}) {
+  if (!schema) return [];
+  const checked = coerce ? coerceValue(schema, value) : value;
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+
+  if (types.length > 0 && !types.some(type => matchesType(type, checked))) {
+    return [`${path} must be ${types.map(type => type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : type === 'null' ? 'null' : `a ${type}`).join(' or ')}.`];
+  }
+  if (schema.enum && !schema.enum.includes(checked)) {
+    return [`${path} must be one of ${schema.enum.map(String).join(', ')}.`];
+  }
+
+  const errors = [];
+  if (typeof checked === 'string') {
+    if (schema.minLength !== undefined && checked.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path} can't be empty.` : `${path} must have at least ${schema.minLength} characters.`);
+    }
+    if (schema.maxLength !== undefined && checked.length > schema.maxLength) {
+      errors.push(`${path} can have up to ${schema.maxLength} characters.`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(checked)) {
+      errors.push(`${path} has an invalid format.`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(checked)) {
+      errors.push(`${path} must be a valid ${schema.format}.`);
+    }
+  }
+  if (typeof checked === 'number') {
+    if (schema.minimum !== undefined && checked < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}.`);
+    if (schema.maximum !== undefined && checked > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}.`);
+    if (schema.exclusiveMinimum !== undefined && checked <= schema.exclusiveMinimum) errors.push(`${path} must be greater than ${schema.exclusiveMinimum}.`);
+  }
+  if (Array.isArray(checked)) {
+    if (schema.minItems !== undefined && checked.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} item(s).`);
+    if (schema.maxItems !== undefined && checked.length > schema.maxItems) errors.push(`${path} can have up to ${schema.maxItems} items.`);
+    if (schema.items) {
+      checked.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`, { coerce })));
+    }
+  }
+  if (getType(checked) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (checked[key] === undefined) errors.push(`${path}.${key} is required.`);
+    });
+    Object.entries(checked).forEach(([key, item]) => {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        if (item !== undefined) errors.push(...validateValue(propertySchema, item, `${path}.${key}`, { coerce }));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not a known field.`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateValue(schema.additionalProperties, item, `${path}.${key}`, { coerce }));
+      }
+    });
+  }
+  return errors;
+}
+
+// Object schema of the given properties, all optional unless listed in required
+export const objectSchema = (properties, { required = [], additionalProperties, description } = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  ...(additionalProperties !== undefined ? { additionalProperties } : {}),
+  ...(description ? { description } : {}),
+});
+
+// Middleware checking a request against its declaration:
+//   { summary, description, params, query, body, file: { field, required, description }, responses }
+// params, query and body are object schemas; path params, query values and the form fields of file uploads are
+// coerced from strings. Bad requests are answered with 400 and code VALIDATION_ERROR, listing every
+// problem in "details". The declaration is kept on the middleware for the OpenAPI document.
+export function validateRequest(spec) {
+  const middleware = (req, res, next) => {
+    const multipart = Boolean(spec.file);
+    const errors = [
+      ...validateValue(spec.params, req.params ?? {}, 'params', { coerce: true }),
+      ...validateValue(spec.query, req.query ?? {}, 'query', { coerce: true }),
+      ...validateValue(spec.body, req.body ?? {}, 'body', { coerce: multipart }),
+    ];
+
+    if (spec.file && spec.file.required !== false && !req.file) {
+      errors.push(`A file is required in the "${spec.file.field}" field.`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request.', code: 'VALIDATION_ERROR', details: errors });
+    }
+    next();
+  };
+  middleware.openapi = spec;
+  return middleware;
+}
@@ -0,0 +1,106 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { neon } from '@neondatabase/serverless';
+import { STORAGE_PROVIDERS, downloadStoredFile, getStorageProvider, removeStoredFile } from '../lib/storage.js';
+
+// Moves dataset files and version snapshots between storage providers and updates their
+// UploadedFile / DatasetVersion rows.
+//
+//   npm run migrate:storage -- --to local [--from cloudinary] [--workspace acme] [--dry-run] [--keep-source]
+//
+// Files are copied first and the row is switched over afterwards, so the app keeps reading a
+// complete file throughout. The source copy is deleted last unless --keep-source is given.
+const usage = 'Usage: npm run migrate:storage -- --to <provider> [--from <provider>] [--workspace <slug>] [--dry-run] [--keep-source]';
+
+const { values: options } = parseArgs({
+  options: {
+    to: { type: 'string' },
+    from: { type: 'string' },
+    workspace: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'keep-source': { type: 'boolean', default: false },
+  },
+});
+
+if (!STORAGE_PROVIDERS.includes(options.to) || (options.from && !STORAGE_PROVIDERS.includes(options.from))) {
+  console.error(usage);
+  console.error(`Providers: ${STORAGE_PROVIDERS.join(', ')}`);
+  process.exit(1);
+}
+if (options.from === options.to) {
+  console.error('--from and --to must be different providers.');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+const target = getStorageProvider(options.to);
+
+// Same statement as in api/index.js, for databases the app hasn't migrated yet
+await sql.query(`ALTER TABLE "UploadedFile" ADD COLUMN IF NOT EXISTS "storageProvider" VARCHAR(16) NOT NULL DEFAULT 'cloudinary';`);
+
+const from = options.from ?? null;
+const workspace = options.workspace ?? null;
+
+const datasetFiles = await sql`SELECT f.*, w."slug" AS "workspaceSlug", f."datasetId" AS "label"
+  FROM "UploadedFile" f
+  LEFT JOIN "Workspace" w ON w."id" = f."workspaceId"
+  WHERE f."storageProvider" <> ${options.to}
+    AND (${from}::text IS NULL OR f."storageProvider" = ${from})
+    AND (${workspace}::text IS NULL OR w."slug" = ${workspace})
+  ORDER BY f."id" ASC`;
+
+const versionExists = (await sql`SELECT to_regclass('"DatasetVersion"') IS NOT NULL AS "exists"`)[0].exists;
+const versionFiles = !versionExists ? [] : await sql`SELECT v.*, w."slug" AS "workspaceSlug", f."datasetId" || ' v' || v."version" AS "label"
+  FROM "DatasetVersion" v
+  JOIN "UploadedFile" f ON f."id" = v."uploadedFileId"
+  LEFT JOIN "Workspace" w ON w."id" = f."workspaceId"
+  WHERE v."storageProvider" <> ${options.to}
+    AND (${from}::text IS NULL OR v."storageProvider" = ${from})
+    AND (${workspace}::text IS NULL OR w."slug" = ${workspace})
+  ORDER BY v."id" ASC`;
+
+const files = [
+  ...datasetFiles.map(file => ({ ...file, table: 'UploadedFile' })),
+  ...versionFiles.map(file => ({ ...file, table: 'DatasetVersion' })),
+];
+
+console.log(`${files.length} file(s) to move to ${options.to}${options['dry-run'] ? ' (dry run)' : ''}`);
+
+let failed = 0;
+for (const file of files) {
+  const label = `${file.workspaceSlug ?? '?'}/${file.label} (${file.storageProvider}:${file.publicId})`;
+  if (options['dry-run']) {
+    console.log(`Would move ${label}`);
+    continue;
+  }
+
+  try {
+    const fileBuffer = await downloadStoredFile(file);
+    const stored = await target.upload(file.publicId, fileBuffer);
+    if (file.table === 'UploadedFile') {
+      await sql`UPDATE "UploadedFile"
+        SET "publicId" = ${stored.key}, "secureUrl" = ${stored.url}, "storageProvider" = ${target.name}, "updatedAt" = CURRENT_TIMESTAMP
+        WHERE "id" = ${file.id}`;
+    } else {
+      await sql`UPDATE "DatasetVersion"
+        SET "publicId" = ${stored.key}, "secureUrl" = ${stored.url}, "storageProvider" = ${target.name}
+        WHERE "id" = ${file.id}`;
+    }
+    console.log(`Moved ${label} -> ${target.name}:${stored.key}`);
+  } catch (error) {
+    failed++;
+    console.error(`Failed to move ${label}:`, error.message);
+    continue;
+  }
+
+  if (!options['keep-source']) {
+    try {
+      await removeStoredFile(file);
+    } catch (error) {
+      console.error(`Moved ${label}, but deleting the source copy failed:`, error.message);
+    }
+  }
+}
+
+console.log(`Done: ${files.length - failed} moved, ${failed} failed.`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// The AI service is a local server answering with the status the test sets; retries are off, so
+// every call is one request. The client reads its settings on import, hence the dynamic import.
+let server;
+let nextStatus = 200;
+let requestCount = 0;
+let aiClient;
+
+const formData = { getBuffer: () => Buffer.from('data'), getHeaders: () => ({ 'content-type': 'text/plain' }) };
+
+const callService = () => aiClient.postToAiService('upload', formData);
+
+// Calls the service once per status and returns the error codes, or "ok" for successes
+async function callWithStatuses(statuses) {
+  const outcomes = [];
+  for (const status of statuses) {
+    nextStatus = status;
+    try {
+      await callService();
+      outcomes.push('ok');
+    } catch (error) {
+      assert.ok(error instanceof aiClient.AiServiceError);
+      outcomes.push(error.code);
+    }
+  }
+  return outcomes;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requestCount++;
+    res.writeHead(nextStatus, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(nextStatus < 400 ? { ok: true } : { detail: 'failed' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.AI_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.AI_SERVICE_RETRIES = '0';
+  aiClient = await import('../lib/aiClient.js');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('answers with the response body and normalizes failures', async () => {
+  nextStatus = 200;
+  assert.deepEqual(await callService(), { ok: true });
+
+  nextStatus = 422;
+  await assert.rejects(callService(), {
+    name: 'AiServiceError',
+    code: 'AI_SERVICE_REJECTED',
+    status: 502,
+    retryable: false,
+    upstreamStatus: 422,
+    message: 'The AI service failed on /upload (422): failed',
+  });
+});
+
+test('rejected requests never open the circuit', async () => {
+  assert.deepEqual(await callWithStatuses([400, 400, 400, 400, 400, 400]), Array(6).fill('AI_SERVICE_REJECTED'));
+  assert.equal(aiClient.isCircuitOpen(), false);
+});
+
+test('a success resets the count of failures', async () => {
+  const outcomes = await callWithStatuses([503, 503, 503, 503, 200, 503, 503, 503, 503]);
+
+  assert.deepEqual(outcomes, [...Array(4).fill('AI_SERVICE_ERROR'), 'ok', ...Array(4).fill('AI_SERVICE_ERROR')]);
+  assert.equal(aiClient.isCircuitOpen(), false);
+});
+
+test('opens the circuit after five failed calls and then fails without calling the service', async () => {
+  assert.deepEqual(await callWithStatuses([503]), ['AI_SERVICE_ERROR']);
+  assert.equal(aiClient.isCircuitOpen(), true);
+
+  const requestsBefore = requestCount;
+  nextStatus = 200;
+  await assert.rejects(callService(), { code: 'AI_SERVICE_CIRCUIT_OPEN', status: 503, retryable: true });
+  assert.equal(requestCount, requestsBefore);
+});
+
+test('fails right away when the service is not configured', async () => {
+  delete process.env.AI_SERVICE_URL;
+  await assert.rejects(callService(), { code: 'AI_SERVICE_NOT_CONFIGURED', status: 503 });
+});
@@ -0,0 +1,41 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { checkPasswordChange, verifyPassword } from '../api/index.js';
+
+test('verifyPassword runs a full bcrypt comparison for known and unknown emails', async () => {
+  const user = { id: 1, passwordHash: await bcrypt.hash('correct horse', 4) };
+  const compare = mock.method(bcrypt, 'compare');
+
+  try {
+    assert.equal(await verifyPassword('correct horse', user), true);
+    assert.equal(await verifyPassword('wrong password', user), false);
+    assert.equal(await verifyPassword('correct horse', undefined), false);
+
+    const hashes = compare.mock.calls.map(call => call.arguments[1]);
+    assert.equal(hashes.length, 3);
+    // bcrypt answers hashes of any other length at once, without hashing
+    hashes.forEach(hash => assert.equal(hash.length, 60));
+    assert.notEqual(hashes[2], user.passwordHash);
+    assert.equal(bcrypt.getRounds(hashes[2]), 12);
+  } finally {
+    compare.mock.restore();
+  }
+});
+
+test('checkPasswordChange asks everyone for their current password, admins included', async () => {
+  const passwordHash = await bcrypt.hash('correct horse', 4);
+  const admin = { id: 1, role: 'admin', passwordHash };
+  const analyst = { id: 2, role: 'analyst', passwordHash };
+
+  for (const user of [admin, analyst]) {
+    assert.deepEqual(await checkPasswordChange(user, user.id, undefined), { status: 400, error: 'currentPassword is required to change your password.' });
+    assert.deepEqual(await checkPasswordChange(user, user.id, 'wrong password'), { status: 403, error: 'The current password is incorrect.' });
+    assert.equal(await checkPasswordChange(user, user.id, 'correct horse'), null);
+  }
+});
+
+test('checkPasswordChange lets admins set the passwords of other users', async () => {
+  const admin = { id: 1, role: 'admin', passwordHash: await bcrypt.hash('correct horse', 4) };
+  assert.equal(await checkPasswordChange(admin, 2, undefined), null);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDataQueryClauses } from '../api/index.js';
+
+const columns = [
+  { name: 'id', type: 'integer' },
+  { name: 'email', type: 'character varying', maxLength: 255 },
+  { name: 'note', type: 'text' },
+  { name: 'amount', type: 'numeric' },
+  { name: 'signup', type: 'date' },
+];
+
+const filtersQuery = (filters) => ({ filters: JSON.stringify(filters) });
+
+test('without a query, matches every row in id order', () => {
+  assert.deepEqual(buildDataQueryClauses(columns), { errors: [], where: '', orderBy: '"id" ASC', params: [] });
+});
+
+test('filter values go through params, numbered in order', () => {
+  const clauses = buildDataQueryClauses(columns, filtersQuery([
+    { column: 'amount', op: 'between', value: [100, 500] },
+    { column: 'email', op: 'contains', value: '50%_off' },
+    { column: 'signup', op: 'gte', value: '2024-01-31' },
+    { column: 'note', op: 'isNull' },
+  ]));
+
+  assert.deepEqual(clauses.errors, []);
+  assert.equal(clauses.where, 'WHERE "amount" >= $1 AND "amount" <= $2 AND "email" ILIKE $3 AND "signup" >= $4 AND "note" IS NULL');
+  assert.deepEqual(clauses.params, [100, 500, '%50\\%\\_off%', '2024-01-31']);
+});
+
+test('open-ended ranges and the search share the numbering', () => {
+  const clauses = buildDataQueryClauses(columns, { ...filtersQuery([{ column: 'amount', op: 'between', value: [null, 10] }]), search: ' Ann ' });
+
+  assert.equal(clauses.where, 'WHERE "amount" <= $1 AND ("email" ILIKE $2 OR "note" ILIKE $2)');
+  assert.deepEqual(clauses.params, [10, '%Ann%']);
+});
+
+test('rejects unknown columns and operators instead of building SQL from them', () => {
+  const clauses = buildDataQueryClauses(columns, {
+    ...filtersQuery([
+      { column: 'email"; DROP TABLE data; --', op: 'eq', value: 'x' },
+      { column: 'email', op: 'LIKE', value: 'x' },
+      { column: 'email', op: 'gt', value: 'x' },
+      { column: 'amount', op: 'contains', value: '1' },
+      { column: 'amount', op: 'eq', value: 'many' },
+    ]),
+    sortBy: 'nope',
+  });
+
+  assert.deepEqual(clauses.errors, [
+    'Filter 1: unknown column "email"; DROP TABLE data; --".',
+    'Filter 2: operator must be one of eq, neq, contains, gt, gte, lt, lte, between, isNull, notNull.',
+    'Filter 3: "gt" only works on numeric and date columns.',
+    'Filter 4: "contains" only works on text columns.',
+    'Filter 5: "amount" must be a number.',
+    'Unknown sort column "nope".',
+  ]);
+});
+
+test('rejects filters that are not a JSON array and bad sort orders', () => {
+  assert.deepEqual(buildDataQueryClauses(columns, { filters: '{' }).errors, ['"filters" must be a JSON array.']);
+  assert.deepEqual(buildDataQueryClauses(columns, { filters: '{}' }).errors, ['"filters" must be a JSON array.']);
+  assert.deepEqual(buildDataQueryClauses(columns, { sortBy: 'amount', sortOrder: 'sideways' }).errors, ['"sortOrder" must be asc or desc.']);
+});
+
+test('sorts by known columns with id breaking ties', () => {
+  assert.equal(buildDataQueryClauses(columns, { sortBy: 'amount', sortOrder: 'DESC' }).orderBy, '"amount" DESC NULLS LAST, "id" ASC');
+  assert.equal(buildDataQueryClauses(columns, { sortBy: 'id', sortOrder: 'desc' }).orderBy, '"id" DESC');
+});
+
+test('a search without text columns matches nothing', () => {
+  const clauses = buildDataQueryClauses([{ name: 'id', type: 'integer' }], { search: 'x' });
+  assert.deepEqual({ where: clauses.where, params: clauses.params }, { where: 'WHERE FALSE', params: [] });
+});
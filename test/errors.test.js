@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { errorEnvelope, getErrorCode, toErrorBody } from '../lib/errors.js';
+
+// Starts the app on a free port, sends one request and returns the status and JSON body
+async function request(app, path, { method = 'GET', headers = {}, body } = {}) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { method, headers, body });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function buildTestApp() {
+  const app = express();
+  app.use(errorEnvelope);
+  app.get('/ok', (req, res) => res.status(200).json({ message: 'okay' }));
+  app.get('/list', (req, res) => res.status(400).json(['not', 'wrapped']));
+  app.get('/message', (req, res) => res.status(400).json({ message: 'No file uploaded' }));
+  app.get('/details', (req, res) => res.status(400).json({ error: 'Invalid row values.', details: ['a is required.'] }));
+  app.get('/error-object', (req, res) => res.status(500).json({ error: new Error('Boom') }));
+  app.get('/own-code', (req, res) => res.status(503).json({ error: 'Down.', code: 'AI_SERVICE_UNAVAILABLE' }));
+  app.get('/teapot', (req, res) => res.status(418).json({}));
+  return app;
+}
+
+test('getErrorCode maps statuses and falls back by class', () => {
+  assert.equal(getErrorCode(404), 'NOT_FOUND');
+  assert.equal(getErrorCode(422), 'VALIDATION_ERROR');
+  assert.equal(getErrorCode(507), 'INTERNAL_ERROR');
+});
+
+test('toErrorBody keeps extra fields and a code given by the route', () => {
+  assert.deepEqual(toErrorBody(409, { error: 'Taken.', code: 'CUSTOM', details: ['x'] }), { error: 'Taken.', code: 'CUSTOM', details: ['x'] });
+});
+
+test('leaves successful responses and non-object bodies alone', async () => {
+  const app = buildTestApp();
+  assert.deepEqual(await request(app, '/ok'), { status: 200, body: { message: 'okay' } });
+  assert.deepEqual(await request(app, '/list'), { status: 400, body: ['not', 'wrapped'] });
+});
+
+test('wraps error bodies in { error, code, details }', async () => {
+  const app = buildTestApp();
+
+  assert.deepEqual(await request(app, '/message'), {
+    status: 400,
+    body: { message: 'No file uploaded', error: 'No file uploaded', code: 'VALIDATION_ERROR' },
+  });
+  assert.deepEqual(await request(app, '/details'), {
+    status: 400,
+    body: { error: 'Invalid row values.', code: 'VALIDATION_ERROR', details: ['a is required.'] },
+  });
+  assert.deepEqual(await request(app, '/error-object'), { status: 500, body: { error: 'Boom', code: 'INTERNAL_ERROR' } });
+  assert.deepEqual(await request(app, '/own-code'), { status: 503, body: { error: 'Down.', code: 'AI_SERVICE_UNAVAILABLE' } });
+  assert.deepEqual(await request(app, '/teapot'), { status: 418, body: { error: 'Request failed.', code: 'VALIDATION_ERROR' } });
+});
+
+test('the API answers malformed JSON with the envelope', async () => {
+  const { default: app } = await import('../api/index.js');
+
+  const response = await request(app, '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"email":',
+  });
+  assert.deepEqual(response, { status: 400, body: { error: 'The request body is not valid JSON.', code: 'INVALID_JSON' } });
+});
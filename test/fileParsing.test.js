@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeText, detectDelimiter, parseJsonRecords } from '../api/index.js';
+
+test('decodeText follows byte order marks', () => {
+  assert.deepEqual(decodeText(Buffer.from('﻿name,city\n', 'utf-8')), { text: 'name,city\n', encoding: 'utf-8' });
+  assert.deepEqual(decodeText(Buffer.from([0xff, 0xfe, ...Buffer.from('a,b', 'utf16le')])), { text: 'a,b', encoding: 'utf-16le' });
+  assert.deepEqual(decodeText(Buffer.from([0xfe, 0xff, 0x00, 0x61, 0x00, 0x2c, 0x00, 0x62])), { text: 'a,b', encoding: 'utf-16be' });
+});
+
+test('decodeText falls back to Windows-1252 for bytes that are not UTF-8', () => {
+  assert.deepEqual(decodeText(Buffer.from('Zürich', 'utf-8')), { text: 'Zürich', encoding: 'utf-8' });
+  // "Café – 5€" as Excel writes it on Windows
+  assert.deepEqual(decodeText(Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x96, 0x20, 0x35, 0x80])), { text: 'Café – 5€', encoding: 'windows-1252' });
+});
+
+test('decodeText uses the requested encoding', () => {
+  assert.deepEqual(decodeText(Buffer.from([0x43, 0x61, 0x66, 0xe9]), 'latin1'), { text: 'Café', encoding: 'latin1' });
+  assert.deepEqual(decodeText(Buffer.from([0x35, 0x80]), 'windows-1252'), { text: '5€', encoding: 'windows-1252' });
+  assert.deepEqual(decodeText(Buffer.from('a,b', 'utf16le'), 'utf-16le'), { text: 'a,b', encoding: 'utf-16le' });
+});
+
+test('detectDelimiter picks the delimiter that splits every line alike', () => {
+  assert.equal(detectDelimiter('name;city;zip\nAnn;Bern;3000\nBob;Basel;4000\n'), ';');
+  assert.equal(detectDelimiter('name\tcity\nAnn\tBern\n'), '\t');
+  assert.equal(detectDelimiter('name|note\nAnn|"a, b, c"\nBob|none\n'), '|');
+  assert.equal(detectDelimiter('name,"note; more"\r\nAnn,"x; y"\r\n'), ',');
+  assert.equal(detectDelimiter('single column\nvalue\n'), ',');
+});
+
+test('parseJsonRecords reads arrays and NDJSON and gives every row the same keys', () => {
+  const expected = [
+    { name: 'Ann', age: '31', tags: '' },
+    { name: 'Bob', age: '', tags: '["a","b"]' },
+  ];
+  assert.deepEqual(parseJsonRecords('[{"name":"Ann","age":31},{"name":"Bob","tags":["a","b"]}]'), expected);
+  assert.deepEqual(parseJsonRecords('{"name":"Ann","age":31}\r\n\n{"name":"Bob","age":null,"tags":["a","b"]}\n'), expected);
+});
+
+test('parseJsonRecords refuses anything but objects', () => {
+  assert.throws(() => parseJsonRecords('[1, 2]'), /array of objects or one object per line/);
+  assert.throws(() => parseJsonRecords('{"a":1}\n[1]'), /array of objects or one object per line/);
+  assert.throws(() => parseJsonRecords('{"a":1}\n{"a":'), SyntaxError);
+});
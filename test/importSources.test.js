@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRunAt } from '../api/index.js';
+
+const DAY = 1440;
+
+test('a start in the future is the first run', () => {
+  assert.deepEqual(getNextRunAt('2026-03-01T02:00:00Z', DAY, new Date('2026-02-20T10:00:00Z')), new Date('2026-03-01T02:00:00Z'));
+});
+
+test('later runs stay aligned to the start', () => {
+  const anchor = '2026-03-01T02:00:00Z';
+  assert.deepEqual(getNextRunAt(anchor, DAY, new Date('2026-03-05T01:59:00Z')), new Date('2026-03-05T02:00:00Z'));
+  assert.deepEqual(getNextRunAt(anchor, DAY, new Date('2026-03-05T02:30:00Z')), new Date('2026-03-06T02:00:00Z'));
+  assert.deepEqual(getNextRunAt(anchor, 15, new Date('2026-03-01T03:07:00Z')), new Date('2026-03-01T03:15:00Z'));
+});
+
+test('a run that is due now is moved to the next interval', () => {
+  assert.deepEqual(getNextRunAt('2026-03-01T02:00:00Z', 60, new Date('2026-03-01T05:00:00Z')), new Date('2026-03-01T06:00:00Z'));
+});
+
+test('skips the runs missed while nothing triggered the cron', () => {
+  assert.deepEqual(getNextRunAt(new Date('2026-01-01T00:00:00Z'), DAY, new Date('2026-06-15T12:00:00Z')), new Date('2026-06-16T00:00:00Z'));
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+import { objectSchema, validateRequest } from '../lib/validation.js';
+
+// Stand-ins for the role middleware of api/index.js, which the document reads the same way
+const requireRole = (role) => Object.assign((req, res, next) => next(), { requiredRole: role });
+const requireUserRole = (role) => Object.assign((req, res, next) => next(), { requiredUserRole: role });
+const handler = (req, res) => res.json({});
+
+function buildTestDocument() {
+  const app = express();
+  app.get('/api/test', validateRequest({ summary: 'Check that the API is up' }), handler);
+  app.post('/api/datasets/:datasetId/rows', requireRole('analyst'), validateRequest({
+    summary: 'Add a row',
+    params: objectSchema({ datasetId: { type: 'string', pattern: '^[a-z]+$' } }, { required: ['datasetId'] }),
+    query: objectSchema({ dryRun: { type: 'boolean', description: 'Only check the row.' } }),
+    body: objectSchema({ name: { type: 'string' } }, { required: ['name'] }),
+    responses: { 201: { description: 'Created' } },
+  }), handler);
+  app.post('/api/upload', requireRole('admin'), validateRequest({
+    file: { field: 'data', description: 'The file.' },
+    body: objectSchema({ mode: { type: 'string' } }),
+  }), handler);
+  app.get('/api/users/:id', requireUserRole('admin'), handler);
+  app.get('/health', handler);
+
+  return buildOpenApiDocument(app, {
+    info: { title: 'Test', version: '1.0.0' },
+    publicPaths: ['/test'],
+    errorCodes: ['VALIDATION_ERROR', 'INTERNAL_ERROR'],
+    components: { schemas: { Extra: { type: 'object' } } },
+  });
+}
+
+test('lists the /api routes with OpenAPI paths and operation IDs', () => {
+  const document = buildTestDocument();
+
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(document.paths).sort(), ['/api/datasets/{datasetId}/rows', '/api/test', '/api/upload', '/api/users/{id}']);
+  assert.equal(document.paths['/api/datasets/{datasetId}/rows'].post.operationId, 'postDatasetsByDatasetIdRows');
+  assert.equal(document.paths['/api/datasets/{datasetId}/rows'].post.summary, 'Add a row');
+  assert.deepEqual(document.paths['/api/datasets/{datasetId}/rows'].post.tags, ['datasets']);
+});
+
+test('public paths need no authentication and answer no 401', () => {
+  const operation = buildTestDocument().paths['/api/test'].get;
+
+  assert.deepEqual(operation.security, []);
+  assert.deepEqual(Object.keys(operation.responses).sort(), ['200', '400', '500']);
+});
+
+test('workspace routes document their role, the workspace header and the error responses', () => {
+  const operation = buildTestDocument().paths['/api/datasets/{datasetId}/rows'].post;
+
+  assert.equal(operation.security, undefined);
+  assert.equal(operation.description, 'Requires the analyst role in the workspace.');
+  assert.deepEqual(Object.keys(operation.responses).sort(), ['201', '400', '401', '403', '404', '500']);
+  assert.deepEqual(operation.responses[403].content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+  assert.deepEqual(operation.parameters, [
+    { name: 'datasetId', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z]+$' } },
+    { name: 'dryRun', in: 'query', required: false, description: 'Only check the row.', schema: { type: 'boolean', description: 'Only check the row.' } },
+    { $ref: '#/components/parameters/WorkspaceHeader' },
+  ]);
+  assert.deepEqual(operation.requestBody, {
+    required: true,
+    content: { 'application/json': { schema: objectSchema({ name: { type: 'string' } }, { required: ['name'] }) } },
+  });
+});
+
+test('file uploads are multipart bodies holding the file and the form fields', () => {
+  const { requestBody } = buildTestDocument().paths['/api/upload'].post;
+
+  assert.deepEqual(requestBody, {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: {
+            data: { type: 'string', format: 'binary', description: 'The file.' },
+            mode: { type: 'string' },
+          },
+          required: ['data'],
+        },
+      },
+    },
+  });
+});
+
+test('routes without a declaration get their path parameters and account role', () => {
+  const operation = buildTestDocument().paths['/api/users/{id}'].get;
+
+  assert.deepEqual(operation.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  assert.equal(operation.description, 'Requires the admin account role.');
+  assert.deepEqual(Object.keys(operation.responses).sort(), ['200', '400', '401', '403', '404', '500']);
+});
+
+test('merges the given components with the Error schema and security scheme', () => {
+  const { components } = buildTestDocument();
+
+  assert.deepEqual(components.schemas.Error.properties.code.enum, ['VALIDATION_ERROR', 'INTERNAL_ERROR']);
+  assert.deepEqual(components.schemas.Extra, { type: 'object' });
+  assert.equal(components.securitySchemes.bearerAuth.scheme, 'bearer');
+  assert.equal(components.parameters.WorkspaceHeader.name, 'X-Workspace-Id');
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPublicUrl, isPublicAddress, publicAddressLookup } from '../lib/outboundUrl.js';
+
+test('isPublicAddress refuses loopback, private, link-local and special-purpose addresses', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1',
+    'localhost', 'not an address',
+  ].forEach(address => assert.equal(isPublicAddress(address), false, address));
+});
+
+test('isPublicAddress accepts public addresses', () => {
+  ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111'].forEach(address => assert.equal(isPublicAddress(address), true, address));
+});
+
+test('checkPublicUrl refuses URLs of internal hosts', async () => {
+  assert.match(await checkPublicUrl('http://127.0.0.1:8080/hook'), /127\.0\.0\.1, which is not a public address/);
+  assert.match(await checkPublicUrl('http://169.254.169.254/latest/meta-data'), /not a public address/);
+  assert.match(await checkPublicUrl('http://[::1]/'), /::1, which is not a public address/);
+  assert.match(await checkPublicUrl('http://localhost/'), /not a public address/);
+});
+
+test('checkPublicUrl refuses other protocols and invalid URLs', async () => {
+  assert.equal(await checkPublicUrl('ftp://8.8.8.8/file'), 'Only http(s) URLs can be requested.');
+  assert.equal(await checkPublicUrl('not a url'), 'The URL is invalid.');
+});
+
+test('checkPublicUrl accepts public addresses', async () => {
+  assert.equal(await checkPublicUrl('https://8.8.8.8/hook'), null);
+});
+
+test('publicAddressLookup fails for hosts resolving to internal addresses', async () => {
+  const error = await new Promise(resolve => publicAddressLookup('localhost', {}, resolve));
+  assert.equal(error.code, 'EADDRBLOCKED');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toAnalytics } from '../lib/profiling.js';
+
+test('toAnalytics turns numeric column profiles into the analytics block', () => {
+  const profile = {
+    summary: { total_rows: 4, total_columns: 3 },
+    columns: [
+      {
+        name: 'revenue',
+        kind: 'numeric',
+        count: 4,
+        nullCount: 0,
+        mean: 2.5,
+        std: 1.291,
+        min: 1,
+        max: 4,
+        quartiles: { '25%': 1.75, '50%': 2.5, '75%': 3.25 },
+        histogram: [],
+        topValues: [],
+      },
+      { name: 'client', kind: 'text', count: 4, nullCount: 0, minLength: 3, maxLength: 8, topValues: [] },
+      { name: 'signed', kind: 'temporal', count: 3, nullCount: 1, min: '2024-01-01', max: '2024-03-01', quartiles: {} },
+    ],
+  };
+
+  assert.deepEqual(toAnalytics(profile), [
+    { name: 'revenue', count: 4, mean: 2.5, std: 1.291, min: 1, '25%': 1.75, '50%': 2.5, '75%': 3.25, max: 4 },
+  ]);
+});
+
+test('toAnalytics keeps the key order of the AI service', () => {
+  const [analytics] = toAnalytics({
+    columns: [{ name: 'n', kind: 'numeric', count: 1, mean: 1, std: null, min: 1, max: 1, quartiles: { '25%': 1, '50%': 1, '75%': 1 } }],
+  });
+
+  assert.deepEqual(Object.keys(analytics), ['name', 'count', 'mean', 'std', 'min', '25%', '50%', '75%', 'max']);
+});
+
+test('toAnalytics returns nothing for a dataset without numeric columns', () => {
+  assert.deepEqual(toAnalytics({ columns: [{ name: 'client', kind: 'text' }] }), []);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDataQuality, validateQualitySettings } from '../api/index.js';
+
+const reasonsByIndex = (result) => Object.fromEntries(result.rejected.map(row => [row.index, row.reasons]));
+
+test('pattern rules reject values that do not match', () => {
+  const result = applyDataQuality(
+    [{ zip: '12345' }, { zip: '1234' }, { zip: ' 54321 ' }],
+    { rules: [{ column: 'zip', pattern: '^\\d{5}$' }] }
+  );
+
+  assert.deepEqual(result.rowIndexes, [0, 2]);
+  assert.deepEqual(result.rows[1], { zip: '54321' });
+  assert.deepEqual(reasonsByIndex(result), { 1: ['"zip" doesn\'t match ^\\d{5}$'] });
+});
+
+test('pattern rules skip values longer than the checked length', () => {
+  const result = applyDataQuality([{ code: 'a'.repeat(1001) }], { rules: [{ column: 'code', pattern: '^a+$' }] });
+  assert.deepEqual(result.rejected[0].reasons, ['"code" is longer than the 1000 characters checked against ^a+$']);
+});
+
+test('range rules reject values outside the range and values that are not numbers', () => {
+  const result = applyDataQuality(
+    [{ age: '30' }, { age: '-1' }, { age: '131' }, { age: 'old' }, { age: '' }],
+    { rules: [{ column: 'age', min: 0, max: 130 }] }
+  );
+
+  assert.deepEqual(result.rowIndexes, [0, 4]);
+  assert.deepEqual(reasonsByIndex(result), {
+    1: ['"age" is outside the range 0 to 130'],
+    2: ['"age" is outside the range 0 to 130'],
+    3: ['"age" is not a number'],
+  });
+});
+
+test('unique rules keep the first row of a value', () => {
+  const result = applyDataQuality(
+    [{ email: 'a@example.com' }, { email: 'A@example.com' }, { email: 'b@example.com' }, { email: '' }, { email: '' }],
+    { rules: [{ column: 'email', unique: true, caseInsensitive: true }] }
+  );
+
+  assert.deepEqual(result.rowIndexes, [0, 2, 3, 4]);
+  assert.deepEqual(reasonsByIndex(result), { 1: ['"email" repeats the value of row 2'] });
+});
+
+test('required, format and allowed values rules, on headers or column names', () => {
+  const result = applyDataQuality(
+    [{ 'E-mail': 'a@example.com', Status: 'Active' }, { 'E-mail': 'nope', Status: 'gone' }, { 'E-mail': '', Status: 'churned' }],
+    { rules: [{ column: 'E_mail', required: true, format: 'email' }, { column: 'Status', allowedValues: ['active', 'churned'], caseInsensitive: true }] }
+  );
+
+  assert.deepEqual(result.rowIndexes, [0]);
+  assert.deepEqual(reasonsByIndex(result), {
+    1: ['"E-mail" is not a valid email address', '"Status" is not one of the allowed values'],
+    2: ['"E-mail" is required'],
+  });
+});
+
+test('cleaning trims, nulls, lowercases and deduplicates, and warns about unknown columns', () => {
+  const result = applyDataQuality(
+    [{ email: ' A@Example.com ', note: 'N/A' }, { email: 'a@example.com', note: 'second' }],
+    { cleaning: { nullValues: ['N/A'], lowercase: ['email', 'missing'], deduplicate: { columns: ['email'], keep: 'last' } } }
+  );
+
+  assert.deepEqual(result.rows, [{ email: 'a@example.com', note: 'second' }]);
+  assert.equal(result.rejected[0].index, 0);
+  assert.equal(result.rejected[0].duplicate, true);
+  assert.deepEqual(result.stats, { valuesTrimmed: 1, valuesNulled: 1, datesNormalized: 0, duplicatesRemoved: 1 });
+  assert.deepEqual(result.warnings, ['cleaning.lowercase: column "missing" isn\'t in the file and was ignored.']);
+});
+
+test('validateQualitySettings refuses invalid and nested quantifier patterns', () => {
+  assert.deepEqual(validateQualitySettings({ rules: [{ column: 'zip', pattern: '^\\d{5}$' }, { column: 'sign', pattern: '([+-]\\d)+' }] }).errors, []);
+  assert.deepEqual(validateQualitySettings({ rules: [{ column: 'a', pattern: '(a+)+$' }, { column: 'b', pattern: '(.*x){2,}' }] }).errors, [
+    'rules[0]: pattern can\'t repeat a group that repeats itself, like (a+)+.',
+    'rules[1]: pattern can\'t repeat a group that repeats itself, like (a+)+.',
+  ]);
+  assert.deepEqual(validateQualitySettings({ rules: [{ column: 'a', pattern: '(' }] }).errors, [
+    'rules[0]: pattern must be a valid regular expression of up to 500 characters.',
+  ]);
+});
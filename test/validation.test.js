@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { objectSchema, validateRequest, validateValue } from '../lib/validation.js';
+
+// Runs the middleware of a declaration against a fake request and returns what it did
+function runValidation(spec, req) {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  validateRequest(spec)({ params: {}, query: {}, body: {}, ...req }, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+test('objectSchema only lists required, additionalProperties and description when given', () => {
+  assert.deepEqual(objectSchema({ name: { type: 'string' } }), { type: 'object', properties: { name: { type: 'string' } } });
+  assert.deepEqual(objectSchema({}, { required: ['name'], additionalProperties: false, description: 'A thing.' }), {
+    type: 'object',
+    properties: {},
+    required: ['name'],
+    additionalProperties: false,
+    description: 'A thing.',
+  });
+});
+
+test('validateValue reports every problem with the path of the value', () => {
+  const schema = objectSchema({
+    name: { type: 'string', minLength: 1, maxLength: 5 },
+    count: { type: 'integer', minimum: 1 },
+    tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } },
+  }, { required: ['name'], additionalProperties: false });
+
+  assert.deepEqual(validateValue(schema, { name: 'abcdef', count: 0, tags: ['a', 'c'], extra: true }, 'body'), [
+    'body.name can have up to 5 characters.',
+    'body.count must be at least 1.',
+    'body.tags[1] must be one of a, b.',
+    'body.extra is not a known field.',
+  ]);
+  assert.deepEqual(validateValue(schema, {}, 'body'), ['body.name is required.']);
+  assert.deepEqual(validateValue(schema, { name: 'ok', count: 2, tags: [] }, 'body'), []);
+});
+
+test('validateValue accepts a list of types and checks formats', () => {
+  const schema = { type: ['string', 'null'], format: 'uuid' };
+  assert.deepEqual(validateValue(schema, null, 'id'), []);
+  assert.deepEqual(validateValue(schema, 'nope', 'id'), ['id must be a valid uuid.']);
+  assert.deepEqual(validateValue(schema, 3, 'id'), ['id must be a string or null.']);
+});
+
+test('validateValue only coerces strings when asked to', () => {
+  const schema = { type: 'integer', maximum: 10 };
+  assert.deepEqual(validateValue(schema, '7', 'page', { coerce: true }), []);
+  assert.deepEqual(validateValue(schema, '70', 'page', { coerce: true }), ['page must be at most 10.']);
+  assert.deepEqual(validateValue(schema, '7', 'page'), ['page must be an integer.']);
+  assert.deepEqual(validateValue({ type: 'boolean' }, 'true', 'refresh', { coerce: true }), []);
+});
+
+test('validateRequest calls next for a valid request', () => {
+  const outcome = runValidation({
+    params: objectSchema({ id: { type: 'integer', minimum: 1 } }, { required: ['id'] }),
+    query: objectSchema({ page: { type: 'integer' } }),
+  }, { params: { id: '3' }, query: { page: '2' } });
+
+  assert.equal(outcome.nextCalled, true);
+  assert.equal(outcome.status, null);
+});
+
+test('validateRequest answers 400 with the problems of params, query and body', () => {
+  const outcome = runValidation({
+    params: objectSchema({ id: { type: 'integer', minimum: 1 } }, { required: ['id'] }),
+    query: objectSchema({ page: { type: 'integer' } }),
+    body: objectSchema({ name: { type: 'string' } }, { required: ['name'] }),
+  }, { params: { id: '0' }, query: { page: 'x' }, body: {} });
+
+  assert.equal(outcome.nextCalled, false);
+  assert.equal(outcome.status, 400);
+  assert.deepEqual(outcome.body, {
+    error: 'Invalid request.',
+    code: 'VALIDATION_ERROR',
+    details: ['params.id must be at least 1.', 'query.page must be an integer.', 'body.name is required.'],
+  });
+});
+
+test('validateRequest requires the declared file and coerces multipart fields', () => {
+  const spec = { file: { field: 'data' }, body: objectSchema({ batchSize: { type: 'integer' } }) };
+
+  const missing = runValidation(spec, { body: { batchSize: '10' } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.details, ['A file is required in the "data" field.']);
+
+  const valid = runValidation(spec, { body: { batchSize: '10' }, file: { fieldname: 'data' } });
+  assert.equal(valid.nextCalled, true);
+});
+
+test('validateRequest keeps the declaration for the OpenAPI document', () => {
+  const spec = { summary: 'Something' };
+  assert.equal(validateRequest(spec).openapi, spec);
+});
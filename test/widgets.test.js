@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWidgetQuery, validateWidget } from '../api/index.js';
+
+const table = { schema: 'public', name: 'data' };
+const columns = [
+  { name: 'id', type: 'integer' },
+  { name: 'region', type: 'character varying' },
+  { name: 'status', type: 'text' },
+  { name: 'amount', type: 'numeric' },
+  { name: 'ordered_at', type: 'timestamp with time zone' },
+];
+
+// The query text without its line breaks and indentation
+const buildQuery = (definition) => {
+  const { errors, widget } = validateWidget(definition, 'widget');
+  assert.deepEqual(errors, []);
+  const query = buildWidgetQuery(table, columns, widget);
+  return query.errors ? query : { ...query, text: query.text.replace(/\s+/g, ' ').trim() };
+};
+
+test('builds one query per aggregate', () => {
+  assert.deepEqual(buildQuery({ title: 'Orders', aggregation: 'count' }), {
+    text: 'SELECT COUNT(*)::float8 AS "value" FROM "public"."data" ORDER BY "value" DESC NULLS LAST LIMIT 1',
+    params: [],
+  });
+  assert.equal(buildQuery({ title: 'With region', aggregation: 'count', column: 'region' }).text,
+    'SELECT COUNT("region")::float8 AS "value" FROM "public"."data" ORDER BY "value" DESC NULLS LAST LIMIT 1');
+  assert.equal(buildQuery({ title: 'Revenue', aggregation: 'sum', column: 'amount' }).text,
+    'SELECT SUM("amount")::float8 AS "value" FROM "public"."data" ORDER BY "value" DESC NULLS LAST LIMIT 1');
+  assert.equal(buildQuery({ title: 'Average order', aggregation: 'avg', column: 'amount' }).text,
+    'SELECT AVG("amount")::float8 AS "value" FROM "public"."data" ORDER BY "value" DESC NULLS LAST LIMIT 1');
+});
+
+test('buckets dates with the label format of each bucket', () => {
+  const formats = { day: 'YYYY-MM-DD', week: 'IYYY-"W"IW', month: 'YYYY-MM', quarter: 'YYYY-"Q"Q', year: 'YYYY' };
+  for (const [bucket, format] of Object.entries(formats)) {
+    assert.equal(buildQuery({ title: 'Per bucket', aggregation: 'count', dateColumn: 'ordered_at', dateBucket: bucket }).text,
+      `SELECT COUNT(*)::float8 AS "value", to_char(date_trunc('${bucket}', "ordered_at"), '${format}') AS "bucket" FROM "public"."data" `
+      + 'GROUP BY 2 ORDER BY "bucket" DESC NULLS LAST, "value" DESC NULLS LAST LIMIT 5');
+  }
+});
+
+test('groups by position and binds filter values as parameters', () => {
+  assert.deepEqual(buildQuery({
+    title: 'Paid revenue',
+    aggregation: 'sum',
+    column: 'amount',
+    groupBy: 'region',
+    dateColumn: 'ordered_at',
+    dateBucket: 'month',
+    filters: [{ column: 'status', op: 'eq', value: 'paid' }, { column: 'amount', op: 'gt', value: 0 }],
+    limit: 12,
+  }), {
+    text: 'SELECT SUM("amount")::float8 AS "value", to_char(date_trunc(\'month\', "ordered_at"), \'YYYY-MM\') AS "bucket", "region"::text AS "group" '
+      + 'FROM "public"."data" WHERE "status" = $1 AND "amount" > $2 GROUP BY 2, 3 '
+      + 'ORDER BY "bucket" DESC NULLS LAST, "value" DESC NULLS LAST, "group" ASC LIMIT 12',
+    params: ['paid', 0],
+  });
+});
+
+test('refuses columns that are unknown or of the wrong type', () => {
+  assert.deepEqual(buildQuery({
+    title: 'Broken',
+    aggregation: 'sum',
+    column: 'region',
+    groupBy: 'nope"; --',
+    dateColumn: 'amount',
+    dateBucket: 'day',
+    filters: [{ column: 'missing', op: 'eq', value: 1 }],
+  }), {
+    errors: [
+      'column "region" must be a numeric column.',
+      'Unknown groupBy column "nope"; --".',
+      'dateColumn "amount" must be a date column.',
+      'Filter 1: unknown column "missing".',
+    ],
+  });
+});
+
+test('validateWidget fills in defaults and lists every problem', () => {
+  assert.deepEqual(validateWidget({ title: ' Orders ', aggregation: 'count' }, 'widgets[0]'), {
+    errors: [],
+    widget: { title: 'Orders', display: 'metric', aggregation: 'count', column: null, groupBy: null, dateColumn: null, dateBucket: null, filters: [], limit: 1, format: {} },
+  });
+  assert.equal(validateWidget({ title: 'Per region', aggregation: 'count', groupBy: 'region' }, 'widgets[0]').widget.limit, 5);
+
+  assert.deepEqual(validateWidget({ title: '', display: 'chart', aggregation: 'median', dateBucket: 'month', limit: 51, format: { decimals: 7 } }, 'widgets[1]').errors, [
+    'widgets[1]: title is required and can have up to 255 characters.',
+    'widgets[1]: display must be one of metric, stat.',
+    'widgets[1]: aggregation must be one of count, sum, avg.',
+    'widgets[1]: dateColumn and dateBucket go together.',
+    'widgets[1]: limit must be an integer between 1 and 50.',
+    'widgets[1]: format must be { prefix, suffix, decimals } with up to 6 decimals.',
+  ]);
+  assert.deepEqual(validateWidget({ title: 'Sum', aggregation: 'sum', dateColumn: 'ordered_at', dateBucket: 'hour' }, 'w').errors, [
+    'w: sum needs a column.',
+    'w: dateBucket must be one of day, week, month, quarter, year.',
+  ]);
+  assert.deepEqual(validateWidget(null, 'w'), { errors: ['w must be an object.'] });
+});